@@ -0,0 +1,321 @@
+#!/usr/bin/env node
+// Batch version of the UI pipeline: every CSV in a folder → _LLM_structural.xlsx,
+// _LLM_statistical.xlsx and _LLM_prompt.txt, plus one JSONL prompt bundle (and optionally one dataset export).
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import * as XLSX from "xlsx";
+import {
+  CAPTION_MODES, DATASET_WORKBOOK_NAME, DATASET_ZIP_NAME, DEFAULT_FEWSHOT_OPTIONS, DEFAULT_MAPPING, DEFAULT_PROMPT_TEMPLATE,
+  DEFAULT_QA_OPTIONS, DEFAULT_QA_RULES, DEFAULT_RAW_OPTIONS, DEFAULT_RESAMPLE_OPTIONS, DEFAULT_SEGMENT_OPTIONS, DEFAULT_SPECTRAL_OPTIONS,
+  DEFAULT_STRUCT_THRESHOLDS,
+  FEWSHOT_METRICS, GAP_MODES, PAIR_FEATURE_COLUMNS, QA_METRICS, QUALITY_REPORT_NAME, RESAMPLE_METHODS, appendManifestSheet,
+  buildBudgetedPromptRecord, buildDatasetWorkbook, buildDatasetZip, buildExampleIndex, buildManifest, buildQualityWorkbook,
+  buildStatisticalWorkbook, buildStructuralWorkbook, buildWindowFeaturesWorkbook, computeFileResults, datasetTables, describeExamples,
+  featureColumnsFor, manifestInputs, parseInputCsv, qualityReport, promptBundleName, promptFileName, promptManifestName, resampleInput,
+  retrieveExamples, segmentInput, sha256Hex, spectralOptionsFor, thresholdProblems, toJsonl, statisticalFileName, structuralFileName, windowFeaturesFileName, withExampleSections,
+} from "../src/core/index.js";
+import { labelPattern, parseTruthManifest, resolveTruth } from "../src/evaluation.js";
+import {
+  DEFAULT_FINETUNE_OPTIONS, SPLITS, SPLITS_FILE_NAME, buildFinetuneDataset, finetuneFileName, readSplitsFile,
+} from "../src/finetune.js";
+
+const USAGE = `Usage: rfid-llm <input-dir> [options]
+
+  -o, --out <dir>            output directory (default: <input-dir>/llm_out)
+      --win <s>              sliding window length in seconds (default 1)
+      --hop <s>              hop in seconds (default 0.5)
+      --features <a,b,...>   statistical columns for sheet + prompt (default: all)
+      --pair-features <a,b>  cross-series columns (every series pair) for a cross_series sheet + prompt lines, or "all"
+      --no-stat              leave the statistical section out of the prompt
+      --no-struct            leave the structural section out of the prompt
+      --window-features      also write <name>_LLM_window_features.xlsx (full feature set per window)
+      --dataset              also write every file's tables in one LLM_dataset.xlsx, and as CSV + JSONL in LLM_dataset.zip
+      --window-stats <a,b>   per-window statistics to show next to the structural labels
+      --captions <mode>      window | compact | timeline (default window; compact/timeline merge repeated labels)
+      --token-budget <n>     double the hop (up to --win) until each prompt's estimated token count fits (default: no limit)
+      --thresholds <file>    JSON overriding the structural label thresholds
+      --qa-rules <file>      JSON overriding data quality rules { metric: { limit, action: off|warn|reject } }
+      --qa-options <file>    JSON overriding the quality checks { gapFactor, outlierMad, flatlineMin }
+      --spectral <file>      JSON overriding the spectral options { estimator, window, segment, overlap, bands, rolloff, topK }
+                             (estimator: periodogram | welch | lombscargle)
+      --resample <hz|auto>   resample every series onto a uniform grid (auto = 1 / median Δt) before feature extraction
+      --interp <m>           linear | cubic interpolation for --resample (default linear)
+      --max-gap <s>          intervals longer than this are gaps, never interpolated across (default 5 × median Δt)
+      --gap-mode <m>         exclude (grid skips gaps) | segment (one recording per gap-free stretch) (default exclude)
+      --segment <s>          cut every recording into segments of this length, each its own sample (<name>_part1.csv, …)
+      --segment-overlap <s>  overlap between consecutive segments in seconds (default 0)
+      --template <file.json> prompt template { name, version, text, labels } (a saved UI template version)
+      --few-shot <k>         insert the k nearest labelled recordings of the folder as worked examples
+      --few-shot-metric <m>  euclidean | manhattan | cosine (default euclidean)
+      --few-shot-balance <b> none | per_class (default none)
+      --finetune             write chat-format fine-tuning JSONL (LLM_finetune_train/val/test.jsonl) for labelled files,
+                             split by session and stratified by label; the assignment goes to LLM_finetune_splits.json
+      --split <a,b,c>        train,val,test fractions for --finetune (default 0.7,0.15,0.15)
+      --split-seed <n>       seed for the session shuffle (default 1)
+      --session-pattern <re> filename regex, first group = session id (default: one session per recording)
+      --splits <file.json>   reuse a saved LLM_finetune_splits.json; new sessions are assigned around it
+      --keep-file-names      show real file names in fine-tuning prompts (default "recording": names can reveal the label)
+      --truth <file.csv>     ground-truth manifest (file, label) for --few-shot / --finetune
+      --truth-pattern <re>   filename regex for ground truth (default: built from the template labels)
+      --mapping <file.json>  column mapping { time, series: [{ key, tag, kind }] } (a saved UI preset)
+      --raw                  inputs are raw reader logs (timestamp, EPC, antenna, channel, phase, RSSI)
+      --raw-options <file>   JSON overriding the raw ingestion defaults (columns: { time, epc, phase, … } sets column roles)
+  -h, --help
+`;
+
+function fail(msg) {
+  console.error(`rfid-llm: ${msg}\n\n${USAGE}`);
+  process.exit(1);
+}
+
+const readJson = (file) => JSON.parse(fs.readFileSync(file, "utf8"));
+const TOOL_VERSION = readJson(new URL("../package.json", import.meta.url)).version;
+
+let args;
+try {
+  args = parseArgs({
+    allowPositionals: true,
+    options: {
+      out: { type: "string", short: "o" },
+      win: { type: "string", default: "1" },
+      hop: { type: "string", default: "0.5" },
+      features: { type: "string" },
+      "pair-features": { type: "string" },
+      "no-stat": { type: "boolean", default: false },
+      "no-struct": { type: "boolean", default: false },
+      "window-features": { type: "boolean", default: false },
+      dataset: { type: "boolean", default: false },
+      "window-stats": { type: "string" },
+      captions: { type: "string", default: "window" },
+      "token-budget": { type: "string" },
+      thresholds: { type: "string" },
+      "qa-rules": { type: "string" },
+      "qa-options": { type: "string" },
+      spectral: { type: "string" },
+      resample: { type: "string" },
+      interp: { type: "string", default: DEFAULT_RESAMPLE_OPTIONS.method },
+      "max-gap": { type: "string" },
+      "gap-mode": { type: "string", default: DEFAULT_RESAMPLE_OPTIONS.gapMode },
+      segment: { type: "string" },
+      "segment-overlap": { type: "string", default: String(DEFAULT_SEGMENT_OPTIONS.overlapSec) },
+      template: { type: "string" },
+      "few-shot": { type: "string" },
+      "few-shot-metric": { type: "string", default: DEFAULT_FEWSHOT_OPTIONS.metric },
+      "few-shot-balance": { type: "string", default: DEFAULT_FEWSHOT_OPTIONS.balance },
+      finetune: { type: "boolean", default: false },
+      split: { type: "string" },
+      "split-seed": { type: "string", default: String(DEFAULT_FINETUNE_OPTIONS.seed) },
+      "session-pattern": { type: "string", default: DEFAULT_FINETUNE_OPTIONS.sessionPattern },
+      splits: { type: "string" },
+      "keep-file-names": { type: "boolean", default: false },
+      truth: { type: "string" },
+      "truth-pattern": { type: "string" },
+      mapping: { type: "string" },
+      raw: { type: "boolean", default: false },
+      "raw-options": { type: "string" },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+} catch (err) {
+  fail(err.message);
+}
+const { values: opt, positionals } = args;
+if (opt.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+if (positionals.length !== 1) fail("expected exactly one input directory");
+
+const inputDir = positionals[0];
+const outDir = opt.out ?? path.join(inputDir, "llm_out");
+const WIN = Number(opt.win), HOP = Number(opt.hop);
+if (!(WIN > 0) || !(HOP > 0)) fail("--win and --hop must be positive numbers");
+
+const splitList = (s) => (s ? s.split(",").map((c) => c.trim()).filter(Boolean) : []);
+const spectralOptions = { ...DEFAULT_SPECTRAL_OPTIONS, ...(opt.spectral ? readJson(opt.spectral) : {}) };
+const allFeatureColumns = featureColumnsFor(spectralOptions);
+const featureColumns = opt.features ? splitList(opt.features) : allFeatureColumns;
+const windowStatColumns = splitList(opt["window-stats"]);
+const unknown = [...featureColumns, ...windowStatColumns].filter((c) => !allFeatureColumns.includes(c));
+if (unknown.length) fail(`unknown feature column(s): ${unknown.join(", ")}`);
+const pairFeatureColumns = opt["pair-features"] === "all" ? PAIR_FEATURE_COLUMNS : splitList(opt["pair-features"]);
+const unknownPairs = pairFeatureColumns.filter((c) => !PAIR_FEATURE_COLUMNS.includes(c));
+if (unknownPairs.length) fail(`unknown cross-series column(s): ${unknownPairs.join(", ")}`);
+
+const resampleOptions = {
+  enabled: Boolean(opt.resample),
+  rateHz: opt.resample === "auto" ? 0 : Number(opt.resample ?? 0),
+  method: opt.interp,
+  maxGapSec: opt["max-gap"] ? Number(opt["max-gap"]) : 0,
+  gapMode: opt["gap-mode"],
+};
+if (!(resampleOptions.rateHz >= 0)) fail("--resample must be a rate in Hz or auto");
+if (!(resampleOptions.maxGapSec >= 0)) fail("--max-gap must be a positive number of seconds");
+if (!RESAMPLE_METHODS.includes(resampleOptions.method)) fail(`--interp must be one of ${RESAMPLE_METHODS.join(", ")}`);
+if (!GAP_MODES.includes(resampleOptions.gapMode)) fail(`--gap-mode must be one of ${GAP_MODES.join(", ")}`);
+const segmentOptions = {
+  enabled: Boolean(opt.segment),
+  lengthSec: opt.segment ? Number(opt.segment) : DEFAULT_SEGMENT_OPTIONS.lengthSec,
+  overlapSec: Number(opt["segment-overlap"]),
+};
+if (!(segmentOptions.lengthSec > 0) || !(segmentOptions.overlapSec >= 0) || segmentOptions.overlapSec >= segmentOptions.lengthSec) {
+  fail("--segment must be a positive length in seconds, longer than --segment-overlap");
+}
+const parseOptions = {
+  mode: opt.raw ? "raw" : "processed",
+  mapping: opt.mapping ? readJson(opt.mapping) : DEFAULT_MAPPING,
+  rawOptions: { ...DEFAULT_RAW_OPTIONS, ...(opt["raw-options"] ? readJson(opt["raw-options"]) : {}) },
+  resample: resampleOptions,
+  segments: segmentOptions,
+};
+const structThresholds = { ...DEFAULT_STRUCT_THRESHOLDS, ...(opt.thresholds ? readJson(opt.thresholds) : {}) };
+const thresholdIssues = thresholdProblems(structThresholds);
+if (thresholdIssues.length) fail(`--thresholds: ${thresholdIssues.join("; ")}`);
+const qaRules = { ...DEFAULT_QA_RULES, ...(opt["qa-rules"] ? readJson(opt["qa-rules"]) : {}) };
+const unknownRules = Object.keys(qaRules).filter((k) => !QA_METRICS[k]);
+if (unknownRules.length) fail(`unknown quality rule(s): ${unknownRules.join(", ")}`);
+const qaOptions = { ...DEFAULT_QA_OPTIONS, ...(opt["qa-options"] ? readJson(opt["qa-options"]) : {}) };
+const template = { ...DEFAULT_PROMPT_TEMPLATE, ...(opt.template ? readJson(opt.template) : {}) };
+if (!Array.isArray(template.labels) || !template.labels.length) fail("--template needs a non-empty labels array");
+const fewShot = opt["few-shot"]
+  ? { k: Number(opt["few-shot"]), metric: opt["few-shot-metric"], balance: opt["few-shot-balance"] }
+  : null;
+if (fewShot && !(fewShot.k >= 1)) fail("--few-shot must be a positive integer");
+if (fewShot && !FEWSHOT_METRICS.includes(fewShot.metric)) fail(`--few-shot-metric must be one of ${FEWSHOT_METRICS.join(", ")}`);
+if (fewShot && !["none", "per_class"].includes(fewShot.balance)) fail("--few-shot-balance must be none or per_class");
+if (!CAPTION_MODES.includes(opt.captions)) fail(`--captions must be one of ${CAPTION_MODES.join(", ")}`);
+const splitFractions = opt.split ? opt.split.split(",").map(Number) : SPLITS.map((k) => DEFAULT_FINETUNE_OPTIONS.fractions[k]);
+if (splitFractions.length !== 3 || !splitFractions.every((v) => v >= 0) || !(splitFractions.reduce((a, b) => a + b, 0) > 0)) {
+  fail("--split needs three non-negative fractions train,val,test");
+}
+const finetuneOptions = {
+  ...DEFAULT_FINETUNE_OPTIONS,
+  fractions: Object.fromEntries(SPLITS.map((k, i) => [k, splitFractions[i]])),
+  seed: Number(opt["split-seed"]),
+  sessionPattern: opt["session-pattern"],
+  hideFileName: !opt["keep-file-names"],
+};
+let savedSplits = null;
+if (opt.splits) {
+  const res = readSplitsFile(readJson(opt.splits));
+  if (res.error) fail(`--splits: ${res.error}`);
+  savedSplits = res.splits;
+}
+const tokenBudget = opt["token-budget"] ? Number(opt["token-budget"]) : 0;
+if (!(tokenBudget >= 0)) fail("--token-budget must be a positive number");
+const config = {
+  winSec: WIN, hopSec: HOP, useStat: !opt["no-stat"], useStruct: !opt["no-struct"], featureColumns, windowStatColumns,
+  structThresholds, pairFeatureColumns, spectralOptions, template, captionMode: opt.captions, tokenBudget,
+  ...(fewShot && { fewShot }),
+};
+
+const files = fs.readdirSync(inputDir).filter((f) => /\.csv$/i.test(f)).sort();
+if (!files.length) fail(`no .csv files in ${inputDir}`);
+fs.mkdirSync(outDir, { recursive: true });
+
+// Pass 1: parse, compute and write the sheets; prompts wait until every file is known (few-shot needs them all)
+const dataByFile = {};
+const cachedByFile = {};
+const qaReports = [];
+// Every workbook gets a manifest sheet; the bundle gets a .manifest.json next to it
+const manifestFor = (kind, fnames) => buildManifest(kind, manifestInputs(dataByFile, fnames), config, parseOptions, TOOL_VERSION);
+for (const fname of files) {
+  const text = fs.readFileSync(path.join(inputDir, fname), "utf8");
+  const res = parseInputCsv(text, parseOptions);
+  if (res.error) {
+    console.warn(`${fname}: ${res.error}`);
+    continue;
+  }
+  const qa = qualityReport(fname, res.data, qaRules, qaOptions);
+  qaReports.push(qa);
+  for (const issue of qa.issues) console.warn(`${fname}: quality ${issue.action} — ${issue.message}`);
+  if (qa.status === "reject") {
+    console.warn(`${fname}: rejected by the quality rules`);
+    continue;
+  }
+  const sha256 = await sha256Hex(text);
+  const rs = resampleInput(fname, res.data, resampleOptions);
+  if (rs.error) {
+    console.warn(`${fname}: ${rs.error}`);
+    continue;
+  }
+  if (rs.message) console.log(`${fname}: ${rs.message}`);
+  const parts = rs.parts.flatMap((part) => {
+    const sg = segmentInput(part.fname, part.data, segmentOptions);
+    if (sg.error) console.warn(`${part.fname}: ${sg.error}`);
+    else if (sg.message) console.log(`${part.fname}: ${sg.message}`);
+    return sg.parts ?? [];
+  });
+  for (const { fname: name, data } of parts) {
+    dataByFile[name] = { ...data, sha256 };
+    const { time, series, seriesDefs, resample } = data;
+    const fileSpectral = spectralOptionsFor(spectralOptions, resample);
+    const cached = computeFileResults(name, time, series, WIN, HOP, structThresholds, fileSpectral);
+    const write = (wb, kind, out) => XLSX.writeFile(appendManifestSheet(wb, manifestFor(kind, [name])), path.join(outDir, out));
+
+    write(buildStructuralWorkbook(time, series, WIN, HOP, seriesDefs, structThresholds), "structural", structuralFileName(name));
+    write(buildStatisticalWorkbook(cached, seriesDefs, featureColumns, pairFeatureColumns), "statistical", statisticalFileName(name));
+    if (opt["window-features"]) {
+      write(buildWindowFeaturesWorkbook(name, time, series, WIN, HOP, seriesDefs, fileSpectral), "window_features", windowFeaturesFileName(name));
+    }
+    cachedByFile[name] = cached;
+    console.log(`${name}: ${parts.length > 1 ? `${time.length} samples` : res.message}; exported ${opt["window-features"] ? 4 : 3} files`);
+  }
+}
+
+const processed = Object.keys(dataByFile);
+if (qaReports.length) {
+  XLSX.writeFile(appendManifestSheet(buildQualityWorkbook(qaReports), manifestFor("quality", processed)), path.join(outDir, QUALITY_REPORT_NAME));
+}
+if (!processed.length) fail("no file could be processed");
+
+if (opt.dataset) {
+  const tables = datasetTables(processed, dataByFile, (f) => cachedByFile[f], config, qaReports);
+  const manifest = manifestFor("dataset", processed);
+  XLSX.writeFile(appendManifestSheet(buildDatasetWorkbook(tables), manifest), path.join(outDir, DATASET_WORKBOOK_NAME));
+  fs.writeFileSync(path.join(outDir, DATASET_ZIP_NAME), buildDatasetZip(tables, manifest));
+  console.log(`dataset: ${Object.entries(tables).map(([name, rows]) => `${name} ${rows.length} rows`).join(", ")} → ${DATASET_WORKBOOK_NAME}, ${DATASET_ZIP_NAME}`);
+}
+
+const truthManifest = opt.truth ? parseTruthManifest(fs.readFileSync(opt.truth, "utf8"), template.labels).byFile : undefined;
+const truth = resolveTruth(
+  processed, opt["truth-pattern"] ?? labelPattern(template.labels), truthManifest, template.labels,
+  Object.fromEntries(processed.filter((f) => dataByFile[f].source).map((f) => [f, dataByFile[f].source])),
+);
+
+let pickExamples = () => [];
+if (fewShot) {
+  const refs = processed.filter((f) => truth[f]).map((f) => ({ file: f, label: truth[f], cached: cachedByFile[f], source: dataByFile[f].source }));
+  if (!refs.length) console.warn("few-shot: no file has a ground-truth label; prompts stay zero-shot");
+  const index = buildExampleIndex(refs, allFeatureColumns);
+  pickExamples = (fname, cfg) =>
+    withExampleSections(retrieveExamples(index, fname, cachedByFile[fname], fewShot, dataByFile[fname].source), dataByFile, (f) => cachedByFile[f], cfg);
+}
+
+// Pass 2: prompts + bundle
+const bundle = [];
+for (const fname of processed) {
+  const record = buildBudgetedPromptRecord(fname, dataByFile[fname], cachedByFile[fname], config, (cfg) => pickExamples(fname, cfg));
+  fs.writeFileSync(path.join(outDir, promptFileName(fname)), record.prompt);
+  bundle.push(JSON.stringify(record));
+  console.log(`${fname}: prompt ≈${record.tokens} tokens` + (record.coarsenedFromHopSec ? ` (hop ${record.coarsenedFromHopSec} → ${record.config.hopSec} s)` : "") +
+    (record.overBudget ? " — still over the token budget" : ""));
+  if (record.examples) console.log(`${fname}: few-shot examples → ${describeExamples(record.examples)}`);
+}
+
+fs.writeFileSync(path.join(outDir, promptBundleName(bundle.length)), bundle.join("\n") + "\n");
+fs.writeFileSync(path.join(outDir, promptManifestName(bundle.length)), JSON.stringify(manifestFor("prompt_bundle", processed), null, 2) + "\n");
+
+if (opt.finetune) {
+  const { records, splits, warnings } = buildFinetuneDataset(
+    processed, dataByFile, (f) => cachedByFile[f], truth, config, finetuneOptions, savedSplits
+  );
+  for (const w of warnings) console.warn(`finetune: ${w}`);
+  for (const split of SPLITS) fs.writeFileSync(path.join(outDir, finetuneFileName(split)), toJsonl(records[split]));
+  fs.writeFileSync(path.join(outDir, SPLITS_FILE_NAME), JSON.stringify(splits, null, 2) + "\n");
+  console.log(`finetune: ${SPLITS.map((k) => `${k} ${records[k].length}`).join(", ")} example(s) → ${SPLITS_FILE_NAME}`);
+}
+
+console.log(`Done: ${bundle.length} prompt(s) from ${files.length} file(s) → ${outDir}`);
+
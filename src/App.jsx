@@ -1,358 +1,44 @@
-import React, { useCallback, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import Papa from "papaparse";
 import * as XLSX from "xlsx";
-import FFT from "fft.js";
-
-// =====================
-// Numeric helpers
-// =====================
-
-function fmt(v, d=3) {
-  if (v === null || v === undefined || Number.isNaN(v)) return "NA";
-  return Number(v).toFixed(d);
-}
-
-function statLine(tagName, feats, cols) {
-  // cols = array of selected feature keys to include
-  const parts = [];
-  for (const k of cols) {
-    if (k in feats) parts.push(`${k.replaceAll('_',' ')} ${fmt(feats[k])}`);
-  }
-  // Example: "Tag 1 (detrended): mean 0.012, std 0.083, spectral entropy 0.742, ..."
-  return `- ${tagName}: ${parts.join(", ")}.`;
-}
-
-function structuralParagraph(structRows) {
-  // structRows: [{window_index, start_time, end_time, tag1_residual_label, ...}]
-  if (!structRows || !structRows.length) return "";
-  const lines = [];
-  for (const r of structRows) {
-    const s = fmt(r.start_time, 3), e = fmt(r.end_time, 3);
-    const t1r = r.tag1_residual_label ?? "";
-    const t2r = r.tag2_residual_label ?? "";
-    const t1d = r.tag1_detrend_label ?? "";
-    const t2d = r.tag2_detrend_label ?? "";
-    lines.push(
-      `• ${s}s–${e}s → tag1_res(${t1r}), tag2_res(${t2r}), tag1_det(${t1d}), tag2_det(${t2d})`
-    );
-  }
-  return lines.join("\n");
-}
-
-// Build one structural table in memory (same as your LLM sheet logic)
-function buildCombinedStructuralRows(time, series, winSec, hopSec, slidingWindowCaptions) {
-  const WIN = Number(winSec), HOP = Number(hopSec);
-  const makeRows = (arr) => {
-    const raw = slidingWindowCaptions(time, arr, WIN, HOP);
-    const T0 = time[0];
-    return raw.map(r => {
-      const nominalStart = T0 + r.window_index * HOP;
-      const nominalEnd   = nominalStart + WIN;
-      let si = time.findIndex(t => t >= nominalStart);
-      if (si < 0) si = 0;
-      let ei = si;
-      for (let i = si; i < time.length && time[i] <= nominalEnd; i++) ei = i;
-      return {
-        window_index: r.window_index,
-        start_time: time[si],
-        end_time: time[ei] ?? nominalEnd,
-        label: r.label
-      };
-    });
-  };
-
-  const tag1_res = makeRows(series.tag1_residual_rad);
-  const tag2_res = makeRows(series.tag2_residual_rad);
-  const tag1_det = makeRows(series.tag1_detrend_rad);
-  const tag2_det = makeRows(series.tag2_detrend_rad);
-
-  const byIdx = new Map();
-  const merge = (rows, key) => {
-    for (const r of rows) {
-      if (!byIdx.has(r.window_index)) {
-        byIdx.set(r.window_index, {
-          window_index: r.window_index,
-          start_time: r.start_time,
-          end_time: r.end_time
-        });
-      }
-      const row = byIdx.get(r.window_index);
-      row.start_time = Math.min(row.start_time, r.start_time);
-      row.end_time   = Math.max(row.end_time,   r.end_time);
-      row[key] = r.label;
-    }
-  };
-  merge(tag1_res, "tag1_residual_label");
-  merge(tag2_res, "tag2_residual_label");
-  merge(tag1_det, "tag1_detrend_label");
-  merge(tag2_det, "tag2_detrend_label");
-
-  return Array.from(byIdx.values()).sort((a,b)=>a.window_index-b.window_index);
-}
-
-const EPS = 1e-12;
-const isFiniteNum = (v) => Number.isFinite(v) && !Number.isNaN(v);
-
-function median(arr) {
-  const a = [...arr].filter(isFiniteNum).sort((x, y) => x - y);
-  if (!a.length) return NaN;
-  const m = Math.floor(a.length / 2);
-  return a.length % 2 ? a[m] : (a[m - 1] + a[m]) / 2;
-}
-function medianAbsDeviation(arr) {
-  const m = median(arr);
-  const devs = arr.map((v) => Math.abs(v - m));
-  return median(devs);
-}
-function autocorrDecayHalf(x) {
-  const n = x.length;
-  if (n < 3) return n;
-  const mean = x.reduce((s, v) => s + v, 0) / n;
-  const xc = x.map((v) => v - mean);
-  const ac = new Array(n).fill(0);
-  for (let lag = 0; lag < n; lag++) {
-    let s = 0;
-    for (let i = 0; i < n - lag; i++) s += xc[i] * xc[i + lag];
-    ac[lag] = s;
-  }
-  if (Math.abs(ac[0]) < EPS) return 0;
-  for (let i = 0; i < n; i++) ac[i] /= ac[0];
-  for (let i = 1; i < n; i++) if (ac[i] < 0.5) return i;
-  return n;
-}
-function spectralEntropy(power) {
-  const sum = power.reduce((s, v) => s + v, 0);
-  if (!(sum > 0)) return 0;
-  let H = 0;
-  for (let i = 0; i < power.length; i++) {
-    const p = power[i] / sum;
-    H += -p * Math.log2(p + EPS);
-  }
-  return H;
-}
-function isPowerOfTwo(n) { return n > 1 && (n & (n - 1)) === 0; }
-function nextPow2(n) { let p = 1; while (p < Math.max(2, n)) p <<= 1; return p; }
-
-function rfftPower(xIn, fs) {
-  if (!isFiniteNum(fs) || fs <= 0) return { freqs: [], power: [] };
-  const x = xIn.filter(isFiniteNum);
-  let n = x.length;
-  if (n < 2) return { freqs: [], power: [] };
-
-  const xm = x.reduce((s, v) => s + v, 0) / n;
-  const z = x.map((v) => v - xm);
-
-  const N = isPowerOfTwo(n) ? n : nextPow2(n);
-  const input = new Float64Array(N);
-  input.set(z.slice(0, Math.min(n, N)));
-
-  const out = new Float64Array(2 * N);
-  const fft = new FFT(N);
-  fft.realTransform(out, input);
-  fft.completeSpectrum(out);
-
-  const half = Math.floor(N / 2);
-  const power = new Array(half + 1);
-  for (let k = 0; k <= half; k++) {
-    const re = out[2 * k];
-    const im = out[2 * k + 1];
-    power[k] = (re * re + im * im) / N;
-  }
-  const freqs = Array.from({ length: half + 1 }, (_, k) => (k * fs) / N);
-  return { freqs, power };
-}
-
-function spectralFeatures(x, fs) {
-  const n = x.length;
-  if (!isFiniteNum(fs) || n < 8) {
-    return {
-      spectral_centroid: NaN,
-      ent: NaN,
-      f1: NaN,
-      f1_power: NaN,
-      band_0_2: NaN,
-      band_2_5: NaN,
-      band_5_10: NaN,
-      band_10_20: NaN,
-    };
-  }
-  const { freqs, power } = rfftPower(x, fs);
-  if (!freqs.length) {
-    return {
-      spectral_centroid: NaN, ent: NaN, f1: NaN, f1_power: NaN,
-      band_0_2: NaN, band_2_5: NaN, band_5_10: NaN, band_10_20: NaN,
-    };
-  }
-  const sumP = power.reduce((s, v) => s + v, 0) + EPS;
-  const sc = freqs.reduce((s, f, i) => s + f * power[i], 0) / sumP;
-  const ent = spectralEntropy(power);
-  let idx = 0; for (let i = 1; i < power.length; i++) if (power[i] > power[idx]) idx = i;
-  const f1 = freqs[idx];
-  const f1p = power[idx];
-  const band = (a, b) => {
-    let s = 0;
-    for (let i = 0; i < freqs.length; i++) if (freqs[i] >= a && freqs[i] < b) s += power[i];
-    return s;
-  };
-  return {
-    spectral_centroid: sc,
-    ent,
-    f1,
-    f1_power: f1p,
-    band_0_2: band(0, 2),
-    band_2_5: band(2, 5),
-    band_5_10: band(5, 10),
-    band_10_20: band(10, 20),
-  };
-}
-
-function linearFitSlope(t, y) {
-  const n = t.length;
-  if (n < 2) return { m: NaN, r2: NaN };
-  const sumT = t.reduce((s, v) => s + v, 0);
-  const sumY = y.reduce((s, v) => s + v, 0);
-  const sumTT = t.reduce((s, v) => s + v * v, 0);
-  const sumTY = t.reduce((s, v, i) => s + v * y[i], 0);
-  const denom = n * sumTT - sumT * sumT + EPS;
-  const m = (n * sumTY - sumT * sumY) / denom;
-  const b = (sumY - m * sumT) / n;
-  const yhat = t.map((v) => m * v + b);
-  const meanY = sumY / n;
-  let ssRes = 0, ssTot = 0;
-  for (let i = 0; i < n; i++) { const e = y[i] - yhat[i]; ssRes += e * e; const d = y[i] - meanY; ssTot += d * d; }
-  const r2 = 1 - ssRes / (ssTot + EPS);
-  return { m, r2 };
-}
-
-function medianDelta(time) {
-  const dts = [];
-  for (let i = 1; i < time.length; i++) { const dt = time[i] - time[i - 1]; if (isFiniteNum(dt) && dt > 0) dts.push(dt); }
-  return median(dts);
-}
-
-function computeSeriesFeatures(time, yIn) {
-  const timeClean = time.filter(isFiniteNum);
-  const y = yIn.filter(isFiniteNum);
-  const n = Math.min(timeClean.length, y.length);
-  if (n < 4) {
-    return {
-      fs: NaN, n,
-      mean: NaN, std: NaN, mad: NaN, rng: NaN, skew: NaN, kurt: NaN, cv: NaN,
-      slope: NaN, slope_r2: NaN, ac_half: NaN,
-      spectral_centroid: NaN, spectral_entropy: NaN,
-      dom_freq: NaN, dom_power: NaN,
-      band_0_2: NaN, band_2_5: NaN, band_5_10: NaN, band_10_20: NaN,
-      low_mid_ratio: NaN,
-    };
-  }
-  const yy = y.slice(0, n);
-  const tt = timeClean.slice(0, n);
-
-  const mean = yy.reduce((s, v) => s + v, 0) / n;
-  const std = Math.sqrt(yy.reduce((s, v) => s + (v - mean) ** 2, 0) / n);
-  const mad = medianAbsDeviation(yy);
-  const rng = Math.max(...yy) - Math.min(...yy);
-  const x0 = std > 0 ? yy.map((v) => (v - mean) / (std + EPS)) : yy.map(() => 0);
-  const skew = x0.reduce((s, v) => s + v ** 3, 0) / n;
-  const kurt = x0.reduce((s, v) => s + v ** 4, 0) / n - 3;
-  const cv = std / (Math.abs(mean) + EPS);
-  const { m: slope, r2: slope_r2 } = linearFitSlope(tt, yy);
-  const ac_half = autocorrDecayHalf(yy);
-
-  const dtMed = medianDelta(tt);
-  const fs = isFiniteNum(dtMed) && dtMed > 0 ? 1 / dtMed : NaN;
-  const spec = spectralFeatures(yy, fs);
-  const low_mid = spec.band_0_2 / ((spec.band_2_5 || 0) + (spec.band_5_10 || 0) + EPS);
-
-  return {
-    fs, n, mean, std, mad, rng, skew, kurt, cv,
-    slope, slope_r2, ac_half,
-    spectral_centroid: spec.spectral_centroid,
-    spectral_entropy: spec.ent,
-    dom_freq: spec.f1, dom_power: spec.f1_power,
-    band_0_2: spec.band_0_2, band_2_5: spec.band_2_5,
-    band_5_10: spec.band_5_10, band_10_20: spec.band_10_20,
-    low_mid_ratio: low_mid,
-  };
-}
-
-// Build a single structural sheet with all tags as columns.
-// rows = { window_index, start_time, end_time, tag1_residual_label, tag2_residual_label, tag1_detrend_label, tag2_detrend_label }
-function buildCombinedStructuralSheet(time, series, winSec, hopSec) {
-  const WIN = Number(winSec), HOP = Number(hopSec);
-  const makeRows = (arr) => {
-    const raw = slidingWindowCaptions(time, arr, WIN, HOP); // [{window_index,label}]
-    const T0 = time[0];
-    return raw.map(r => {
-      const nominalStart = T0 + r.window_index * HOP;
-      const nominalEnd   = nominalStart + WIN;
-      let si = time.findIndex(t => t >= nominalStart);
-      if (si < 0) si = 0;
-      let ei = si;
-      for (let i = si; i < time.length && time[i] <= nominalEnd; i++) ei = i;
-      return { window_index: r.window_index, start_time: time[si], end_time: time[ei] ?? nominalEnd, label: r.label };
-    });
-  };
-
-  const t1r = makeRows(series.tag1_residual_rad);
-  const t2r = makeRows(series.tag2_residual_rad);
-  const t1d = makeRows(series.tag1_detrend_rad);
-  const t2d = makeRows(series.tag2_detrend_rad);
-
-  const byIdx = new Map();
-  const merge = (rows, key) => {
-    for (const r of rows) {
-      if (!byIdx.has(r.window_index)) byIdx.set(r.window_index, {
-        window_index: r.window_index, start_time: r.start_time, end_time: r.end_time
-      });
-      const row = byIdx.get(r.window_index);
-      row.start_time = Math.min(row.start_time, r.start_time);
-      row.end_time   = Math.max(row.end_time,   r.end_time);
-      row[key] = r.label;
-    }
-  };
-  merge(t1r, "tag1_residual_label");
-  merge(t2r, "tag2_residual_label");
-  merge(t1d, "tag1_detrend_label");
-  merge(t2d, "tag2_detrend_label");
-
-  return Array.from(byIdx.values()).sort((a,b) => a.window_index - b.window_index);
-}
-
-
-
-function labelFromSlope(slope, sd, seconds) {
-  const norm = Math.abs(slope) / (sd / (seconds || 1) + EPS);
-  if (norm >= 1.5) return slope > 0 ? "sharp rise" : "sharp drop";
-  if (norm >= 0.4) return slope > 0 ? "increasing" : "decreasing";
-  return "constant";
-}
-
-function slidingWindowCaptions(time, y, winSec, hopSec) {
-  const out = [];
-  if (!time || time.length < 2) return out;
-  const T0 = time[0];
-  const T1 = time[time.length - 1];
-  let k = 0;
-  for (let start = T0; start <= T1 - 1e-9; start += hopSec, k++) {
-    const end = start + winSec;
-    const idx = [];
-    for (let i = 0; i < time.length; i++) {
-      const t = time[i];
-      const inWin = t >= start && ((end < T1) ? t < end : t <= end);
-      if (inWin) idx.push(i);
-    }
-    if (idx.length < 2) continue;
-    const tk = idx.map((i) => time[i]);
-    const yk = idx.map((i) => y[i]);
-    const { m, r2 } = linearFitSlope(tk, yk);
-    const mu = yk.reduce((s, v) => s + v, 0) / yk.length;
-    const sd = Math.sqrt(yk.reduce((s, v) => s + (v - mu) ** 2, 0) / yk.length);
-    const label = labelFromSlope(m, sd, winSec);
-    out.push({ window_index: k, label });
-  }
-  return out;
-}
+import {
+  DEFAULT_LLM_CONFIG, PROVIDERS, createChatClient, completeWithRetry, parseLabelResponse, runWithConcurrency,
+} from "./llm.js";
+import {
+  CACHE_FILE_NAME, CACHE_MODES, cachingClient, clearResponseCache, describeCacheStats, loadResponseCache, readResponseCacheFile,
+  serializeResponseCache, storeResponses,
+} from "./llmcache.js";
+import {
+  DEFAULT_TRUTH_PATTERN, VOTE_METHODS, evaluatePredictions, evaluationSheets, labelPattern, parseTruthManifest, resolveTruth,
+  voteByFile,
+} from "./evaluation.js";
+import {
+  DEFAULT_SWEEP_SPEC, expandSweepGrid, featureSetWarnings, loadSweep, resultKey, saveSweep, summarizeSweep,
+} from "./sweep.js";
+import { DEFAULT_MAPPING, SERIES_KINDS, detectMapping, loadPresets, savePresets } from "./schema.js";
+import { DEFAULT_RAW_OPTIONS, RAW_ROLES, REQUIRED_RAW_ROLES, detectRawColumns } from "./rawlog.js";
+import SignalViewer from "./SignalViewer.jsx";
+import SegmentTimeline from "./SegmentTimeline.jsx";
+import { BASELINE_MODELS, DEFAULT_BASELINE_OPTIONS, baselineSamples, runBaselines } from "./baseline.js";
+import { AUGMENT_TRANSFORMS, DEFAULT_AUGMENT_OPTIONS, augmentInput, flipReport } from "./augment.js";
+import {
+  DEFAULT_FINETUNE_OPTIONS, SPLITS, SPLITS_FILE_NAME, buildFinetuneDataset, finetuneFileName, readSplitsFile,
+} from "./finetune.js";
+import {
+  PROJECT_FILE_NAME, clearAutosave, loadAutosave, makeSession, parseProject, saveAutosave, serializeProject,
+} from "./session.js";
+import {
+  CAPTION_MODES, DEFAULT_SPECTRAL_OPTIONS, DEFAULT_STRUCT_THRESHOLDS, FEATURE_COLUMNS, PAIR_FEATURE_COLUMNS, TREND_THRESHOLDS, bandKey,
+  bandReachable, featureColumnsFor, medianDelta, parseBands, spectralOptionsFor, thresholdProblems,
+  DEFAULT_FEWSHOT_OPTIONS, FEWSHOT_METRICS, buildExampleIndex, describeExamples, retrieveExamples, withExampleSections,
+  DEFAULT_PROMPT_TEMPLATE, addTemplateVersion, loadTemplateLibrary, parseLabelList, saveTemplateLibrary, templateWarnings, buildBudgetedPromptRecord, buildStatisticalWorkbook,
+  buildStructuralWorkbook, buildWindowFeaturesWorkbook, computeFileResults, fmt, parseInputCsv,
+  promptBundleName, promptFileName, promptManifestName, statisticalFileName, structuralFileName, windowFeaturesFileName,
+  appendManifestSheet, buildManifest, compareManifestInputs, manifestFromWorkbook, manifestInputs, readManifest, sha256Hex,
+  DEFAULT_QA_OPTIONS, DEFAULT_QA_RULES, QA_ACTIONS, QA_METRICS, QUALITY_REPORT_NAME, buildQualityWorkbook, qualityReport,
+  DEFAULT_RESAMPLE_OPTIONS, DEFAULT_SEGMENT_OPTIONS, GAP_MODES, RESAMPLE_METHODS, resampleInput, segmentInput,
+  DATASET_WORKBOOK_NAME, DATASET_ZIP_NAME, buildDatasetWorkbook, buildDatasetZip, datasetTables, toJsonl,
+} from "./core/index.js";
 
 // =====================
 // UI
@@ -365,18 +51,231 @@ export default function App() {
   const [winSec, setWinSec] = useState(1.0);
   const [hopSec, setHopSec] = useState(0.5);
   const [computedByFile, setComputedByFile] = useState({});
+  const [computedKey, setComputedKey] = useState(null); // settings computedByFile was computed with (see resultsKey)
+
+  // --- Data quality: report per file from the last "Read files"; rules warn about or reject a file ---
+  const [qaRules, setQaRules] = useState(DEFAULT_QA_RULES);
+  const [qaOptions, setQaOptions] = useState(DEFAULT_QA_OPTIONS);
+  const [qaReports, setQaReports] = useState([]);
+  const setQaRule = (metric, key, value) => setQaRules(prev => ({ ...prev, [metric]: { ...prev[metric], [key]: value } }));
+
+  // --- Input format: processed CSV (mapped columns) or raw reader log ---
+  const [inputMode, setInputMode] = useState("processed");
+  const [rawOpts, setRawOpts] = useState(DEFAULT_RAW_OPTIONS);
+  const setRaw = (key, value) => setRawOpts(prev => ({ ...prev, [key]: value }));
+  // Column roles: detected per file unless overridden here ("auto" drops the override)
+  const [rawHeaders, setRawHeaders] = useState([]); // from the first selected file
+  const setRawColumn = (role, value) => setRawOpts(prev => {
+    const columns = { ...prev.columns };
+    if (value === "auto") delete columns[role];
+    else columns[role] = value;
+    return { ...prev, columns };
+  });
+
+  // --- Optional uniform resampling after the quality report (gaps are never interpolated across) ---
+  const [resampleOpts, setResampleOpts] = useState(DEFAULT_RESAMPLE_OPTIONS);
+  const setResample = (key, value) => setResampleOpts(prev => ({ ...prev, [key]: value }));
+  // Long recordings → fixed-length segments, each classified on its own and voted back to one label per file
+  const [segmentOpts, setSegmentOpts] = useState(DEFAULT_SEGMENT_OPTIONS);
+  const setSegment = (key, value) => setSegmentOpts(prev => ({ ...prev, [key]: value }));
+
+  // --- Column mapping (time + tag series) ---
+  const [mapping, setMapping] = useState(DEFAULT_MAPPING);
+  const [headers, setHeaders] = useState([]); // detected from the first selected file
+  const [presets, setPresets] = useState(() => loadPresets());
+  const [presetName, setPresetName] = useState("");
 
   // --- Feature selection + export options ---
-const FEATURE_COLUMNS = [
-  "fs","n","mean","std","mad","rng","skew","kurt","cv",
-  "slope","slope_r2","ac_half",
-  "spectral_centroid","spectral_entropy","dom_freq","dom_power",
-  "band_0_2","band_2_5","band_5_10","band_10_20","low_mid_ratio"
-];
-
 const [useStat, setUseStat] = useState(true);
 const [useStruct, setUseStruct] = useState(true);
+  // Caption layout (window / compact / timeline) and the prompt token budget (0 = no limit; over it the hop is coarsened up to win)
+  const [captionMode, setCaptionMode] = useState("window");
+  const [tokenBudget, setTokenBudget] = useState(0);
 const [selectedFeatCols, setSelectedFeatCols] = useState(new Set(FEATURE_COLUMNS));
+  // Spectral estimator + bands; the band/peak feature columns follow these options
+  const [spectralOpts, setSpectralOpts] = useState(DEFAULT_SPECTRAL_OPTIONS);
+  const [bandsText, setBandsText] = useState(() => DEFAULT_SPECTRAL_OPTIONS.bands.map(b => b.join("-")).join(", "));
+  const featureColumns = useMemo(() => featureColumnsFor(spectralOpts), [spectralOpts]);
+  // Columns that appear with new options (e.g. a new band) start out selected
+  const setSpectral = (key, value) => {
+    const next = { ...spectralOpts, [key]: value };
+    const added = featureColumnsFor(next).filter(c => !featureColumns.includes(c));
+    if (added.length) setSelectedFeatCols(prev => new Set([...prev, ...added]));
+    setSpectralOpts(next);
+  };
+  // Cross-series (pair) features: none selected = no cross_series sheet / prompt lines
+  const [selectedPairCols, setSelectedPairCols] = useState(new Set());
+  const pairCols = PAIR_FEATURE_COLUMNS.filter(c => selectedPairCols.has(c));
+  // Per-window feature matrix: export sheet + optional per-window stats in the prompt
+  const [useWindowFeats, setUseWindowFeats] = useState(false);
+  const [windowPromptCols, setWindowPromptCols] = useState(new Set());
+  // Bands at/above Nyquist of a loaded file come out as NA for that file
+  const unreachableBands = useMemo(() => {
+    const out = [];
+    for (const [fname, { time }] of Object.entries(rowsByFile)) {
+      const fs = 1 / medianDelta(time);
+      const lost = parseBands(spectralOpts.bands).filter(b => !bandReachable(b, fs)).map(bandKey);
+      if (lost.length) out.push({ file: fname, nyquist: fs / 2, bands: lost });
+    }
+    return out;
+  }, [rowsByFile, spectralOpts]);
+  const windowStatCols = useWindowFeats ? featureColumns.filter(c => windowPromptCols.has(c)) : [];
+  // Structural label vocabulary thresholds
+  const [structThresholds, setStructThresholds] = useState(DEFAULT_STRUCT_THRESHOLDS);
+  // Trend thresholds stay > 0 (an invalid entry keeps the old value); event thresholds may be 0 (off)
+  const setStructThreshold = (key, value) => setStructThresholds(prev => ({
+    ...prev, [key]: TREND_THRESHOLDS.includes(key) ? Math.max(0.05, parseFloat(value) || prev[key]) : Math.max(0, parseFloat(value) || 0),
+  }));
+
+  // --- Prompt template + label set (the parser and evaluation use the same labels) ---
+  const [template, setTemplate] = useState(DEFAULT_PROMPT_TEMPLATE); // version null = unsaved edits
+  const [templateLibrary, setTemplateLibrary] = useState(() => loadTemplateLibrary());
+  const [labelsText, setLabelsText] = useState(DEFAULT_PROMPT_TEMPLATE.labels.join("\n"));
+  const labels = template.labels;
+  const editTemplate = (patch) => setTemplate(prev => ({ ...prev, ...patch, version: null }));
+
+  // --- Few-shot examples (nearest labelled recordings) ---
+  const [fewShot, setFewShot] = useState({ enabled: false, ...DEFAULT_FEWSHOT_OPTIONS });
+  const setShot = (key, value) => setFewShot(prev => ({ ...prev, [key]: value }));
+
+  // --- LLM classification ---
+  const [llmCfg, setLlmCfg] = useState(DEFAULT_LLM_CONFIG);
+  const [classifyResults, setClassifyResults] = useState([]);
+  const [classifying, setClassifying] = useState(false);
+  const setLlm = (key, value) => setLlmCfg(prev => ({ ...prev, [key]: value }));
+
+  // --- LLM response cache (IndexedDB): every reply by (model, temperature, prompt); see CACHE_MODES ---
+  const responseCache = useRef(new Map());
+  const [cacheSize, setCacheSize] = useState(0);
+  useEffect(() => {
+    loadResponseCache().then(entries => {
+      for (const [key, e] of entries) if (!responseCache.current.has(key)) responseCache.current.set(key, e);
+      setCacheSize(responseCache.current.size);
+    });
+  }, []);
+
+  // --- Ground truth + evaluation ---
+  const [truthPattern, setTruthPattern] = useState(DEFAULT_TRUTH_PATTERN);
+  const [truthManifest, setTruthManifest] = useState(null); // { name, text } — re-parsed whenever the label set changes
+  const truthByFile = useMemo(
+    () => resolveTruth(
+      Object.keys(rowsByFile), truthPattern, truthManifest && parseTruthManifest(truthManifest.text, labels).byFile, labels,
+      Object.fromEntries(Object.entries(rowsByFile).filter(([, d]) => d.source).map(([f, d]) => [f, d.source]))
+    ),
+    [rowsByFile, truthPattern, truthManifest, labels]
+  );
+  // Finished rows only; failed or unparsed replies count as "no answer" (wrong)
+  const evaluation = useMemo(() => {
+    const pairs = classifyResults
+      .filter(r => ["ok", "unparsed", "error"].includes(r.status) && truthByFile[r.file])
+      .map(r => ({ truth: truthByFile[r.file], pred: r.status === "ok" ? r.label : null }));
+    return pairs.length ? evaluatePredictions(pairs, labels) : null;
+  }, [classifyResults, truthByFile, labels]);
+  // Segmented recordings: per-file vote over the segment predictions, evaluated against the recording's own truth
+  const [voteMethod, setVoteMethod] = useState("majority");
+  const fileVotes = useMemo(() => voteByFile(classifyResults, voteMethod), [classifyResults, voteMethod]);
+  const sourceTruth = useMemo(
+    () => resolveTruth(fileVotes.map(v => v.file), truthPattern, truthManifest && parseTruthManifest(truthManifest.text, labels).byFile, labels),
+    [fileVotes, truthPattern, truthManifest, labels]
+  );
+  const voteEvaluation = useMemo(() => {
+    const pairs = fileVotes.filter(v => sourceTruth[v.file]).map(v => ({ truth: sourceTruth[v.file], pred: v.label || null }));
+    return pairs.length ? evaluatePredictions(pairs, labels) : null;
+  }, [fileVotes, sourceTruth, labels]);
+
+  // --- Fine-tuning JSONL; the split assignment is kept (and saved with the session) so reruns reuse it ---
+  const [finetuneOpts, setFinetuneOpts] = useState(DEFAULT_FINETUNE_OPTIONS);
+  const [savedSplits, setSavedSplits] = useState(null);
+  const setFinetune = (key, value) => setFinetuneOpts(prev => ({ ...prev, [key]: value }));
+  const setFraction = (split, value) => setFinetuneOpts(prev => ({ ...prev, fractions: { ...prev.fractions, [split]: value } }));
+
+  // --- Classical ML baseline on the same features ---
+  const [baselineOpts, setBaselineOpts] = useState(DEFAULT_BASELINE_OPTIONS);
+  const [baselineResults, setBaselineResults] = useState(null); // { results, columns, cv }
+  const [baselineView, setBaselineView] = useState("knn");
+  const setBase = (key, value) => setBaselineOpts(prev => ({ ...prev, [key]: value }));
+
+  // --- Experiment sweep (state mirrored to localStorage so a reload can resume) ---
+  const [sweep, setSweep] = useState(() => loadSweep());
+  const [sweepSpec, setSweepSpec] = useState(() => sweep?.spec ?? DEFAULT_SWEEP_SPEC);
+  const [sweeping, setSweeping] = useState(false);
+  const sweepStop = useRef(false);
+  const sweepConfigs = useMemo(() => expandSweepGrid(sweepSpec, featureColumns), [sweepSpec, featureColumns]);
+  const featureSetNotes = useMemo(() => featureSetWarnings(sweepSpec.featureSets, featureColumns), [sweepSpec.featureSets, featureColumns]);
+  const setSpec = (key, value) => setSweepSpec(prev => ({ ...prev, [key]: value }));
+  const sweepDone = sweep ? Object.values(sweep.results).filter(r => r.status !== "error").length : 0;
+
+  // --- Robustness: each file plus perturbed variants, classified with the current settings; flips vs the clean label ---
+  const [augmentOpts, setAugmentOpts] = useState(DEFAULT_AUGMENT_OPTIONS);
+  const [robustRows, setRobustRows] = useState([]);
+  const [robusting, setRobusting] = useState(false);
+  const robustStop = useRef(false);
+  const setAugment = (key, value) => setAugmentOpts(prev => ({ ...prev, [key]: value }));
+  const setAugmentParam = (t, value) => setAugmentOpts(prev => ({ ...prev, params: { ...prev.params, [t]: value } }));
+  const toggleTransform = (t, on) => setAugmentOpts(prev => ({
+    ...prev, transforms: Object.keys(AUGMENT_TRANSFORMS).filter(k => (k === t ? on : prev.transforms.includes(k))),
+  }));
+  const robustness = useMemo(() => (robustRows.length ? flipReport(robustRows, truthByFile, labels) : null), [robustRows, truthByFile, labels]);
+
+  // --- Session: autosaved to IndexedDB, exportable as one project file ---
+  const [sessionReady, setSessionReady] = useState(false); // no autosave until the stored session has been restored
+  const [sessionSavedAt, setSessionSavedAt] = useState(null);
+  const sessionSettings = useMemo(() => ({
+    winSec, hopSec, inputMode, rawOpts, mapping, useStat, useStruct, captionMode, tokenBudget, selectedFeatCols,
+    spectralOpts, bandsText, selectedPairCols, useWindowFeats, windowPromptCols, structThresholds, template, labelsText,
+    fewShot, llmCfg, truthPattern, truthManifest, baselineOpts, sweepSpec, qaRules, qaOptions, resampleOpts, finetuneOpts,
+    savedSplits, segmentOpts, voteMethod, augmentOpts,
+  }), [
+    winSec, hopSec, inputMode, rawOpts, mapping, useStat, useStruct, captionMode, tokenBudget, selectedFeatCols,
+    spectralOpts, bandsText, selectedPairCols, useWindowFeats, windowPromptCols, structThresholds, template, labelsText,
+    fewShot, llmCfg, truthPattern, truthManifest, baselineOpts, sweepSpec, qaRules, qaOptions, resampleOpts, finetuneOpts,
+    savedSplits, segmentOpts, voteMethod, augmentOpts,
+  ]);
+  const currentSession = () => makeSession(sessionSettings, { rowsByFile, computedByFile, computedKey, classifyResults, baselineResults, qaReports });
+
+  // Settings missing from older sessions keep their current value; the API key is never in a session.
+  const restoreSession = useCallback((s, source) => {
+    const setters = {
+      winSec: setWinSec, hopSec: setHopSec, inputMode: setInputMode, rawOpts: setRawOpts, mapping: setMapping,
+      useStat: setUseStat, useStruct: setUseStruct, captionMode: setCaptionMode, tokenBudget: setTokenBudget,
+      selectedFeatCols: setSelectedFeatCols, spectralOpts: setSpectralOpts, bandsText: setBandsText,
+      selectedPairCols: setSelectedPairCols, useWindowFeats: setUseWindowFeats, windowPromptCols: setWindowPromptCols,
+      structThresholds: setStructThresholds, template: setTemplate, labelsText: setLabelsText, fewShot: setFewShot,
+      llmCfg: (cfg) => setLlmCfg(prev => ({ ...prev, ...cfg, apiKey: prev.apiKey })),
+      truthPattern: setTruthPattern, truthManifest: setTruthManifest, baselineOpts: setBaselineOpts, sweepSpec: setSweepSpec,
+      qaRules: setQaRules, qaOptions: setQaOptions, resampleOpts: setResampleOpts, finetuneOpts: setFinetuneOpts,
+      savedSplits: setSavedSplits, segmentOpts: setSegmentOpts, voteMethod: setVoteMethod, augmentOpts: setAugmentOpts,
+    };
+    for (const [key, set] of Object.entries(setters)) if (key in s.settings) set(s.settings[key]);
+    setFiles([]);
+    setRowsByFile(s.data.rowsByFile ?? {});
+    setComputedByFile(s.data.computedByFile ?? {});
+    setComputedKey(s.data.computedKey ?? null); // older sessions: recomputed on first use
+    setClassifyResults(s.data.classifyResults ?? []);
+    setBaselineResults(s.data.baselineResults ?? null);
+    setQaReports(s.data.qaReports ?? []);
+    setLog(L => [...L, `Session restored from ${source}: ${Object.keys(s.data.rowsByFile ?? {}).length} file(s), saved ${s.savedAt}.`]);
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadAutosave().then(s => {
+      if (cancelled) return;
+      if (s) restoreSession(s, "autosave");
+      setSessionReady(true);
+    });
+    return () => { cancelled = true; };
+  }, [restoreSession]);
+
+  // Debounced so bursts of updates (parsing, classification) are written once
+  useEffect(() => {
+    if (!sessionReady) return;
+    const id = setTimeout(() => {
+      const session = makeSession(sessionSettings, { rowsByFile, computedByFile, computedKey, classifyResults, baselineResults, qaReports });
+      saveAutosave(session).then(ok => ok && setSessionSavedAt(session.savedAt));
+    }, 1000);
+    return () => clearTimeout(id);
+  }, [sessionReady, sessionSettings, rowsByFile, computedByFile, computedKey, classifyResults, baselineResults, qaReports]);
 
   const onDrop = useCallback((ev) => {
     ev.preventDefault();
@@ -389,95 +288,101 @@ const [selectedFeatCols, setSelectedFeatCols] = useState(new Set(FEATURE_COLUMNS
   };
   const prevent = (ev) => ev.preventDefault();
 
+  const detectColumns = async () => {
+    if (!files.length) return;
+    const parsed = Papa.parse(await files[0].text(), { header: true, dynamicTyping: true, preview: 2 });
+    const cols = parsed.meta.fields || [];
+    setHeaders(cols);
+    setMapping(detectMapping(cols, parsed.data[0]));
+    setLog((L) => [...L, `${files[0].name}: detected ${cols.length} columns`]);
+  };
+
+  const detectRawHeaders = async () => {
+    if (!files.length) return;
+    const cols = Papa.parse(await files[0].text(), { header: true, preview: 1 }).meta.fields || [];
+    setRawHeaders(cols);
+    setLog((L) => [...L, `${files[0].name}: ${cols.length} raw log columns`]);
+  };
+
+  // role: "time" | "series" | "ignore"; series keep header order
+  const setColumnRole = (col, role) => {
+    setMapping((prev) => {
+      const cols = headers.length ? headers : [prev.time, ...prev.series.map((d) => d.key)];
+      let time = prev.time === col ? "" : prev.time;
+      let series = prev.series.filter((d) => d.key !== col);
+      if (role === "time") time = col;
+      if (role === "series") {
+        const guess = prev.series.find((d) => d.key === col) ?? detectMapping([col]).series[0]
+          ?? { key: col, tag: col, kind: "other" };
+        series = cols.map((c) => (c === col ? guess : series.find((d) => d.key === c))).filter(Boolean);
+      }
+      return { time, series };
+    });
+  };
+  const setSeriesField = (col, field, value) => {
+    setMapping((prev) => ({ ...prev, series: prev.series.map((d) => (d.key === col ? { ...d, [field]: value } : d)) }));
+  };
+  const savePreset = () => {
+    const name = presetName.trim();
+    if (!name) return;
+    const next = { ...presets, [name]: mapping };
+    setPresets(next);
+    savePresets(next);
+    setLog((L) => [...L, `Saved column preset "${name}"`]);
+  };
+  const deletePreset = (name) => {
+    const next = { ...presets };
+    delete next[name];
+    setPresets(next);
+    savePresets(next);
+  };
+
   const parseAll = async () => {
+    if (inputMode === "processed" && !mapping.time) {
+      setLog(["Column mapping has no time column."]);
+      return;
+    }
+    if (inputMode === "processed" && !mapping.series.length) {
+      setLog(["Column mapping has no series columns."]);
+      return;
+    }
     setProcessing(true);
     setLog([]);
     const byFile = {};
+    const reports = [];
 
     for (const f of files) {
       const text = await f.text();
-      const parsed = Papa.parse(text, { header: true, dynamicTyping: true });
-      const cols = parsed.meta.fields || [];
-      const needed = [
-        "time_s",
-        "tag1_residual_rad",
-        "tag2_residual_rad",
-        "tag1_detrend_rad",
-        "tag2_detrend_rad",
-      ];
-      const missing = needed.filter((c) => !cols.includes(c));
-      if (missing.length) {
-        setLog((L) => [...L, `${f.name}: missing columns ${missing.join(", ")}`]);
+      const res = parseInputCsv(text, { mode: inputMode, mapping, rawOptions: rawOpts });
+      if (res.error) {
+        setLog((L) => [...L, `${f.name}: ${res.error}`]);
         continue;
       }
-
-      const raw = parsed.data;
-      const time = [];
-      const tag1_residual_rad = [], tag2_residual_rad = [];
-      const tag1_detrend_rad = [], tag2_detrend_rad = [];
-      for (const r of raw) {
-        const t = Number(r.time_s);
-        const a1 = Number(r.tag1_residual_rad);
-        const a2 = Number(r.tag2_residual_rad);
-        const d1 = Number(r.tag1_detrend_rad);
-        const d2 = Number(r.tag2_detrend_rad);
-        if ([t, a1, a2, d1, d2].every(isFiniteNum)) {
-          time.push(t);
-          tag1_residual_rad.push(a1); tag2_residual_rad.push(a2);
-          tag1_detrend_rad.push(d1);  tag2_detrend_rad.push(d2);
-        }
-      }
-      if (time.length < 8) {
-        setLog((L) => [...L, `${f.name}: too few valid rows after cleaning (${time.length})`]);
+      const qa = qualityReport(f.name, res.data, qaRules, qaOptions);
+      reports.push(qa);
+      setLog((L) => [...L, `${f.name}: ${res.message}`]);
+      if (qa.issues.length) setLog((L) => [...L, `${f.name}: quality ${qa.status} — ${qa.issues.map((i) => i.message).join("; ")}`]);
+      if (qa.status === "reject") continue;
+      const rs = resampleInput(f.name, res.data, resampleOpts);
+      if (rs.error) {
+        setLog((L) => [...L, `${f.name}: ${rs.error}`]);
         continue;
       }
-      // enforce strictly increasing time
-      for (let i = 1; i < time.length; i++) if (!(time[i] > time[i - 1])) time[i] = time[i - 1] + 1e-6;
-
-      byFile[f.name] = {
-        time,
-        series: { tag1_residual_rad, tag2_residual_rad, tag1_detrend_rad, tag2_detrend_rad },
-      };
-      setLog((L) => [...L, `${f.name}: parsed ${time.length} cleaned rows`]);
+      if (rs.message) setLog((L) => [...L, `${f.name}: ${rs.message}`]);
+      const sha256 = await sha256Hex(text);
+      for (const part of rs.parts) {
+        const sg = segmentInput(part.fname, part.data, segmentOpts);
+        if (sg.error || sg.message) setLog((L) => [...L, `${part.fname}: ${sg.error ?? sg.message}`]);
+        for (const seg of sg.parts ?? []) byFile[seg.fname] = { ...seg.data, sha256 };
+      }
     }
 
+    setQaReports(reports);
     setRowsByFile(byFile);
+    setComputedByFile({});
+    setComputedKey(null);
     setProcessing(false);
   };
-  const buildPromptForFile = (fname, time, series, cached, wantedFeatureCols, useStat, useStruct) => {
-    // Header (you can tweak to your favorite prompt style)
-    const header = `You classify indoor environments (Bedroom, Corridor, Home Office, Lab) from RFID phase summaries.\n` +
-        `Return: a single label and one sentence of rationale.\n`;
-
-    // Statistical section
-    let statSection = "";
-    if (useStat) {
-        // Look up the four rows we computed in runExtraction
-        const getRow = (col) => cached.featureRows.find(r => r.column === col) || {};
-        const t1r = getRow("tag1_residual_rad");
-        const t2r = getRow("tag2_residual_rad");
-        const t1d = getRow("tag1_detrend_rad");
-        const t2d = getRow("tag2_detrend_rad");
-
-        statSection =
-        `\nStatistical features (selected):\n` +
-        statLine("Tag 1 (residual)", t1r, wantedFeatureCols) + "\n" +
-        statLine("Tag 2 (residual)", t2r, wantedFeatureCols) + "\n" +
-        statLine("Tag 1 (detrended)", t1d, wantedFeatureCols) + "\n" +
-        statLine("Tag 2 (detrended)", t2d, wantedFeatureCols) + "\n";
-    }
-
-    // Structural section
-    let structSection = "";
-    if (useStruct) {
-        const rows = buildCombinedStructuralRows(time, series, winSec, hopSec, slidingWindowCaptions);
-        structSection = `\nStructural labels by time window:\n` + structuralParagraph(rows) + "\n";
-    }
-
-    const footer = `\nOutput format:\nLabel: <Bedroom|Corridor|Home Office|Lab> — <≤20 words reason>`;
-
-    return `File: ${fname}\n${header}${statSection}${structSection}${footer}\n`;
-    };
     function downloadText(filename, text) {
         const blob = new Blob([text], { type: "text/plain;charset=utf-8" });
         const url = URL.createObjectURL(blob);
@@ -486,36 +391,113 @@ const [selectedFeatCols, setSelectedFeatCols] = useState(new Set(FEATURE_COLUMNS
         URL.revokeObjectURL(url);
         }
 
-    function buildLLMPrompts(captionsByTag) {
-    // captionsByTag is an object: { tagName: [{window_index, start_time, end_time, label}, ...], ... }
-
-    // Merge all tag arrays by window_index
-    const merged = {};
-        for (const [tagName, rows] of Object.entries(captionsByTag)) {
-            rows.forEach(row => {
-            if (!merged[row.window_index]) {
-                merged[row.window_index] = {
-                start_time: row.start_time,
-                end_time: row.end_time,
-                };
-            }
-            merged[row.window_index][tagName] = row.label;
-            });
-        }
+  // Prompt settings shared by step 4 and classification (also written into each JSONL record)
+  const promptConfig = (WIN, HOP) => ({
+    winSec: WIN, hopSec: HOP, useStat, useStruct, featureColumns: featureColumns.filter(c => selectedFeatCols.has(c)),
+    windowStatColumns: windowStatCols, structThresholds, pairFeatureColumns: pairCols, spectralOptions: spectralOpts, template,
+    captionMode, tokenBudget: Number(tokenBudget) || 0,
+    ...(fewShot.enabled && { fewShot: { k: fewShot.k, metric: fewShot.metric, balance: fewShot.balance } }),
+    });
+
+  // Reproducibility manifest for an export of the given files (current settings)
+  const manifestFor = (kind, fnames, config = promptConfig(Number(winSec), Number(hopSec))) =>
+    buildManifest(kind, manifestInputs(rowsByFile, fnames), config, { mode: inputMode, mapping, rawOptions: rawOpts, resample: resampleOpts, segments: segmentOpts }, __APP_VERSION__);
+  const writeWorkbook = (wb, kind, name, fnames = Object.keys(rowsByFile)) => XLSX.writeFile(appendManifestSheet(wb, manifestFor(kind, fnames)), name);
+
+  // Step-2 results are reused only while the settings they were computed with are unchanged
+  const resultsKey = (WIN, HOP) => JSON.stringify({ WIN, HOP, structThresholds, spectralOpts });
+  const storedResults = (fname, WIN, HOP) => (computedKey === resultsKey(WIN, HOP) ? computedByFile[fname] : undefined);
+
+  // Cached step-2 results, or computed once per run
+  const makeCache = (WIN, HOP) => {
+    const cache = {};
+    return (fname) => (cache[fname] ??= storedResults(fname, WIN, HOP)
+        || computeFileResults(
+            fname, rowsByFile[fname].time, rowsByFile[fname].series, WIN, HOP, structThresholds, spectralOptionsFor(spectralOpts, rowsByFile[fname].resample)
+        ));
+    };
 
-        // Build prompts
-        const prompts = Object.values(merged)
-            .sort((a, b) => a.start_time - b.start_time)
-            .map(row => {
-            return `Between ${row.start_time.toFixed(3)} - ${row.end_time.toFixed(3)} seconds, ` +
-                `Tag 1 (residual) is ${row.tag1_residual_rad || "unknown"}. ` +
-                `Tag 2 (residual) is ${row.tag2_residual_rad || "unknown"}. ` +
-                `Tag 1 (detrended) is ${row.tag1_detrend_rad || "unknown"}. ` +
-                `Tag 2 (detrended) is ${row.tag2_detrend_rad || "unknown"}.`;
-            });
-
-        return prompts;
+  // Few-shot: every loaded file with a ground-truth label is a candidate example (the query itself never is).
+  // Returns (fname, config) → examples with their sections, or [] when few-shot is off. Queries not among the loaded
+  // files (augmented variants) are looked up in dataByFile.
+  const makeExamplePicker = (cacheFor, dataByFile = rowsByFile) => {
+    if (!fewShot.enabled) return () => [];
+    const refs = Object.keys(rowsByFile).filter(f => truthByFile[f]).map(f => ({ file: f, label: truthByFile[f], cached: cacheFor(f), source: rowsByFile[f].source }));
+    if (!refs.length) setLog(L => [...L, "Few-shot: no loaded file has a ground-truth label — prompts stay zero-shot."]);
+    const index = buildExampleIndex(refs, featureColumns);
+    return (fname, config) => withExampleSections(retrieveExamples(index, fname, cacheFor(fname), fewShot, dataByFile[fname].source), rowsByFile, cacheFor, config);
+    };
+
+  // Every LLM call goes through the response cache; in replay mode nothing reaches the network
+  const makeClient = () => cachingClient(
+    llmCfg.cacheMode === "replay" ? null : createChatClient(llmCfg), llmCfg, responseCache.current,
+    entry => { storeResponses([entry]); setCacheSize(responseCache.current.size); }
+    );
+
+  const exportResponseCache = () => {
+    downloadText(CACHE_FILE_NAME, serializeResponseCache(responseCache.current));
+    setLog(L => [...L, `Exported ${CACHE_FILE_NAME} (${responseCache.current.size} replies)`]);
+    };
+
+  // Imported entries are merged (same key = same request, the imported reply wins)
+  const onPickResponseCache = async (ev) => {
+    const f = ev.target.files?.[0];
+    ev.target.value = "";
+    if (!f) return;
+    let parsed;
+    try { parsed = JSON.parse(await f.text()); } catch (err) {
+        setLog(L => [...L, `${f.name}: not valid JSON (${err.message})`]);
+        return;
     }
+    const { entries, error } = readResponseCacheFile(parsed);
+    if (error) {
+        setLog(L => [...L, `${f.name}: ${error}`]);
+        return;
+    }
+    for (const e of entries) responseCache.current.set(e.key, e);
+    setCacheSize(responseCache.current.size);
+    const saved = await storeResponses(entries);
+    setLog(L => [...L, `${f.name}: ${entries.length} cached replies imported${saved ? "" : " (IndexedDB unavailable: kept for this page only)"}`]);
+    };
+
+  const clearCache = async () => {
+    if (!window.confirm(`Delete all ${responseCache.current.size} cached LLM replies?`)) return;
+    responseCache.current.clear();
+    setCacheSize(0);
+    await clearResponseCache();
+    setLog(L => [...L, "Response cache cleared."]);
+    };
+
+  const logBudget = (fname, record) => {
+    if (record.coarsenedFromHopSec) setLog(L => [...L, `${fname}: over the token budget — hop coarsened ${record.coarsenedFromHopSec} → ${record.config.hopSec} s`]);
+    if (record.overBudget) setLog(L => [...L, `${fname}: still ≈${record.tokens} tokens, over the budget of ${record.config.tokenBudget}`]);
+    };
+
+    const buildLLMPrompts = () => {
+    if (!Object.keys(rowsByFile).length) return;
+
+    const WIN = Number(winSec);
+    const HOP = Number(hopSec);
+    const config = promptConfig(WIN, HOP);
+    const cacheFor = makeCache(WIN, HOP);
+    const pickExamples = makeExamplePicker(cacheFor);
+    const bundle = [];
+
+    for (const [fname, data] of Object.entries(rowsByFile)) {
+        const record = buildBudgetedPromptRecord(fname, data, cacheFor(fname), config, cfg => pickExamples(fname, cfg));
+        const txtName = promptFileName(fname);
+        downloadText(txtName, record.prompt);
+        bundle.push(JSON.stringify(record));
+        setLog(L => [...L, `${fname}: exported ${txtName} (≈${record.tokens} tokens)`]);
+        logBudget(fname, record);
+        if (record.examples) setLog(L => [...L, `${fname}: few-shot examples → ${describeExamples(record.examples)}`]);
+    }
+
+    const bundleName = promptBundleName(bundle.length);
+    downloadText(bundleName, bundle.join("\n") + "\n");
+    downloadText(promptManifestName(bundle.length), JSON.stringify(manifestFor("prompt_bundle", Object.keys(rowsByFile), config), null, 2) + "\n");
+    setLog(L => [...L, `Prompt bundle exported: ${bundleName}`]);
+    };
 
 
 
@@ -524,59 +506,390 @@ const [selectedFeatCols, setSelectedFeatCols] = useState(new Set(FEATURE_COLUMNS
 
     const WIN = Number(winSec);
     const HOP = Number(hopSec);
+    const wanted = featureColumns.filter(c => selectedFeatCols.has(c));
 
-    for (const [fname, { time, series }] of Object.entries(rowsByFile)) {
+    for (const [fname, { time, series, seriesDefs, resample }] of Object.entries(rowsByFile)) {
+        const fileSpectral = spectralOptionsFor(spectralOpts, resample);
         // get cached results or compute on the fly
-        let cached = computedByFile[fname];
-        if (!cached) {
-        const featureRows = [];
-        for (const [key, arr] of Object.entries(series)) {
-            const feats = computeSeriesFeatures(time, arr);
-            featureRows.push({ file: fname, column: key, ...feats });
+        const cached = storedResults(fname, WIN, HOP) || computeFileResults(fname, time, series, WIN, HOP, structThresholds, fileSpectral);
+
+        const structName = structuralFileName(fname);
+        writeWorkbook(buildStructuralWorkbook(time, series, WIN, HOP, seriesDefs, structThresholds), "structural", structName, [fname]);
+        setLog(L => [...L, `${fname}: exported ${structName}`]);
+
+        const statName = statisticalFileName(fname);
+        writeWorkbook(buildStatisticalWorkbook(cached, seriesDefs, wanted, pairCols), "statistical", statName, [fname]);
+        setLog(L => [...L, `${fname}: exported ${statName}`]);
+
+        if (useWindowFeats) {
+        const winName = windowFeaturesFileName(fname);
+        writeWorkbook(buildWindowFeaturesWorkbook(fname, time, series, WIN, HOP, seriesDefs, fileSpectral), "window_features", winName, [fname]);
+        setLog(L => [...L, `${fname}: exported ${winName}`]);
+        }
+    }
+
+    setLog(L => [...L, "LLM export complete."]);
+    };
+
+  // Dataset export: all files' tables in one download — "xlsx" (one sheet per table) or "zip" (CSV + JSONL per table)
+  const exportDataset = (format) => {
+    const fnames = Object.keys(rowsByFile);
+    if (!fnames.length) return;
+    const config = promptConfig(Number(winSec), Number(hopSec));
+    const tables = datasetTables(fnames, rowsByFile, makeCache(config.winSec, config.hopSec), config, qaReports);
+    if (format === "zip") {
+        const blob = new Blob([buildDatasetZip(tables, manifestFor("dataset", fnames, config))], { type: "application/zip" });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement("a");
+        a.href = url; a.download = DATASET_ZIP_NAME; a.click();
+        URL.revokeObjectURL(url);
+    } else {
+        writeWorkbook(buildDatasetWorkbook(tables), "dataset", DATASET_WORKBOOK_NAME, fnames);
+    }
+    const counts = Object.entries(tables).map(([name, rows]) => `${name} ${rows.length}`).join(", ");
+    setLog(L => [...L, `Dataset exported: ${format === "zip" ? DATASET_ZIP_NAME : DATASET_WORKBOOK_NAME} (${fnames.length} files; rows: ${counts})`]);
+    };
+
+
+
+  const classifyAll = async () => {
+    if (!Object.keys(rowsByFile).length) return;
+    setClassifying(true);
+
+    const WIN = Number(winSec);
+    const HOP = Number(hopSec);
+    const config = promptConfig(WIN, HOP);
+    const cacheFor = makeCache(WIN, HOP);
+    const pickExamples = makeExamplePicker(cacheFor);
+    const jobs = Object.entries(rowsByFile).map(([fname, data]) => {
+        const record = buildBudgetedPromptRecord(fname, data, cacheFor(fname), config, cfg => pickExamples(fname, cfg));
+        logBudget(fname, record);
+        if (record.examples) setLog(L => [...L, `${fname}: few-shot examples → ${describeExamples(record.examples)}`]);
+        return {
+        file: fname,
+        source: data.source ?? fname,
+        segment: data.segment,
+        prompt: record.prompt,
+        tokens: record.tokens,
+        hopSec: record.config.hopSec,
+        examples: describeExamples(record.examples ?? []),
+        };
+    });
+    setClassifyResults(jobs.map(j => ({ ...j, response: "", label: "", rationale: "", confidence: null, status: "pending", error: "" })));
+    setLog(L => [...L, `Classifying ${jobs.length} file(s) with ${llmCfg.model} (concurrency ${llmCfg.concurrency})…`]);
+
+    const client = makeClient();
+    const update = (i, patch) => setClassifyResults(prev => prev.map((r, k) => (k === i ? { ...r, ...patch } : r)));
+
+    const results = await runWithConcurrency(jobs, Number(llmCfg.concurrency) || 1, async (job, i) => {
+        update(i, { status: "running" });
+        let response;
+        try {
+        response = await completeWithRetry(client, job.prompt, llmCfg, (attempt, delay, err) => {
+            setLog(L => [...L, `${job.file}: ${err?.message || err} — retry ${attempt} in ${Math.round(delay)} ms`]);
+        });
+        } catch (err) {
+        const patch = { status: "error", error: String(err?.message || err) };
+        update(i, patch);
+        setLog(L => [...L, `${job.file}: request failed (${patch.error})`]);
+        return { ...job, ...patch };
         }
-        const captions = {
-            tag1_residual_rad: slidingWindowCaptions(time, series.tag1_residual_rad, WIN, HOP),
-            tag2_residual_rad: slidingWindowCaptions(time, series.tag2_residual_rad, WIN, HOP),
-            tag1_detrend_rad:  slidingWindowCaptions(time, series.tag1_detrend_rad,  WIN, HOP),
-            tag2_detrend_rad:  slidingWindowCaptions(time, series.tag2_detrend_rad,  WIN, HOP),
+        const parsed = parseLabelResponse(response, labels);
+        const patch = parsed
+        ? { response, status: "ok", label: parsed.label, rationale: parsed.rationale, confidence: parsed.confidence }
+        : { response, status: "unparsed", error: "No 'Label: <class>' line found in reply" };
+        update(i, patch);
+        setLog(L => [...L, `${job.file}: ${parsed ? `→ ${parsed.label}` : "reply could not be parsed"}`]);
+        return { ...job, ...patch };
+    });
+
+    const ok = results.filter(r => r.status === "ok").length;
+    setLog(L => [...L, `Classification finished: ${ok}/${results.length} labelled (${describeCacheStats(client.stats)}).`]);
+    if (results.some(r => r.segment && r.status === "ok") && !results.some(r => Number.isFinite(r.confidence))) {
+        setLog(L => [...L, "No reply carried a 'Confidence: 0–1' line — the confidence vote falls back to the majority vote."]);
+    }
+    setClassifying(false);
+    };
+
+  const exportClassification = () => {
+    if (!classifyResults.length) return;
+    const wb = XLSX.utils.book_new();
+    const rows = classifyResults.map(r => ({
+        file: r.file, ...(r.segment && { source: r.source, segment_start_s: r.segment.start_s, segment_end_s: r.segment.end_s }),
+        label: r.label, rationale: r.rationale, confidence: r.confidence ?? "", status: r.status, error: r.error,
+        model: llmCfg.model, temperature: Number(llmCfg.temperature), hop_s: r.hopSec, prompt_tokens: r.tokens,
+        few_shot_examples: r.examples ?? "", prompt: r.prompt, raw_response: r.response,
+    }));
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rows), "classification");
+    if (fileVotes.length) {
+        const perFile = fileVotes.map(v => ({
+            file: v.file, truth: sourceTruth[v.file] ?? "", voted: v.label, vote: voteMethod, segments: v.segments, labelled: v.labelled,
+            agreement: v.agreement, votes: Object.entries(v.votes).map(([l, w]) => `${l}: ${+w.toFixed(3)}`).join("; "),
+        }));
+        XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(perFile), "per_file_vote");
+    }
+    writeWorkbook(wb, "classification", "LLM_classification.xlsx", classifyResults.map(r => r.file));
+    setLog(L => [...L, "Exported LLM_classification.xlsx"]);
+    };
+
+
+
+  const onPickManifest = async (ev) => {
+    const f = ev.target.files?.[0];
+    ev.target.value = "";
+    if (!f) return;
+    const text = await f.text();
+    const { byFile, unknown } = parseTruthManifest(text, labels);
+    setTruthManifest({ name: f.name, text });
+    setLog(L => [...L, `${f.name}: ${Object.keys(byFile).length} ground-truth label(s) loaded`]);
+    if (unknown.length) setLog(L => [...L, `${f.name}: ignored unknown labels → ${unknown.join("; ")}`]);
+    };
+
+  // Labelled files → LLM_finetune_train/val/test.jsonl + the split assignment. A correct LLM answer from the last
+  // classification run is reused as the assistant's reason and confidence; otherwise the rationale template is used.
+  const buildFinetune = () => {
+    const fnames = Object.keys(rowsByFile);
+    if (!fnames.length) return;
+    const config = promptConfig(Number(winSec), Number(hopSec));
+    const replyFor = (f) => classifyResults.find(r => r.file === f && r.status === "ok" && r.label === truthByFile[f]);
+    const { records, splits, warnings } = buildFinetuneDataset(
+        fnames, rowsByFile, makeCache(config.winSec, config.hopSec), truthByFile, config, finetuneOpts, savedSplits, replyFor
+    );
+    for (const split of SPLITS) if (records[split].length) downloadText(finetuneFileName(split), toJsonl(records[split]));
+    downloadText(SPLITS_FILE_NAME, JSON.stringify(splits, null, 2) + "\n");
+    setSavedSplits(splits);
+    setLog(L => [...L, `Fine-tuning JSONL: ${SPLITS.map(k => `${k} ${records[k].length}`).join(", ")} example(s); splits saved as ${SPLITS_FILE_NAME}`]);
+    for (const w of warnings) setLog(L => [...L, `Fine-tuning: ${w}`]);
+    };
+
+  const onPickSplits = async (ev) => {
+    const f = ev.target.files?.[0];
+    ev.target.value = "";
+    if (!f) return;
+    let res;
+    try {
+        res = readSplitsFile(JSON.parse(await f.text()));
+    } catch (err) {
+        res = { error: `not valid JSON (${err.message})` };
+    }
+    if (res.error) {
+        setLog(L => [...L, `${f.name}: ${res.error}`]);
+        return;
+    }
+    setSavedSplits(res.splits);
+    setLog(L => [...L, `${f.name}: ${Object.keys(res.splits.sessions).length} session(s) keep their split on the next build`]);
+    };
+
+  const exportEvaluation = () => {
+    if (!evaluation) return;
+    const { summary, perClass, confusion } = evaluationSheets(evaluation);
+    const perFile = classifyResults.map(r => ({
+        file: r.file, truth: truthByFile[r.file] ?? "", predicted: r.label, status: r.status,
+        correct: truthByFile[r.file] && r.status === "ok" ? r.label === truthByFile[r.file] : "",
+    }));
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(summary), "summary");
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(perClass), "per_class");
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(confusion), "confusion");
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(perFile), "per_file");
+    writeWorkbook(wb, "evaluation", "LLM_evaluation.xlsx", classifyResults.map(r => r.file));
+    setLog(L => [...L, "Exported LLM_evaluation.xlsx"]);
+    };
+
+
+
+  // resume=true keeps the saved grid and skips (config, file) pairs that already have a result
+  const runSweep = async (resume) => {
+    const entries = Object.entries(rowsByFile);
+    if (!entries.length) return;
+    let state = resume && sweep
+        ? { ...sweep, finishedAt: null }
+        : { spec: sweepSpec, configs: sweepConfigs, results: {}, startedAt: new Date().toISOString(), finishedAt: null };
+    if (!state.configs.length) {
+        setLog(L => [...L, "Sweep: the grid is empty (check windows, hops, sections and feature sets)."]);
+        return;
+    }
+    const commit = (next) => { state = next; saveSweep(next); setSweep(next); };
+    commit(state);
+    setSweeping(true);
+    sweepStop.current = false;
+
+    const classify = !!state.spec.classify;
+    const client = classify ? makeClient() : null;
+    const featureCache = {}; // whole-file features don't depend on win/hop
+    const cacheFor = (f) => (featureCache[f] ??= computeFileResults(
+        f, rowsByFile[f].time, rowsByFile[f].series, state.configs[0].winSec, state.configs[0].hopSec, structThresholds,
+        spectralOptionsFor(spectralOpts, rowsByFile[f].resample)
+    ));
+    const pickExamples = makeExamplePicker(cacheFor);
+    setLog(L => [...L, `Sweep ${resume ? "resumed" : "started"}: ${state.configs.length} config(s) × ${entries.length} file(s)${classify ? ", classifying" : ""}.`]);
+
+    for (const cfg of state.configs) {
+        if (sweepStop.current) break;
+        const todo = entries.filter(([fname]) => {
+        const r = state.results[resultKey(cfg.id, fname)];
+        return !r || r.status === "error";
+        });
+        if (!todo.length) continue;
+
+        // the step-4 prompt settings with this grid point's window, hop, sections and feature subset
+        const config = {
+            ...promptConfig(cfg.winSec, cfg.hopSec), useStat: cfg.useStat, useStruct: cfg.useStruct, featureColumns: cfg.featureColumns,
+        };
+        await runWithConcurrency(todo, classify ? Number(llmCfg.concurrency) || 1 : 1, async ([fname, data]) => {
+        if (sweepStop.current) return;
+        const record = buildBudgetedPromptRecord(fname, data, cacheFor(fname), config, c => pickExamples(fname, c));
+        const { prompt } = record;
+        const row = {
+            config_id: cfg.id, win_s: cfg.winSec, hop_s: cfg.hopSec, hop_used_s: record.config.hopSec, use_stat: cfg.useStat,
+            use_struct: cfg.useStruct, feature_set: cfg.featureSet, file: fname, truth: truthByFile[fname] ?? "",
+            prompt_chars: prompt.length, prompt_tokens: record.tokens, few_shot_examples: describeExamples(record.examples ?? []),
+            label: "", rationale: "", status: "prompt_only", error: "",
         };
-        cached = { featureRows, captions };
+        if (classify) {
+            try {
+            const response = await completeWithRetry(client, prompt, llmCfg);
+            const parsed = parseLabelResponse(response, labels);
+            if (parsed) Object.assign(row, { status: "ok", label: parsed.label, rationale: parsed.rationale });
+            else Object.assign(row, { status: "unparsed", error: "No 'Label: <class>' line found in reply" });
+            } catch (err) {
+            Object.assign(row, { status: "error", error: String(err?.message || err) });
+            }
         }
+        commit({ ...state, results: { ...state.results, [resultKey(cfg.id, fname)]: row } });
+        });
+        setLog(L => [...L, `Sweep ${cfg.id}: done.`]);
+    }
+
+    const stopped = sweepStop.current;
+    if (!stopped) commit({ ...state, finishedAt: new Date().toISOString() });
+    setSweeping(false);
+    setLog(L => [...L, (stopped ? "Sweep stopped; use Resume to continue." : "Sweep finished.") + (client ? ` (${describeCacheStats(client.stats)})` : "")]);
+    };
+
+  const exportSweep = () => {
+    if (!sweep) return;
+    const rows = Object.values(sweep.results);
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(summarizeSweep(sweep.configs, rows, labels)), "summary");
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rows.length ? rows : [{ config_id: "" }]), "results");
+    const configRows = sweep.configs.map(c => ({
+        config_id: c.id, win_s: c.winSec, hop_s: c.hopSec, use_stat: c.useStat, use_struct: c.useStruct,
+        feature_set: c.featureSet, feature_columns: c.featureColumns.join(", "),
+    }));
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(configRows), "configs");
+    writeWorkbook(wb, "sweep", "LLM_sweep_results.xlsx");
+    setLog(L => [...L, "Exported LLM_sweep_results.xlsx"]);
+    };
+
+  const clearSweep = () => {
+    saveSweep(null);
+    setSweep(null);
+    };
 
-        // -------- STRUCTURAL: one sheet with all tag labels --------
-        const wbStruct = XLSX.utils.book_new();
-        const structuralRows = buildCombinedStructuralSheet(time, series, WIN, HOP);
-        const wsStructural = XLSX.utils.json_to_sheet(
-        structuralRows.length
-            ? structuralRows
-            : [{ window_index:"", start_time:"", end_time:"", tag1_residual_label:"", tag2_residual_label:"", tag1_detrend_label:"", tag2_detrend_label:"" }]
-        );
-        XLSX.utils.book_append_sheet(wbStruct, wsStructural, "structural");
-        const structName = fname.replace(/\.[^.]+$/, "") + "_LLM_structural.xlsx";
-        XLSX.writeFile(wbStruct, structName);
-        setLog(L => [...L, `${fname}: exported ${structName}`]);
 
-        // -------- STATISTICAL: one sheet (use your selected columns) --------
-        const wbStat = XLSX.utils.book_new();
-        const rows = [];
-        const wanted = Array.from(selectedFeatCols); // <- your selected columns Set
-        for (const key of [
-        "tag1_residual_rad","tag2_residual_rad","tag1_detrend_rad","tag2_detrend_rad"
-        ]) {
-        const full = cached.featureRows.find(r => r.column === key);
-        if (!full) continue;
-        const filtered = { column: key };
-        for (const col of wanted) filtered[col] = full[col];
-        rows.push(filtered);
+  // Every loaded file and its variants go through the same prompt pipeline and the LLM; the clean prompt is rebuilt
+  // here rather than taken from step 5 so both sides use identical settings. Variants are shown under the original
+  // file name, so only the signal differs between the two prompts.
+  const runRobustness = async () => {
+    const fnames = Object.keys(rowsByFile);
+    if (!fnames.length || !augmentOpts.transforms.length) return;
+    setRobusting(true);
+    robustStop.current = false;
+
+    const WIN = Number(winSec);
+    const HOP = Number(hopSec);
+    const config = promptConfig(WIN, HOP);
+    const dataOf = { ...rowsByFile };
+    for (const fname of fnames) for (const part of augmentInput(fname, rowsByFile[fname], augmentOpts)) dataOf[part.fname] = part.data;
+    const cache = {};
+    // originals are recomputed like the variants, never taken from step 2
+    const cacheFor = (f) => (cache[f] ??= computeFileResults(
+        f, dataOf[f].time, dataOf[f].series, WIN, HOP, structThresholds, spectralOptionsFor(spectralOpts, dataOf[f].resample)
+    ));
+    const pickExamples = makeExamplePicker(cacheFor, dataOf);
+    const jobs = Object.keys(dataOf).map(fname => ({
+        file: fname,
+        augment: dataOf[fname].augment,
+        prompt: buildBudgetedPromptRecord(
+            dataOf[fname].augment?.of ?? fname, dataOf[fname], cacheFor(fname), config, cfg => pickExamples(fname, cfg)
+        ).prompt,
+    }));
+    setRobustRows(jobs.map(j => ({ ...j, label: "", rationale: "", status: "pending", error: "" })));
+    setLog(L => [...L, `Robustness: ${fnames.length} file(s) + ${jobs.length - fnames.length} variant(s) with ${llmCfg.model}…`]);
+
+    const client = makeClient();
+    const update = (i, patch) => setRobustRows(prev => prev.map((r, k) => (k === i ? { ...r, ...patch } : r)));
+    await runWithConcurrency(jobs, Number(llmCfg.concurrency) || 1, async (job, i) => {
+        if (robustStop.current) return;
+        try {
+        const response = await completeWithRetry(client, job.prompt, llmCfg);
+        const parsed = parseLabelResponse(response, labels);
+        update(i, parsed
+            ? { status: "ok", label: parsed.label, rationale: parsed.rationale }
+            : { status: "unparsed", error: "No 'Label: <class>' line found in reply" });
+        } catch (err) {
+        update(i, { status: "error", error: String(err?.message || err) });
         }
-        const wsStat = XLSX.utils.json_to_sheet(rows.length ? rows : [{ column: "" }]);
-        XLSX.utils.book_append_sheet(wbStat, wsStat, "statistical");
-        const statName = fname.replace(/\.[^.]+$/, "") + "_LLM_statistical.xlsx";
-        XLSX.writeFile(wbStat, statName);
-        setLog(L => [...L, `${fname}: exported ${statName}`]);
+    });
+
+    setRobusting(false);
+    setLog(L => [...L, `${robustStop.current ? "Robustness run stopped" : "Robustness run finished"} (${describeCacheStats(client.stats)}).`]);
+    };
+
+  const exportRobustness = () => {
+    if (!robustness) return;
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(robustness.byTransform), "by_transform");
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(robustness.byFile.length ? robustness.byFile : [{ file: "" }]), "by_file");
+    const rows = robustRows.map(r => ({
+        file: r.file, original: r.augment?.of ?? r.file, transform: r.augment?.transform ?? "clean", variant: r.augment?.variant ?? "",
+        strength: r.augment?.value ?? "", label: r.label, status: r.status, error: r.error, rationale: r.rationale,
+    }));
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rows), "variants");
+    const settings = augmentOpts.transforms.map(t => ({
+        transform: t, name: AUGMENT_TRANSFORMS[t].name, parameter: AUGMENT_TRANSFORMS[t].param,
+        value: Number(augmentOpts.params[t]), variants: Number(augmentOpts.variants), seed: Number(augmentOpts.seed),
+    }));
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(settings), "augmentation");
+    writeWorkbook(wb, "robustness", "LLM_robustness.xlsx", robustRows.filter(r => !r.augment).map(r => r.file));
+    setLog(L => [...L, "Exported LLM_robustness.xlsx"]);
+    };
+
+
+
+  const runBaseline = () => {
+    const cacheFor = makeCache(Number(winSec), Number(hopSec));
+    const columns = featureColumns.filter(c => selectedFeatCols.has(c));
+    const samples = baselineSamples(Object.keys(rowsByFile), cacheFor, truthByFile, columns, f => rowsByFile[f].source);
+    const classes = new Set(samples.map(s => s.label));
+    if (samples.length < 3 || classes.size < 2) {
+        setLog(L => [...L, `Baseline: need at least 3 labelled files from 2 classes (have ${samples.length} from ${classes.size}).`]);
+        return;
     }
+    const results = runBaselines(samples, labels, baselineOpts);
+    setBaselineResults({ results, columns, cv: baselineOpts.cv === "lofo" ? "leave-one-recording-out" : `stratified ${baselineOpts.folds}-fold` });
+    if (!results.some(r => r.model === baselineView)) setBaselineView(results[0]?.model ?? "knn");
+    setLog(L => [...L, `Baseline (${samples.length} files, ${columns.length} columns): ` +
+        results.map(r => `${r.model} acc ${fmt(r.evaluation.accuracy)}`).join(", ")]);
+    };
 
-    setLog(L => [...L, "LLM export complete."]);
+  const exportBaseline = () => {
+    if (!baselineResults) return;
+    const wb = XLSX.utils.book_new();
+    const summary = baselineResults.results.map(r => ({
+        model: r.name, cv: baselineResults.cv, files: r.evaluation.n, coverage: r.evaluation.coverage, accuracy: r.evaluation.accuracy, macro_f1: r.evaluation.macroF1,
+    }));
+    if (evaluation) summary.push({ model: `LLM (${llmCfg.model})`, cv: "none", files: evaluation.n, coverage: evaluation.coverage, accuracy: evaluation.accuracy, macro_f1: evaluation.macroF1 });
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(summary), "summary");
+    for (const r of baselineResults.results) {
+        XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(evaluationSheets(r.evaluation).confusion), `confusion_${r.model}`);
+    }
+    const preds = baselineResults.results.flatMap(r => r.predictions.map(p => ({ model: r.model, ...p, correct: p.truth === p.pred })));
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(preds), "predictions");
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(baselineResults.columns.map(c => ({ feature_column: c }))), "features");
+    writeWorkbook(wb, "baseline", "LLM_baseline.xlsx", baselineResults.results[0]?.predictions.map(p => p.file) ?? []);
+    setLog(L => [...L, "Exported LLM_baseline.xlsx"]);
     };
 
 
@@ -589,40 +902,110 @@ const [selectedFeatCols, setSelectedFeatCols] = useState(new Set(FEATURE_COLUMNS
     const HOP = Number(hopSec);
     const next = {};
 
-    for (const [fname, { time, series }] of Object.entries(rowsByFile)) {
-        // ---- features for all four series
-        const featureRows = [];
-        for (const [key, arr] of Object.entries(series)) {
-        const feats = computeSeriesFeatures(time, arr);
-        featureRows.push({ file: fname, column: key, ...feats });
-        }
-
-        // ---- captions (per tag)
-        const captions = {
-        tag1_residual_rad: slidingWindowCaptions(time, series.tag1_residual_rad, WIN, HOP),
-        tag2_residual_rad: slidingWindowCaptions(time, series.tag2_residual_rad, WIN, HOP),
-        tag1_detrend_rad:  slidingWindowCaptions(time, series.tag1_detrend_rad,  WIN, HOP),
-        tag2_detrend_rad:  slidingWindowCaptions(time, series.tag2_detrend_rad,  WIN, HOP),
-        };
-
-        next[fname] = { featureRows, captions };
+    for (const [fname, { time, series, resample }] of Object.entries(rowsByFile)) {
+        next[fname] = computeFileResults(fname, time, series, WIN, HOP, structThresholds, spectralOptionsFor(spectralOpts, resample));
+        const { featureRows } = next[fname];
         setLog(L => [...L, `${fname}: computed & cached (${featureRows.length} feature rows, captions per tag).`]);
     }
 
     setComputedByFile(next);
+    setComputedKey(resultsKey(WIN, HOP));
     setProcessing(false);
     setLog(L => [...L, "Compute step finished. Use step 3 to export LLM sheets."]);
     };
 
 
 
+  const exportQuality = () => {
+    if (!qaReports.length) return;
+    writeWorkbook(buildQualityWorkbook(qaReports), "quality", QUALITY_REPORT_NAME);
+    setLog(L => [...L, `Exported ${QUALITY_REPORT_NAME}`]);
+    };
+
+  const exportSession = () => {
+    downloadText(PROJECT_FILE_NAME, serializeProject(currentSession()));
+    setLog(L => [...L, `Exported ${PROJECT_FILE_NAME}`]);
+    };
+
+  const onPickSession = async (ev) => {
+    const f = ev.target.files?.[0];
+    ev.target.value = "";
+    if (!f) return;
+    const { session, error } = parseProject(await f.text());
+    if (error) {
+        setLog(L => [...L, `${f.name}: ${error}`]);
+        return;
+    }
+    restoreSession(session, f.name);
+    };
+
+  // Settings from a reproducibility manifest (.manifest.json or any exported workbook); loaded files are checked against its hashes.
+  const onPickRunManifest = async (ev) => {
+    const f = ev.target.files?.[0];
+    ev.target.value = "";
+    if (!f) return;
+    let res;
+    try {
+        res = /\.xlsx$/i.test(f.name)
+        ? manifestFromWorkbook(XLSX.read(await f.arrayBuffer(), { type: "array" }))
+        : readManifest(JSON.parse(await f.text()));
+    } catch (err) {
+        res = { error: `unreadable (${err.message})` };
+    }
+    if (res.error) {
+        setLog(L => [...L, `${f.name}: ${res.error}`]);
+        return;
+    }
+    const { settings: st, template: tpl } = res.manifest;
+    setWinSec(st.winSec);
+    setHopSec(st.hopSec);
+    setUseStat(st.useStat);
+    setUseStruct(st.useStruct);
+    setCaptionMode(st.captionMode ?? "window");
+    setTokenBudget(st.tokenBudget ?? 0);
+    setStructThresholds({ ...DEFAULT_STRUCT_THRESHOLDS, ...st.structThresholds });
+    const spectral = { ...DEFAULT_SPECTRAL_OPTIONS, ...st.spectralOptions };
+    setSpectralOpts(spectral);
+    setBandsText(spectral.bands.map(b => b.join("-")).join(", "));
+    setSelectedFeatCols(new Set(st.featureColumns));
+    setUseWindowFeats(st.windowStatColumns.length > 0);
+    setWindowPromptCols(new Set(st.windowStatColumns));
+    setSelectedPairCols(new Set(st.pairFeatureColumns));
+    setFewShot(prev => (st.fewShot ? { ...prev, ...st.fewShot, enabled: true } : { ...prev, enabled: false }));
+    if (st.parse) {
+        setInputMode(st.parse.mode);
+        if (st.parse.mapping) setMapping(st.parse.mapping);
+        if (st.parse.rawOptions) setRawOpts({ ...DEFAULT_RAW_OPTIONS, ...st.parse.rawOptions });
+        setResampleOpts({ ...DEFAULT_RESAMPLE_OPTIONS, ...st.parse.resample });
+        setSegmentOpts({ ...DEFAULT_SEGMENT_OPTIONS, ...st.parse.segments });
+    }
+    if (tpl) {
+        setTemplate(tpl);
+        setLabelsText(tpl.labels.join("\n"));
+    }
+    setLog(L => [...L, `${f.name}: settings restored from the ${res.manifest.export} manifest (${res.manifest.tool} ${res.manifest.tool_version}, ${res.manifest.created_at})`]);
+    const { matched, changed, missing } = compareManifestInputs(res.manifest, rowsByFile);
+    if (matched.length) setLog(L => [...L, `Manifest inputs matching the loaded files: ${matched.join(", ")}`]);
+    if (changed.length) setLog(L => [...L, `Manifest inputs with different content (hash mismatch): ${changed.join(", ")}`]);
+    if (missing.length) setLog(L => [...L, `Manifest inputs not loaded: ${missing.join(", ")}`]);
+    };
+
+  const newSession = async () => {
+    if (!window.confirm("Discard the current session (loaded files, results and settings)?")) return;
+    setSessionReady(false);
+    await clearAutosave();
+    window.location.reload();
+    };
+
+
+
   return (
     <div className="min-h-screen bg-gray-50 text-gray-900 p-6">
       <div className="max-w-5xl mx-auto">
         <h1 className="text-3xl font-semibold mb-4">RFID Phase Feature Extractor</h1>
         <p className="text-sm text-gray-600 mb-6">
-          Drop CSVs with columns: <code>time_s, tag1_residual_rad, tag2_residual_rad, tag1_detrend_rad, tag2_detrend_rad</code>.
-          Then extract statistical features and sliding-window structural captions. Two Excel files are produced per input.
+          Drop CSVs with a time column and one column per tag series (default: <code>time_s, tag1_residual_rad, tag2_residual_rad, tag1_detrend_rad, tag2_detrend_rad</code>;
+          other layouts can be mapped below). Then extract statistical features and sliding-window structural captions. Two Excel files are produced per input.
         </p>
 
         <div
@@ -637,6 +1020,31 @@ const [selectedFeatCols, setSelectedFeatCols] = useState(new Set(FEATURE_COLUMNS
           <label htmlFor="filepick" className="px-4 py-2 rounded-xl bg-black text-white hover:opacity-90 cursor-pointer">Browse files</label>
         </div>
 
+        {/* Session */}
+        <div className="mt-6 bg-white rounded-2xl p-4 shadow-sm">
+        <div className="flex flex-wrap items-center gap-3">
+            <h2 className="font-semibold">Session</h2>
+            <span className="text-xs text-gray-500">
+            {Object.keys(rowsByFile).length} file(s) loaded · {sessionSavedAt ? `autosaved ${new Date(sessionSavedAt).toLocaleTimeString()}` : "not autosaved yet"}
+            </span>
+            <div className="ml-auto flex flex-wrap gap-2">
+            <button onClick={exportSession} className="px-3 py-2 rounded-lg bg-gray-800 text-white hover:bg-gray-900">
+                Export project file
+            </button>
+            <input id="sessionpick" type="file" accept=".json,application/json" onChange={onPickSession} className="hidden" />
+            <label htmlFor="sessionpick" className="px-3 py-2 rounded-lg border cursor-pointer hover:bg-gray-50">Open project file</label>
+            <input id="runmanifestpick" type="file" accept=".json,.xlsx" onChange={onPickRunManifest} className="hidden" />
+            <label htmlFor="runmanifestpick" className="px-3 py-2 rounded-lg border cursor-pointer hover:bg-gray-50">Import settings manifest</label>
+            <button onClick={newSession} className="px-3 py-2 rounded-lg border text-red-600 hover:bg-red-50">New session</button>
+            </div>
+        </div>
+        <p className="mt-2 text-xs text-gray-500">
+            Parsed series, settings, computed features/captions and classification results are kept in the browser and restored on reload.
+            The project file holds the same, without the API key. Every export carries a reproducibility manifest
+            (input hashes, row counts, settings, template); importing one restores its settings.
+        </p>
+        </div>
+
         {files.length > 0 && (
           <div className="mt-6 bg-white rounded-2xl p-4 shadow-sm">
             <h2 className="font-semibold mb-2">Selected files</h2>
@@ -645,6 +1053,241 @@ const [selectedFeatCols, setSelectedFeatCols] = useState(new Set(FEATURE_COLUMNS
             </ul>
           </div>
         )}
+        {/* Input format */}
+        <div className="mt-6 bg-white rounded-2xl p-4 shadow-sm">
+        <div className="flex flex-wrap items-center gap-4">
+            <h2 className="font-semibold">Input format</h2>
+            <label className="inline-flex items-center gap-2 text-sm">
+            <input type="radio" name="inputMode" checked={inputMode === "processed"} onChange={() => setInputMode("processed")} />
+            <span>Processed series (residual / detrend columns)</span>
+            </label>
+            <label className="inline-flex items-center gap-2 text-sm">
+            <input type="radio" name="inputMode" checked={inputMode === "raw"} onChange={() => setInputMode("raw")} />
+            <span>Raw reader log (timestamp, EPC, antenna, channel, phase, RSSI)</span>
+            </label>
+        </div>
+        {inputMode === "raw" && (
+            <div className="mt-3">
+            <p className="text-xs text-gray-500 mb-3">
+                Reads are grouped by EPC (tag1, tag2, … in order of first read), phase is unwrapped per antenna/channel and the
+                channel offset removed (<b>residual</b>), then the trend is removed (<b>detrend</b>). All tags are interpolated onto one time grid.
+            </p>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+                <label className="block">
+                <span className="font-medium">Timestamp unit</span>
+                <select value={rawOpts.timeUnit} onChange={e=>setRaw("timeUnit", e.target.value)} className="mt-1 w-full border rounded-lg px-2 py-2">
+                    <option value="auto">from header (_ms / _us, else s)</option>
+                    <option value="s">seconds</option>
+                    <option value="ms">milliseconds</option>
+                    <option value="us">microseconds</option>
+                </select>
+                </label>
+                <label className="block">
+                <span className="font-medium">Phase unit</span>
+                <select value={rawOpts.phaseUnit} onChange={e=>setRaw("phaseUnit", e.target.value)} className="mt-1 w-full border rounded-lg px-2 py-2">
+                    <option value="rad">radians</option>
+                    <option value="deg">degrees</option>
+                </select>
+                </label>
+                <label className="block">
+                <span className="font-medium">Channel offset</span>
+                <select value={rawOpts.offset} onChange={e=>setRaw("offset", e.target.value)} className="mt-1 w-full border rounded-lg px-2 py-2">
+                    <option value="median">median per channel</option>
+                    <option value="first">first read per channel</option>
+                </select>
+                </label>
+                <label className="block">
+                <span className="font-medium">Detrend method</span>
+                <select value={rawOpts.detrend} onChange={e=>setRaw("detrend", e.target.value)} className="mt-1 w-full border rounded-lg px-2 py-2">
+                    <option value="linear">linear fit</option>
+                    <option value="moving_average">moving average</option>
+                    <option value="none">none</option>
+                </select>
+                </label>
+                <label className="block">
+                <span className="font-medium">Smoothing window (s)</span>
+                <input type="number" step="0.5" min="0.1" value={rawOpts.smoothSec} disabled={rawOpts.detrend !== "moving_average"} onChange={e=>setRaw("smoothSec", parseFloat(e.target.value)||2)} className="mt-1 w-full border rounded-lg px-2 py-2 disabled:opacity-50" />
+                </label>
+                <label className="block">
+                <span className="font-medium">Output rate (Hz)</span>
+                <input type="number" step="1" min="1" value={rawOpts.rateHz} onChange={e=>setRaw("rateHz", parseFloat(e.target.value)||10)} className="mt-1 w-full border rounded-lg px-2 py-2" />
+                </label>
+                <label className="block">
+                <span className="font-medium">Min reads per EPC</span>
+                <input type="number" step="1" min="2" value={rawOpts.minReads} onChange={e=>setRaw("minReads", parseInt(e.target.value)||20)} className="mt-1 w-full border rounded-lg px-2 py-2" />
+                </label>
+                <label className="inline-flex items-center gap-2 mt-6">
+                <input type="checkbox" checked={rawOpts.includeRssi} onChange={e=>setRaw("includeRssi", e.target.checked)} />
+                <span>Also add RSSI series</span>
+                </label>
+            </div>
+            <div className="mt-4 flex flex-wrap items-center gap-3">
+                <h3 className="font-medium text-sm">Column roles</h3>
+                <button onClick={detectRawHeaders} disabled={!files.length} className="px-3 py-1 rounded-lg bg-gray-100 text-sm disabled:opacity-50">
+                Read headers from first file
+                </button>
+            </div>
+            <div className="mt-2 grid grid-cols-2 md:grid-cols-6 gap-3 text-sm">
+                {RAW_ROLES.map(role => {
+                const detected = rawHeaders.length ? detectRawColumns(rawHeaders)[role] : "";
+                const value = rawOpts.columns?.[role];
+                const choices = [...new Set([...rawHeaders, ...(value ? [value] : [])])];
+                return (
+                    <label key={role} className="block">
+                    <span className="font-medium">{role}{REQUIRED_RAW_ROLES.includes(role) ? " *" : ""}</span>
+                    <select value={value ?? "auto"} onChange={e=>setRawColumn(role, e.target.value)} className="mt-1 w-full border rounded-lg px-2 py-2">
+                        <option value="auto">auto{rawHeaders.length ? ` (${detected || "none"})` : ""}</option>
+                        <option value="">none</option>
+                        {choices.map(h => <option key={h} value={h}>{h}</option>)}
+                    </select>
+                    </label>
+                );
+                })}
+            </div>
+            <p className="mt-2 text-xs text-gray-500">
+                Roles left on auto are detected from each file's header; an override applies to every file and a file without
+                that column is skipped. * required.
+            </p>
+            </div>
+        )}
+        </div>
+
+        {/* Column mapping */}
+        {inputMode === "processed" && (
+        <div className="mt-6 bg-white rounded-2xl p-4 shadow-sm">
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+            <h2 className="font-semibold">Column mapping</h2>
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+            <button onClick={detectColumns} disabled={!files.length} className="px-3 py-2 rounded-lg bg-gray-800 text-white disabled:opacity-50">
+                Detect from first file
+            </button>
+            <button onClick={() => { setMapping(DEFAULT_MAPPING); setHeaders([]); }} className="px-3 py-2 rounded-lg bg-gray-100">
+                Default layout
+            </button>
+            <select
+                value=""
+                onChange={e => { const m = presets[e.target.value]; if (m) { setMapping(m); setHeaders([m.time, ...m.series.map(d => d.key)]); } }}
+                className="border rounded-lg px-2 py-2"
+            >
+                <option value="">Load preset…</option>
+                {Object.keys(presets).map(name => <option key={name} value={name}>{name}</option>)}
+            </select>
+            <input type="text" placeholder="preset name" value={presetName} onChange={e=>setPresetName(e.target.value)} className="border rounded-lg px-2 py-2 w-32" />
+            <button onClick={savePreset} disabled={!presetName.trim()} className="px-3 py-2 rounded-lg bg-gray-100 disabled:opacity-50">Save</button>
+            {presets[presetName.trim()] && (
+                <button onClick={() => deletePreset(presetName.trim())} className="text-gray-500 underline">delete</button>
+            )}
+            </div>
+        </div>
+        <table className="w-full text-sm border-collapse">
+            <thead>
+            <tr className="text-left border-b">
+                <th className="py-1 pr-2">Column</th>
+                <th className="py-1 pr-2">Role</th>
+                <th className="py-1 pr-2">Tag</th>
+                <th className="py-1">Series type</th>
+            </tr>
+            </thead>
+            <tbody>
+            {(headers.length ? headers : [mapping.time, ...mapping.series.map(d => d.key)]).filter(Boolean).map(col => {
+                const def = mapping.series.find(d => d.key === col);
+                const role = mapping.time === col ? "time" : def ? "series" : "ignore";
+                return (
+                <tr key={col} className="border-b">
+                    <td className="py-1 pr-2 font-mono">{col}</td>
+                    <td className="py-1 pr-2">
+                    <select value={role} onChange={e => setColumnRole(col, e.target.value)} className="border rounded px-2 py-1">
+                        <option value="time">time</option>
+                        <option value="series">series</option>
+                        <option value="ignore">ignore</option>
+                    </select>
+                    </td>
+                    <td className="py-1 pr-2">
+                    {def && <input type="text" value={def.tag} onChange={e => setSeriesField(col, "tag", e.target.value)} className="border rounded px-2 py-1 w-28" />}
+                    </td>
+                    <td className="py-1">
+                    {def && (
+                        <select value={def.kind} onChange={e => setSeriesField(col, "kind", e.target.value)} className="border rounded px-2 py-1">
+                        {SERIES_KINDS.map(k => <option key={k} value={k}>{k}</option>)}
+                        </select>
+                    )}
+                    </td>
+                </tr>
+                );
+            })}
+            </tbody>
+        </table>
+        <p className="mt-2 text-xs text-gray-500">
+            Time: <code>{mapping.time || "—"}</code> · {mapping.series.length} series · mapping applies on the next "Read files".
+        </p>
+        </div>
+        )}
+
+        {/* Resampling */}
+        <div className="mt-6 bg-white rounded-2xl p-4 shadow-sm">
+        <div className="flex flex-wrap items-center gap-4">
+            <h2 className="font-semibold">Resampling</h2>
+            <label className="inline-flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={resampleOpts.enabled} onChange={e => setResample("enabled", e.target.checked)} />
+            <span>Resample every series onto a uniform grid before feature extraction</span>
+            </label>
+        </div>
+        <p className="mt-2 text-xs text-gray-500">
+            Reads are irregular and bursty, while the FFT estimators assume evenly spaced samples. Intervals longer than the gap
+            threshold are never interpolated across: the grid skips them (spectra of such files then use Lomb–Scargle), or each
+            gap-free stretch becomes its own recording (<code>name_seg1.csv</code>, …). The quality report still sees the original timestamps. Applies on the next "Read files".
+            Without resampling, the Lomb–Scargle estimator (Spectral estimation) handles uneven sampling directly.
+        </p>
+        <div className="mt-3 grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+            <label className="block">
+            <span className="font-medium">Rate (Hz, 0 = 1 / median Δt)</span>
+            <input type="number" step="1" min="0" value={resampleOpts.rateHz} disabled={!resampleOpts.enabled} onChange={e => setResample("rateHz", Math.max(0, parseFloat(e.target.value) || 0))} className="mt-1 w-full border rounded-lg px-2 py-2 disabled:opacity-50" />
+            </label>
+            <label className="block">
+            <span className="font-medium">Interpolation</span>
+            <select value={resampleOpts.method} disabled={!resampleOpts.enabled} onChange={e => setResample("method", e.target.value)} className="mt-1 w-full border rounded-lg px-2 py-2 disabled:opacity-50">
+                {RESAMPLE_METHODS.map(m => <option key={m} value={m}>{m === "cubic" ? "cubic spline" : m}</option>)}
+            </select>
+            </label>
+            <label className="block">
+            <span className="font-medium">Gap threshold (s, 0 = 5 × median Δt)</span>
+            <input type="number" step="0.1" min="0" value={resampleOpts.maxGapSec} disabled={!resampleOpts.enabled} onChange={e => setResample("maxGapSec", Math.max(0, parseFloat(e.target.value) || 0))} className="mt-1 w-full border rounded-lg px-2 py-2 disabled:opacity-50" />
+            </label>
+            <label className="block">
+            <span className="font-medium">Gaps</span>
+            <select value={resampleOpts.gapMode} disabled={!resampleOpts.enabled} onChange={e => setResample("gapMode", e.target.value)} className="mt-1 w-full border rounded-lg px-2 py-2 disabled:opacity-50">
+                {GAP_MODES.map(m => <option key={m} value={m}>{m === "segment" ? "split into segments" : "exclude from the grid"}</option>)}
+            </select>
+            </label>
+        </div>
+        </div>
+
+        {/* Segments */}
+        <div className="mt-6 bg-white rounded-2xl p-4 shadow-sm">
+        <div className="flex flex-wrap items-center gap-4">
+            <h2 className="font-semibold">Segments</h2>
+            <label className="inline-flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={segmentOpts.enabled} onChange={e => setSegment("enabled", e.target.checked)} />
+            <span>Cut each recording into fixed-length segments, each its own sample</span>
+            </label>
+        </div>
+        <p className="mt-2 text-xs text-gray-500">
+            Every segment (<code>name_part1.csv</code>, …) gets its own features, captions, prompt and predicted label; the
+            per-file label is then a vote over its segments (LLM classification). Recordings shorter than one segment stay whole.
+            Applies on the next "Read files".
+        </p>
+        <div className="mt-3 grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+            <label className="block">
+            <span className="font-medium">Segment length (s)</span>
+            <input type="number" step="5" min="1" value={segmentOpts.lengthSec} disabled={!segmentOpts.enabled} onChange={e => setSegment("lengthSec", parseFloat(e.target.value) || 30)} className="mt-1 w-full border rounded-lg px-2 py-2 disabled:opacity-50" />
+            </label>
+            <label className="block">
+            <span className="font-medium">Overlap (s)</span>
+            <input type="number" step="1" min="0" value={segmentOpts.overlapSec} disabled={!segmentOpts.enabled} onChange={e => setSegment("overlapSec", Math.max(0, parseFloat(e.target.value) || 0))} className="mt-1 w-full border rounded-lg px-2 py-2 disabled:opacity-50" />
+            </label>
+        </div>
+        </div>
+
         {/* Export options */}
         <div className="mt-6 bg-white rounded-2xl p-4 shadow-sm">
         <h2 className="font-semibold mb-3">LLM export options</h2>
@@ -658,13 +1301,28 @@ const [selectedFeatCols, setSelectedFeatCols] = useState(new Set(FEATURE_COLUMNS
             <input type="checkbox" checked={useStruct} onChange={e=>setUseStruct(e.target.checked)} />
             <span>Include <b>Structural</b> captions</span>
             </label>
+            <label className="inline-flex items-center gap-2">
+            <span>Captions</span>
+            <select value={captionMode} onChange={e=>setCaptionMode(e.target.value)} className="border rounded-lg px-2 py-1">
+                {CAPTION_MODES.map(m => <option key={m} value={m}>{m}</option>)}
+            </select>
+            </label>
+            <label className="inline-flex items-center gap-2">
+            <span>Token budget</span>
+            <input type="number" min="0" step="500" value={tokenBudget} onChange={e=>setTokenBudget(e.target.value)} className="w-28 border rounded-lg px-2 py-1" />
+            </label>
         </div>
+        <p className="mt-2 text-xs text-gray-500">
+            <b>compact</b> merges consecutive windows with the same labels on every series into one span, <b>timeline</b> lists each series' label runs on one line.
+            With a token budget (0 = none) the hop is doubled, up to the window length, for any prompt whose estimated size exceeds
+            it; prompts the captions alone cannot bring under the budget are left as they are and reported.
+        </p>
 
         {/* Statistical column picker */}
         <div className="mt-4">
             <p className="text-sm text-gray-700 mb-2">Statistical columns to include:</p>
             <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-2">
-            {FEATURE_COLUMNS.map(col => (
+            {featureColumns.map(col => (
                 <label key={col} className="inline-flex items-center gap-2">
                 <input
                     type="checkbox"
@@ -683,9 +1341,296 @@ const [selectedFeatCols, setSelectedFeatCols] = useState(new Set(FEATURE_COLUMNS
             ))}
             </div>
         </div>
+
+        {/* Cross-series column picker */}
+        <div className="mt-4">
+            <p className="text-sm text-gray-700 mb-2">
+            Cross-series columns (every pair of series; <code>coh_*</code> = band coherence, <code>energy_ratio</code> = first / second series energy):
+            </p>
+            <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-2">
+            {PAIR_FEATURE_COLUMNS.map(col => (
+                <label key={col} className="inline-flex items-center gap-2">
+                <input
+                    type="checkbox"
+                    checked={selectedPairCols.has(col)}
+                    onChange={(e) => {
+                    setSelectedPairCols(prev => {
+                        const next = new Set(prev);
+                        if (e.target.checked) next.add(col);
+                        else next.delete(col);
+                        return next;
+                    });
+                    }}
+                />
+                <span className="text-sm">{col}</span>
+                </label>
+            ))}
+            </div>
+        </div>
+
+        {/* Per-window features */}
+        <div className="mt-4">
+            <label className="inline-flex items-center gap-2">
+            <input type="checkbox" checked={useWindowFeats} onChange={e=>setUseWindowFeats(e.target.checked)} />
+            <span>Compute <b>per-window</b> features (adds a <code>_LLM_window_features.xlsx</code> to step 3)</span>
+            </label>
+            {useWindowFeats && (
+            <>
+                <p className="text-sm text-gray-700 mt-3 mb-2">Per-window statistics to show in the prompt (none = labels only):</p>
+                <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-2">
+                {featureColumns.map(col => (
+                    <label key={col} className="inline-flex items-center gap-2">
+                    <input
+                        type="checkbox"
+                        checked={windowPromptCols.has(col)}
+                        onChange={(e) => {
+                        setWindowPromptCols(prev => {
+                            const next = new Set(prev);
+                            if (e.target.checked) next.add(col);
+                            else next.delete(col);
+                            return next;
+                        });
+                        }}
+                    />
+                    <span className="text-sm">{col}</span>
+                    </label>
+                ))}
+                </div>
+            </>
+            )}
+        </div>
         </div>
 
 
+        {/* Prompt template */}
+        <div className="mt-6 bg-white rounded-2xl p-4 shadow-sm">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+            <h2 className="font-semibold">
+            Prompt template <span className="text-sm font-normal text-gray-500">
+                {template.name} · {template.version ? `v${template.version}` : "unsaved edits"}
+            </span>
+            </h2>
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+            <select
+                value=""
+                onChange={e => {
+                if (!e.target.value) return;
+                const [name, v] = JSON.parse(e.target.value);
+                const t = name === DEFAULT_PROMPT_TEMPLATE.name && !v
+                    ? DEFAULT_PROMPT_TEMPLATE
+                    : { name, ...templateLibrary[name].find(x => x.version === v) };
+                setTemplate(t);
+                setLabelsText(t.labels.join("\n"));
+                setLog(L => [...L, `Prompt template ${t.name} v${t.version} loaded (${t.labels.length} labels).`]);
+                }}
+                className="border rounded-lg px-2 py-1"
+            >
+                <option value="">Load…</option>
+                <option value={JSON.stringify([DEFAULT_PROMPT_TEMPLATE.name, 0])}>built-in default</option>
+                {Object.entries(templateLibrary).flatMap(([name, versions]) => versions.map(v => (
+                <option key={`${name}@${v.version}`} value={JSON.stringify([name, v.version])}>
+                    {name} v{v.version} ({v.savedAt.slice(0, 10)})
+                </option>
+                )))}
+            </select>
+            <input
+                value={template.name}
+                onChange={e => editTemplate({ name: e.target.value })}
+                placeholder="template name"
+                className="border rounded-lg px-2 py-1"
+            />
+            <button
+                onClick={() => {
+                const name = template.name.trim();
+                if (!name) return;
+                const { library, template: saved } = addTemplateVersion(templateLibrary, { name, text: template.text, labels: template.labels });
+                saveTemplateLibrary(library);
+                setTemplateLibrary(library);
+                setTemplate(saved);
+                setLog(L => [...L, `Prompt template ${name} saved as v${saved.version}.`]);
+                }}
+                className="px-3 py-1 rounded-lg bg-gray-800 text-white"
+            >
+                Save version
+            </button>
+            {templateLibrary[template.name] && (
+                <button
+                onClick={() => {
+                    const { [template.name]: _drop, ...rest } = templateLibrary;
+                    saveTemplateLibrary(rest);
+                    setTemplateLibrary(rest);
+                    setTemplate(prev => ({ ...prev, version: null }));
+                }}
+                className="px-3 py-1 rounded-lg border"
+                >
+                Delete all versions
+                </button>
+            )}
+            </div>
+        </div>
+        <p className="text-xs text-gray-500 mb-3">
+            Placeholders: <code>{"{{file}}"}</code>, <code>{"{{labels}}"}</code>, <code>{"{{labels_pipe}}"}</code>,{" "}
+            <code>{"{{statistical}}"}</code>, <code>{"{{structural}}"}</code>. The response parser, ground truth and evaluation use the label set on the right.
+        </p>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+            <textarea
+            value={template.text}
+            onChange={e => editTemplate({ text: e.target.value })}
+            rows={9}
+            className="md:col-span-3 w-full border rounded-lg px-3 py-2 font-mono text-xs"
+            />
+            <label className="block text-sm">
+            <span className="font-medium">Labels (one per line)</span>
+            <textarea
+                value={labelsText}
+                onChange={e => { setLabelsText(e.target.value); editTemplate({ labels: parseLabelList(e.target.value) }); }}
+                rows={7}
+                className="mt-1 w-full border rounded-lg px-3 py-2 text-xs"
+            />
+            </label>
+        </div>
+        {templateWarnings(template).length > 0 && (
+            <ul className="mt-2 text-xs text-amber-700 list-disc pl-5">
+            {templateWarnings(template).map(w => <li key={w}>{w}</li>)}
+            </ul>
+        )}
+        </div>
+
+        {/* Few-shot examples */}
+        <div className="mt-6 bg-white rounded-2xl p-4 shadow-sm">
+        <label className="inline-flex items-center gap-2">
+            <input type="checkbox" checked={fewShot.enabled} onChange={e => setShot("enabled", e.target.checked)} />
+            <span className="font-semibold">Few-shot examples</span>
+        </label>
+        <p className="text-xs text-gray-500 mt-1 mb-3">
+            Each prompt gets the k loaded recordings with a ground-truth label that are closest in z-scored whole-file feature space,
+            with their sections and true label. A file is never its own example; the picks are logged per prompt.
+            {fewShot.enabled && ` ${Object.keys(truthByFile).length} labelled file(s) available.`}
+        </p>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+            <label className="block">
+            <span className="font-medium">k</span>
+            <input type="number" min="1" max="20" step="1" value={fewShot.k} disabled={!fewShot.enabled}
+                onChange={e => setShot("k", Math.min(20, Math.max(1, parseInt(e.target.value) || 1)))} className="mt-1 w-full border rounded-lg px-2 py-2" />
+            </label>
+            <label className="block">
+            <span className="font-medium">Distance</span>
+            <select value={fewShot.metric} disabled={!fewShot.enabled} onChange={e => setShot("metric", e.target.value)} className="mt-1 w-full border rounded-lg px-2 py-2">
+                {FEWSHOT_METRICS.map(m => <option key={m} value={m}>{m}</option>)}
+            </select>
+            </label>
+            <label className="block">
+            <span className="font-medium">Class balancing</span>
+            <select value={fewShot.balance} disabled={!fewShot.enabled} onChange={e => setShot("balance", e.target.value)} className="mt-1 w-full border rounded-lg px-2 py-2">
+                <option value="none">none (k nearest)</option>
+                <option value="per_class">per class (round robin)</option>
+            </select>
+            </label>
+        </div>
+        </div>
+
+        {/* Structural label thresholds */}
+        <div className="mt-6 bg-white rounded-2xl p-4 shadow-sm">
+        <div className="flex items-center justify-between mb-2">
+            <h2 className="font-semibold">Structural label thresholds</h2>
+            <button onClick={() => setStructThresholds(DEFAULT_STRUCT_THRESHOLDS)} className="text-sm text-gray-500 underline">reset</button>
+        </div>
+        <p className="text-xs text-gray-500 mb-3">
+            Shapes: constant / plateau / increasing / decreasing / sharp rise / sharp drop. Events: oscillating, spike (burst),
+            level shift, high noise — set an event threshold to 0 to turn it off.
+        </p>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+            {[
+            ["trend", "Trend (slope·win/sd)"],
+            ["sharpTrend", "Sharp trend (slope·win/sd)"],
+            ["oscMinCycles", "Oscillating: min cycles"],
+            ["oscPeakFrac", "Oscillating: peak power share"],
+            ["spikeMad", "Spike: robust SDs"],
+            ["levelShift", "Level shift: × typical noise"],
+            ["plateau", "Plateau: < × typical noise"],
+            ["highNoise", "High noise: > × typical noise"],
+            ].map(([key, text]) => (
+            <label key={key} className="block">
+                <span className="font-medium">{text}</span>
+                <input
+                type="number" step="0.05" min={TREND_THRESHOLDS.includes(key) ? "0.05" : "0"} value={structThresholds[key]}
+                onChange={e => setStructThreshold(key, e.target.value)}
+                className="mt-1 w-full border rounded-lg px-2 py-2"
+                />
+            </label>
+            ))}
+        </div>
+        {thresholdProblems(structThresholds).length > 0 && (
+            <p className="mt-2 text-xs text-amber-700">{thresholdProblems(structThresholds).join("; ")}.</p>
+        )}
+        </div>
+
+        {/* Spectral estimation */}
+        <div className="mt-6 bg-white rounded-2xl p-4 shadow-sm">
+        <div className="flex items-center justify-between mb-2">
+            <h2 className="font-semibold">Spectral estimation</h2>
+            <button
+            onClick={() => {
+                setSpectralOpts(DEFAULT_SPECTRAL_OPTIONS);
+                setBandsText(DEFAULT_SPECTRAL_OPTIONS.bands.map(b => b.join("-")).join(", "));
+            }}
+            className="text-sm text-gray-500 underline"
+            >reset</button>
+        </div>
+        <p className="text-xs text-gray-500 mb-3">
+            Applies to every spectral column (whole file and per window). Results cached by step 2 with other settings are recomputed.
+        </p>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+            <label className="block">
+            <span className="font-medium">Estimator</span>
+            <select value={spectralOpts.estimator} onChange={e => setSpectral("estimator", e.target.value)} className="mt-1 w-full border rounded-lg px-2 py-2">
+                <option value="periodogram">Periodogram (single FFT)</option>
+                <option value="welch">Welch (windowed segments)</option>
+                <option value="lombscargle">Lomb–Scargle (irregular sampling)</option>
+            </select>
+            </label>
+            <label className="block">
+            <span className="font-medium">Welch window</span>
+            <select value={spectralOpts.window} disabled={spectralOpts.estimator !== "welch"} onChange={e => setSpectral("window", e.target.value)} className="mt-1 w-full border rounded-lg px-2 py-2">
+                <option value="hann">Hann</option>
+                <option value="hamming">Hamming</option>
+            </select>
+            </label>
+            <label className="block">
+            <span className="font-medium">Segment (samples)</span>
+            <input type="number" min="8" step="8" value={spectralOpts.segment} disabled={spectralOpts.estimator !== "welch"}
+                onChange={e => setSpectral("segment", Math.max(8, parseInt(e.target.value) || 64))} className="mt-1 w-full border rounded-lg px-2 py-2" />
+            </label>
+            <label className="block">
+            <span className="font-medium">Overlap (0–0.9)</span>
+            <input type="number" min="0" max="0.9" step="0.05" value={spectralOpts.overlap} disabled={spectralOpts.estimator !== "welch"}
+                onChange={e => setSpectral("overlap", Math.min(0.9, Math.max(0, parseFloat(e.target.value) || 0)))} className="mt-1 w-full border rounded-lg px-2 py-2" />
+            </label>
+            <label className="block col-span-2">
+            <span className="font-medium">Bands (Hz, lo-hi)</span>
+            <input value={bandsText} onChange={e => setBandsText(e.target.value)} onBlur={() => setSpectral("bands", parseBands(bandsText))}
+                placeholder="0-2, 2-5, 5-10, 10-20" className="mt-1 w-full border rounded-lg px-2 py-2 font-mono" />
+            </label>
+            <label className="block">
+            <span className="font-medium">Rolloff share</span>
+            <input type="number" min="0.5" max="0.99" step="0.01" value={spectralOpts.rolloff}
+                onChange={e => setSpectral("rolloff", Math.min(0.99, Math.max(0.5, parseFloat(e.target.value) || 0.85)))} className="mt-1 w-full border rounded-lg px-2 py-2" />
+            </label>
+            <label className="block">
+            <span className="font-medium">Top-k peaks</span>
+            <input type="number" min="0" max="10" step="1" value={spectralOpts.topK}
+                onChange={e => setSpectral("topK", Math.min(10, Math.max(0, parseInt(e.target.value) || 0)))} className="mt-1 w-full border rounded-lg px-2 py-2" />
+            </label>
+        </div>
+        {unreachableBands.length > 0 && (
+            <ul className="mt-3 text-xs text-amber-700 space-y-1">
+            {unreachableBands.map(u => (
+                <li key={u.file}>{u.file}: Nyquist {fmt(u.nyquist, 2)} Hz — {u.bands.join(", ")} reported as NA</li>
+            ))}
+            </ul>
+        )}
+        </div>
+
         <div className="mt-6 grid grid-cols-1 md:grid-cols-3 gap-4">
           <div className="bg-white p-4 rounded-2xl shadow-sm">
             <label className="block text-sm font-medium">Window (s)</label>
@@ -721,18 +1666,745 @@ const [selectedFeatCols, setSelectedFeatCols] = useState(new Set(FEATURE_COLUMNS
             3) Build LLM sheets → export 2 files
             </button>
             </div>
+            <div className="mt-4 flex flex-wrap items-center gap-3">
+            <span className="text-sm text-gray-700">…or all files as one dataset:</span>
+            <button
+                onClick={() => exportDataset("xlsx")}
+                disabled={!Object.keys(rowsByFile).length || processing}
+                className="px-4 py-2 rounded-xl bg-purple-100 text-purple-900 hover:bg-purple-200 disabled:opacity-50"
+            >
+                One workbook → .xlsx
+            </button>
+            <button
+                onClick={() => exportDataset("zip")}
+                disabled={!Object.keys(rowsByFile).length || processing}
+                className="px-4 py-2 rounded-xl bg-purple-100 text-purple-900 hover:bg-purple-200 disabled:opacity-50"
+            >
+                CSV + JSONL → .zip
+            </button>
+            <span className="text-xs text-gray-500">statistical, structural and files (metadata + quality) tables, each row tagged with its file</span>
+            </div>
             <div className="mt-4">
             <button
                 onClick={buildLLMPrompts}
                 disabled={!Object.keys(rowsByFile).length || processing}
                 className="w-full md:w-auto px-6 py-3 rounded-xl bg-indigo-600 text-white shadow hover:bg-indigo-700 disabled:opacity-50"
             >
-                4) Build LLM prompt(s) → .txt
+                4) Build LLM prompt(s) → .txt + .jsonl
             </button>
             </div>
 
+        {/* Data quality */}
+        <div className="mt-6 bg-white rounded-2xl p-4 shadow-sm">
+        <div className="flex items-center justify-between mb-3">
+            <h2 className="font-semibold">Data quality</h2>
+            {qaReports.length > 0 && (
+            <button onClick={exportQuality} className="px-4 py-2 rounded-xl bg-gray-800 text-white hover:bg-gray-900">
+                Export report → .xlsx
+            </button>
+            )}
+        </div>
+        <details>
+            <summary className="cursor-pointer text-sm text-gray-700">Rules (applied on the next "Read files"; rejected files are left out)</summary>
+            <div className="mt-2 grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-1 text-sm">
+            {Object.entries(QA_METRICS).map(([metric, { dir, label }]) => (
+                <div key={metric} className="flex items-center gap-2">
+                <span className="flex-1">{label} {dir === "max" ? ">" : "<"}</span>
+                <input type="number" step="any" value={qaRules[metric].limit}
+                    onChange={e => setQaRule(metric, "limit", Number(e.target.value))} className="w-20 border rounded-lg px-2 py-1" />
+                <select value={qaRules[metric].action} onChange={e => setQaRule(metric, "action", e.target.value)} className="border rounded-lg px-2 py-1">
+                    {QA_ACTIONS.map(a => <option key={a} value={a}>{a}</option>)}
+                </select>
+                </div>
+            ))}
+            </div>
+            <div className="mt-3 grid grid-cols-3 gap-3 text-sm">
+            <label className="block">
+                <span className="font-medium">Gap factor (× median Δt)</span>
+                <input type="number" min="1" step="0.5" value={qaOptions.gapFactor}
+                onChange={e => setQaOptions(prev => ({ ...prev, gapFactor: Number(e.target.value) }))} className="mt-1 w-full border rounded-lg px-2 py-1" />
+            </label>
+            <label className="block">
+                <span className="font-medium">Outlier threshold (robust SDs)</span>
+                <input type="number" min="1" step="0.5" value={qaOptions.outlierMad}
+                onChange={e => setQaOptions(prev => ({ ...prev, outlierMad: Number(e.target.value) }))} className="mt-1 w-full border rounded-lg px-2 py-1" />
+            </label>
+            <label className="block">
+                <span className="font-medium">Flatline minimum (samples)</span>
+                <input type="number" min="2" step="1" value={qaOptions.flatlineMin}
+                onChange={e => setQaOptions(prev => ({ ...prev, flatlineMin: parseInt(e.target.value) || 2 }))} className="mt-1 w-full border rounded-lg px-2 py-1" />
+            </label>
+            </div>
+        </details>
+
+        {qaReports.length > 0 && (
+            <table className="mt-4 w-full text-sm border-collapse">
+            <thead>
+                <tr className="text-left border-b">
+                <th className="py-1 pr-2">File</th>
+                <th className="py-1 pr-2">Status</th>
+                <th className="py-1 pr-2">Rows kept</th>
+                <th className="py-1 pr-2">fs (Hz)</th>
+                <th className="py-1 pr-2">Jitter</th>
+                <th className="py-1 pr-2">Gaps</th>
+                <th className="py-1 pr-2">Dup / back</th>
+                <th className="py-1">Details</th>
+                </tr>
+            </thead>
+            <tbody>
+                {qaReports.map(r => (
+                <tr key={r.file} className="border-b align-top">
+                    <td className="py-1 pr-2">{r.file}</td>
+                    <td className={`py-1 pr-2 font-medium ${r.status === "ok" ? "text-emerald-700" : r.status === "warn" ? "text-amber-600" : "text-red-600"}`}>{r.status}</td>
+                    <td className="py-1 pr-2">{r.metrics.rows_after} / {r.metrics.rows_before}</td>
+                    <td className="py-1 pr-2">{fmt(r.metrics.fs_eff, 2)}</td>
+                    <td className="py-1 pr-2">{fmt(r.metrics.jitter_cv, 2)}</td>
+                    <td className="py-1 pr-2">{r.metrics.gap_count}{r.metrics.gap_count ? ` (max ${fmt(r.metrics.max_gap_s, 2)} s)` : ""}</td>
+                    <td className="py-1 pr-2">{fmt(r.metrics.duplicate_timestamps, 0)} / {fmt(r.metrics.backward_timestamps, 0)}</td>
+                    <td className="py-1">
+                    {r.issues.map(i => (
+                        <div key={i.metric} className={i.action === "reject" ? "text-red-600" : "text-amber-600"}>{i.message}</div>
+                    ))}
+                    <details>
+                        <summary className="cursor-pointer text-gray-600">series / dropped rows</summary>
+                        <ul className="text-xs text-gray-700 mt-1">
+                        {r.series.map(sr => (
+                            <li key={sr.series}>
+                            {sr.series}: {sr.outliers} outlier(s), {sr.flatline_segments} flatline segment(s) ({sr.flatline_samples} samples)
+                            </li>
+                        ))}
+                        {r.dropped.map(d => <li key={`${d.column}-${d.reason}`}>dropped: {d.column} {d.reason.replace("_", "-")} × {d.rows}</li>)}
+                        </ul>
+                    </details>
+                    </td>
+                </tr>
+                ))}
+            </tbody>
+            </table>
+        )}
+        </div>
+
+        {/* Signal viewer */}
+        <div className="mt-6 bg-white rounded-2xl p-4 shadow-sm">
+        <h2 className="font-semibold mb-3">Signal viewer</h2>
+        <SignalViewer
+            rowsByFile={rowsByFile}
+            winSec={winSec}
+            hopSec={hopSec}
+            structThresholds={structThresholds}
+            spectralOpts={spectralOpts}
+            featureColumns={featureColumns.filter(c => selectedFeatCols.has(c))}
+            predictions={classifyResults}
+        />
+        </div>
+
 
 
+        {/* Ground truth */}
+        <div className="mt-6 bg-white rounded-2xl p-4 shadow-sm">
+        <h2 className="font-semibold mb-3">Ground truth</h2>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <label className="block text-sm">
+            <span className="font-medium">Filename regex (first capture group = label)</span>
+            <div className="mt-1 flex gap-2">
+                <input type="text" value={truthPattern} onChange={e=>setTruthPattern(e.target.value)} className="w-full border rounded-lg px-3 py-2 font-mono" />
+                <button onClick={() => setTruthPattern(labelPattern(labels))} className="px-3 py-2 rounded-lg border whitespace-nowrap" title="Build the pattern from the template's labels">
+                from labels
+                </button>
+            </div>
+            </label>
+            <div className="text-sm">
+            <span className="font-medium">Manifest CSV (file, label)</span>
+            <div className="mt-1 flex items-center gap-3">
+                <input id="truthpick" type="file" accept=".csv" onChange={onPickManifest} className="hidden" />
+                <label htmlFor="truthpick" className="px-3 py-2 rounded-lg bg-gray-800 text-white cursor-pointer">Load manifest</label>
+                {truthManifest && (
+                <>
+                    <span className="text-gray-700">{truthManifest.name}</span>
+                    <button onClick={() => setTruthManifest(null)} className="text-gray-500 underline">clear</button>
+                </>
+                )}
+            </div>
+            </div>
+        </div>
+        <p className="mt-3 text-sm text-gray-600">
+            {Object.keys(truthByFile).length}/{Object.keys(rowsByFile).length} parsed file(s) have a ground-truth label.
+        </p>
+        </div>
+
+        {/* Fine-tuning dataset */}
+        <div className="mt-6 bg-white rounded-2xl p-4 shadow-sm">
+        <h2 className="font-semibold mb-3">Fine-tuning dataset</h2>
+        <p className="text-xs text-gray-500 mb-3">
+            Chat-format JSONL (system, user = the prompt from step 4, assistant = <code>Label: X — reason</code>) for every labelled
+            file. Whole sessions go to one split, stratified by label, so segments of a recording never end up on both sides.
+            Few-shot examples are left out of these prompts.
+        </p>
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-3 text-sm">
+            {SPLITS.map(split => (
+            <label key={split} className="block">
+                <span className="font-medium">{split} share</span>
+                <input type="number" min="0" max="1" step="0.05" value={finetuneOpts.fractions[split]} onChange={e => setFraction(split, Math.max(0, parseFloat(e.target.value) || 0))} className="mt-1 w-full border rounded-lg px-2 py-2" />
+            </label>
+            ))}
+            <label className="block">
+            <span className="font-medium">Seed</span>
+            <input type="number" step="1" value={finetuneOpts.seed} onChange={e => setFinetune("seed", parseInt(e.target.value) || 1)} className="mt-1 w-full border rounded-lg px-2 py-2" />
+            </label>
+            <label className="block">
+            <span className="font-medium">Session regex (first group)</span>
+            <input type="text" value={finetuneOpts.sessionPattern} placeholder="one session per recording" onChange={e => setFinetune("sessionPattern", e.target.value)} className="mt-1 w-full border rounded-lg px-2 py-2 font-mono" />
+            </label>
+        </div>
+        <div className="mt-3 grid grid-cols-1 md:grid-cols-2 gap-3 text-sm">
+            <label className="block">
+            <span className="font-medium">System message ({"{{labels}}"}; optional, the prompt already states the task)</span>
+            <textarea rows={2} value={finetuneOpts.system} placeholder="none" onChange={e => setFinetune("system", e.target.value)} className="mt-1 w-full border rounded-lg px-2 py-2" />
+            </label>
+            <label className="block">
+            <span className="font-medium">Fallback reason ({"{{label}}"}; a correct LLM answer is used when there is one)</span>
+            <textarea rows={2} value={finetuneOpts.rationale} onChange={e => setFinetune("rationale", e.target.value)} className="mt-1 w-full border rounded-lg px-2 py-2" />
+            </label>
+        </div>
+        <label className="mt-2 inline-flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={finetuneOpts.hideFileName} onChange={e => setFinetune("hideFileName", e.target.checked)} />
+            <span>Show the file as "recording" in prompts (names like bedroom_01.csv give the label away)</span>
+        </label>
+        <div className="mt-3 flex flex-wrap items-center gap-3 text-sm">
+            <button onClick={buildFinetune} disabled={!Object.keys(truthByFile).length} className="px-4 py-2 rounded-xl bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50">
+            Build fine-tuning JSONL → train / val / test
+            </button>
+            <input id="splitspick" type="file" accept=".json" onChange={onPickSplits} className="hidden" />
+            <label htmlFor="splitspick" className="px-3 py-2 rounded-lg bg-gray-800 text-white cursor-pointer">Load saved splits</label>
+            {savedSplits && (
+            <>
+                <span className="text-gray-700">
+                {Object.keys(savedSplits.sessions).length} session(s) pinned ({savedSplits.createdAt})
+                </span>
+                <button onClick={() => setSavedSplits(null)} className="text-gray-500 underline">clear</button>
+            </>
+            )}
+        </div>
+        {savedSplits?.counts && (
+            <table className="mt-3 text-sm">
+            <thead>
+                <tr className="text-left text-gray-600">
+                <th className="pr-4">split</th>
+                {labels.map(l => <th key={l} className="pr-4">{l}</th>)}
+                </tr>
+            </thead>
+            <tbody>
+                {SPLITS.map(split => (
+                <tr key={split}>
+                    <td className="pr-4 font-medium">{split}</td>
+                    {labels.map(l => <td key={l} className="pr-4">{savedSplits.counts[split]?.[l] ?? 0}</td>)}
+                </tr>
+                ))}
+            </tbody>
+            </table>
+        )}
+        </div>
+
+        {/* LLM classification */}
+        <div className="mt-6 bg-white rounded-2xl p-4 shadow-sm">
+        <h2 className="font-semibold mb-3">LLM classification</h2>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <label className="block text-sm">
+            <span className="font-medium">Provider</span>
+            <select
+                value={llmCfg.provider}
+                onChange={e => setLlmCfg(prev => ({ ...prev, provider: e.target.value, baseURL: PROVIDERS[e.target.value].baseURL }))}
+                className="mt-1 w-full border rounded-lg px-3 py-2"
+            >
+                {Object.entries(PROVIDERS).map(([k, p]) => <option key={k} value={k}>{p.name}</option>)}
+            </select>
+            </label>
+            <label className="block text-sm">
+            <span className="font-medium">API key</span>
+            <input type="password" value={llmCfg.apiKey} onChange={e=>setLlm("apiKey", e.target.value)} className="mt-1 w-full border rounded-lg px-3 py-2" />
+            </label>
+            <label className="block text-sm">
+            <span className="font-medium">Model</span>
+            <input type="text" value={llmCfg.model} onChange={e=>setLlm("model", e.target.value)} className="mt-1 w-full border rounded-lg px-3 py-2" />
+            </label>
+            <label className="block text-sm">
+            <span className="font-medium">Base URL</span>
+            <input type="text" value={llmCfg.baseURL} onChange={e=>setLlm("baseURL", e.target.value)} className="mt-1 w-full border rounded-lg px-3 py-2" />
+            </label>
+            <label className="block text-sm">
+            <span className="font-medium">Temperature</span>
+            <input type="number" step="0.1" min="0" max="2" value={llmCfg.temperature} onChange={e=>setLlm("temperature", parseFloat(e.target.value)||0)} className="mt-1 w-full border rounded-lg px-3 py-2" />
+            </label>
+            <label className="block text-sm">
+            <span className="font-medium">Concurrency</span>
+            <input type="number" min="1" step="1" value={llmCfg.concurrency} onChange={e=>setLlm("concurrency", Math.max(1, parseInt(e.target.value)||1))} className="mt-1 w-full border rounded-lg px-3 py-2" />
+            </label>
+            <label className="block text-sm">
+            <span className="font-medium">Max retries</span>
+            <input type="number" min="0" step="1" value={llmCfg.maxRetries} onChange={e=>setLlm("maxRetries", Math.max(0, parseInt(e.target.value)||0))} className="mt-1 w-full border rounded-lg px-3 py-2" />
+            </label>
+            <label className="block text-sm">
+            <span className="font-medium">Response cache</span>
+            <select value={llmCfg.cacheMode} onChange={e=>setLlm("cacheMode", e.target.value)} className="mt-1 w-full border rounded-lg px-3 py-2">
+                {Object.entries(CACHE_MODES).map(([k, text]) => <option key={k} value={k}>{text}</option>)}
+            </select>
+            </label>
+        </div>
+        {llmCfg.provider === "openai" && (
+            <p className="mt-2 text-xs text-gray-500">
+            Any OpenAI-compatible server: the base URL ends in <code>/v1</code> (e.g. <code>http://localhost:11434/v1</code> for Ollama,
+            <code> http://localhost:8000/v1</code> for vLLM); requests go to <code>/chat/completions</code>. Local servers may need no key.
+            </p>
+        )}
+        <div className="mt-3 flex flex-wrap items-center gap-2 text-sm">
+            <span className="text-gray-600">
+            {cacheSize} cached repl{cacheSize === 1 ? "y" : "ies"}, keyed by prompt hash, model and temperature (used by classification, sweeps and robustness runs)
+            </span>
+            <button onClick={exportResponseCache} disabled={!cacheSize} className="px-3 py-1 rounded-lg border hover:bg-gray-50 disabled:opacity-50">Export cache</button>
+            <input id="cachepick" type="file" accept=".json,application/json" onChange={onPickResponseCache} className="hidden" />
+            <label htmlFor="cachepick" className="px-3 py-1 rounded-lg border cursor-pointer hover:bg-gray-50">Import cache</label>
+            <button onClick={clearCache} disabled={!cacheSize} className="px-3 py-1 rounded-lg border text-red-600 hover:bg-red-50 disabled:opacity-50">Clear cache</button>
+        </div>
+
+        <div className="mt-4 flex flex-wrap gap-3">
+            <button
+            onClick={classifyAll}
+            disabled={!Object.keys(rowsByFile).length || processing || classifying}
+            className="px-6 py-3 rounded-xl bg-rose-600 text-white shadow hover:bg-rose-700 disabled:opacity-50"
+            >
+            {classifying ? "Classifying…" : "5) Classify with LLM"}
+            </button>
+            <button
+            onClick={exportClassification}
+            disabled={!classifyResults.length || classifying}
+            className="px-6 py-3 rounded-xl bg-gray-800 text-white shadow hover:bg-gray-900 disabled:opacity-50"
+            >
+            Export results → .xlsx
+            </button>
+        </div>
+
+        {classifyResults.length > 0 && (
+            <table className="mt-4 w-full text-sm border-collapse">
+            <thead>
+                <tr className="text-left border-b">
+                <th className="py-1 pr-2">File</th>
+                <th className="py-1 pr-2">Status</th>
+                <th className="py-1 pr-2">Label</th>
+                <th className="py-1 pr-2">Truth</th>
+                <th className="py-1 pr-2">Rationale</th>
+                <th className="py-1">Prompt / response</th>
+                </tr>
+            </thead>
+            <tbody>
+                {classifyResults.map(r => (
+                <tr key={r.file} className="border-b align-top">
+                    <td className="py-1 pr-2">{r.file}</td>
+                    <td className={`py-1 pr-2 ${r.status === "ok" ? "text-emerald-700" : r.status === "error" || r.status === "unparsed" ? "text-red-600" : "text-gray-500"}`}>
+                    {r.status}{r.error ? `: ${r.error}` : ""}
+                    </td>
+                    <td className="py-1 pr-2 font-medium">{r.label}</td>
+                    <td className={`py-1 pr-2 ${truthByFile[r.file] && r.label ? (truthByFile[r.file] === r.label ? "text-emerald-700" : "text-red-600") : "text-gray-500"}`}>
+                    {truthByFile[r.file] ?? "—"}
+                    </td>
+                    <td className="py-1 pr-2">{r.rationale}</td>
+                    <td className="py-1">
+                    <details>
+                        <summary className="cursor-pointer text-gray-600">show</summary>
+                        <pre className="whitespace-pre-wrap text-xs bg-gray-50 p-2 mt-1 max-h-64 overflow-auto">{r.prompt}</pre>
+                        <pre className="whitespace-pre-wrap text-xs bg-gray-100 p-2 mt-1">{r.response || "—"}</pre>
+                    </details>
+                    </td>
+                </tr>
+                ))}
+            </tbody>
+            </table>
+        )}
+        </div>
+
+        {/* Experiment sweep */}
+        <div className="mt-6 bg-white rounded-2xl p-4 shadow-sm">
+        <h2 className="font-semibold mb-3">Experiment sweep</h2>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <label className="block text-sm">
+            <span className="font-medium">Windows (s), comma-separated</span>
+            <input type="text" value={sweepSpec.winSecs} onChange={e=>setSpec("winSecs", e.target.value)} className="mt-1 w-full border rounded-lg px-3 py-2" />
+            </label>
+            <label className="block text-sm">
+            <span className="font-medium">Hops (s), comma-separated</span>
+            <input type="text" value={sweepSpec.hopSecs} onChange={e=>setSpec("hopSecs", e.target.value)} className="mt-1 w-full border rounded-lg px-3 py-2" />
+            </label>
+        </div>
+        <div className="mt-3 flex flex-wrap gap-4 text-sm">
+            {[["both", "Statistical + structural"], ["statOnly", "Statistical only"], ["structOnly", "Structural only"]].map(([key, text]) => (
+            <label key={key} className="inline-flex items-center gap-2">
+                <input type="checkbox" checked={sweepSpec.sections[key]} onChange={e=>setSpec("sections", { ...sweepSpec.sections, [key]: e.target.checked })} />
+                <span>{text}</span>
+            </label>
+            ))}
+            <label className="inline-flex items-center gap-2">
+            <input type="checkbox" checked={sweepSpec.classify} onChange={e=>setSpec("classify", e.target.checked)} />
+            <span>Classify each prompt (uses the LLM settings above)</span>
+            </label>
+        </div>
+        <label className="block text-sm mt-3">
+            <span className="font-medium">Feature subsets (one per line, <code>name: col, col</code>; <code>*</code> = all, <code>band_*</code> = every band column)</span>
+            <textarea rows={3} value={sweepSpec.featureSets} onChange={e=>setSpec("featureSets", e.target.value)} className="mt-1 w-full border rounded-lg px-3 py-2 font-mono text-xs" />
+        </label>
+        {featureSetNotes.length > 0 && (
+            <p className="mt-1 text-xs text-amber-700">Feature subsets: {featureSetNotes.join("; ")}.</p>
+        )}
+        <p className="mt-2 text-sm text-gray-600">
+            {sweepConfigs.length} config(s) × {Object.keys(rowsByFile).length} file(s)
+            {sweep && ` · saved sweep: ${sweepDone}/${sweep.configs.length * Math.max(1, Object.keys(rowsByFile).length)} done${sweep.finishedAt ? " (finished)" : ""}`}
+        </p>
+        <div className="mt-3 flex flex-wrap gap-3">
+            <button
+            onClick={() => runSweep(false)}
+            disabled={!Object.keys(rowsByFile).length || processing || sweeping || !sweepConfigs.length}
+            className="px-6 py-3 rounded-xl bg-teal-600 text-white shadow hover:bg-teal-700 disabled:opacity-50"
+            >
+            {sweeping ? "Sweeping…" : "Run sweep"}
+            </button>
+            {sweep && !sweep.finishedAt && !sweeping && (
+            <button
+                onClick={() => runSweep(true)}
+                disabled={!Object.keys(rowsByFile).length || processing}
+                className="px-6 py-3 rounded-xl bg-teal-100 text-teal-900 shadow hover:bg-teal-200 disabled:opacity-50"
+            >
+                Resume saved sweep
+            </button>
+            )}
+            {sweeping && (
+            <button onClick={() => { sweepStop.current = true; }} className="px-6 py-3 rounded-xl bg-gray-200 shadow hover:bg-gray-300">
+                Stop
+            </button>
+            )}
+            <button
+            onClick={exportSweep}
+            disabled={!sweep || sweeping}
+            className="px-6 py-3 rounded-xl bg-gray-800 text-white shadow hover:bg-gray-900 disabled:opacity-50"
+            >
+            Export sweep → .xlsx
+            </button>
+            <button onClick={clearSweep} disabled={!sweep || sweeping} className="px-4 py-3 text-gray-600 underline disabled:opacity-50">
+            Clear saved sweep
+            </button>
+        </div>
+        </div>
+
+        {/* Robustness */}
+        <div className="mt-6 bg-white rounded-2xl p-4 shadow-sm">
+        <h2 className="font-semibold mb-3">Robustness (augmented variants)</h2>
+        <p className="text-xs text-gray-500 mb-3">
+            Each file is classified together with perturbed copies of its series (same features, captions and prompt settings);
+            a flip is a variant whose label differs from the one the clean file got in the same run.
+        </p>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            {Object.entries(AUGMENT_TRANSFORMS).map(([t, def]) => (
+            <div key={t} className="text-sm">
+                <label className="inline-flex items-center gap-2 font-medium">
+                <input type="checkbox" checked={augmentOpts.transforms.includes(t)} onChange={e=>toggleTransform(t, e.target.checked)} />
+                <span>{def.name}</span>
+                </label>
+                <label className="block mt-1">
+                <span className="text-gray-600">{def.param}</span>
+                <input type="number" min="0" step="any" value={augmentOpts.params[t]} disabled={!augmentOpts.transforms.includes(t)}
+                    onChange={e=>setAugmentParam(t, e.target.value)} className="mt-1 w-full border rounded-lg px-3 py-2 disabled:opacity-50" />
+                </label>
+            </div>
+            ))}
+            <label className="block text-sm">
+            <span className="font-medium">Variants per transform</span>
+            <input type="number" min="1" step="1" value={augmentOpts.variants} onChange={e=>setAugment("variants", Math.max(1, parseInt(e.target.value)||1))} className="mt-1 w-full border rounded-lg px-3 py-2" />
+            </label>
+            <label className="block text-sm">
+            <span className="font-medium">Seed</span>
+            <input type="number" step="1" value={augmentOpts.seed} onChange={e=>setAugment("seed", parseInt(e.target.value)||0)} className="mt-1 w-full border rounded-lg px-3 py-2" />
+            </label>
+        </div>
+        <p className="mt-2 text-sm text-gray-600">
+            {Object.keys(rowsByFile).length} file(s) × (1 + {augmentOpts.transforms.length * (Number(augmentOpts.variants) || 1)} variants) LLM requests
+            {robustRows.length > 0 && ` · ${robustRows.filter(r => r.status !== "pending").length}/${robustRows.length} done`}
+        </p>
+        <div className="mt-3 flex flex-wrap gap-3">
+            <button
+            onClick={runRobustness}
+            disabled={!Object.keys(rowsByFile).length || processing || robusting || !augmentOpts.transforms.length}
+            className="px-6 py-3 rounded-xl bg-amber-600 text-white shadow hover:bg-amber-700 disabled:opacity-50"
+            >
+            {robusting ? "Classifying variants…" : "Run robustness test"}
+            </button>
+            {robusting && (
+            <button onClick={() => { robustStop.current = true; }} className="px-6 py-3 rounded-xl bg-gray-200 shadow hover:bg-gray-300">
+                Stop
+            </button>
+            )}
+            <button
+            onClick={exportRobustness}
+            disabled={!robustness || robusting}
+            className="px-6 py-3 rounded-xl bg-gray-800 text-white shadow hover:bg-gray-900 disabled:opacity-50"
+            >
+            Export robustness → .xlsx
+            </button>
+        </div>
+
+        {robustness && (
+            <>
+            <p className="mt-4 text-sm">
+            Overall flip rate <b>{robustness.overall.compared ? fmt(robustness.overall.flip_rate) : "—"}</b>
+            {" "}({robustness.overall.flips}/{robustness.overall.compared} variants compared)
+            </p>
+            <table className="mt-2 w-full text-sm border-collapse">
+            <thead>
+                <tr className="text-left border-b">
+                <th className="py-1 pr-2">Transform</th>
+                <th className="py-1 pr-2">Variants</th>
+                <th className="py-1 pr-2">Flips</th>
+                <th className="py-1 pr-2">Flip rate</th>
+                <th className="py-1">Accuracy</th>
+                </tr>
+            </thead>
+            <tbody>
+                {robustness.byTransform.map(r => (
+                <tr key={r.transform} className="border-b">
+                    <td className="py-1 pr-2">{r.name}</td>
+                    <td className="py-1 pr-2">{r.variants}</td>
+                    <td className="py-1 pr-2">{r.compared === "" ? "—" : `${r.flips}/${r.compared}`}</td>
+                    <td className={`py-1 pr-2 ${r.flip_rate > 0 ? "text-red-600" : ""}`}>{r.flip_rate === "" ? "—" : fmt(r.flip_rate)}</td>
+                    <td className="py-1">{r.accuracy === "" ? "—" : fmt(r.accuracy)}</td>
+                </tr>
+                ))}
+            </tbody>
+            </table>
+            {robustness.byFile.some(r => r.flips > 0) && (
+            <details className="mt-3 text-sm">
+                <summary className="cursor-pointer text-gray-600">Files with flips</summary>
+                <ul className="mt-1 space-y-1">
+                {robustness.byFile.filter(r => r.flips > 0).map(r => (
+                    <li key={r.file}>
+                    {r.file}: {r.clean_label} → {r.flipped_to} ({r.flips}/{r.compared}; {r.flipped_by})
+                    </li>
+                ))}
+                </ul>
+            </details>
+            )}
+            </>
+        )}
+        </div>
+
+        {/* Per-file vote over segments */}
+        {fileVotes.length > 0 && (
+        <div className="mt-6 bg-white rounded-2xl p-4 shadow-sm">
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+            <h2 className="font-semibold">Segment timeline ({fileVotes.length} file{fileVotes.length === 1 ? "" : "s"})</h2>
+            <label className="text-sm inline-flex items-center gap-2">
+            <span className="font-medium">Vote</span>
+            <select value={voteMethod} onChange={e => setVoteMethod(e.target.value)} className="border rounded-lg px-2 py-1">
+                {VOTE_METHODS.map(m => <option key={m} value={m}>{m}</option>)}
+            </select>
+            </label>
+        </div>
+        <p className="text-xs text-gray-500 mb-3">
+            One bar per recording, one block per segment coloured by its predicted label. The confidence vote weighs each segment
+            by a <code>Confidence: 0–1</code> line in the reply (asked for by the default output format); segments without one count 1.
+        </p>
+        {voteMethod === "confidence" && !classifyResults.some(r => r.segment && Number.isFinite(r.confidence)) && (
+            <p className="text-xs text-amber-700 mb-3">
+            No segment reply has a confidence, so this vote equals the majority vote. Keep the <code>Confidence: &lt;0–1&gt;</code> line
+            of the default output format in your template.
+            </p>
+        )}
+        {voteEvaluation && (
+            <p className="text-sm mb-3">
+            Per-file accuracy ({voteEvaluation.n} file{voteEvaluation.n === 1 ? "" : "s"}) <b>{fmt(voteEvaluation.accuracy)}</b> ·
+            Macro-F1 <b>{fmt(voteEvaluation.macroF1)}</b>
+            </p>
+        )}
+        <SegmentTimeline votes={fileVotes} results={classifyResults} labels={labels} truthByFile={sourceTruth} />
+        </div>
+        )}
+
+        {/* Evaluation */}
+        {evaluation && (
+        <div className="mt-6 bg-white rounded-2xl p-4 shadow-sm">
+        <div className="flex items-center justify-between mb-3">
+            <h2 className="font-semibold">Evaluation ({evaluation.n} file{evaluation.n === 1 ? "" : "s"})</h2>
+            <button onClick={exportEvaluation} className="px-4 py-2 rounded-xl bg-gray-800 text-white hover:bg-gray-900">
+            Export evaluation → .xlsx
+            </button>
+        </div>
+        <p className="text-sm mb-3">
+            Accuracy <b>{fmt(evaluation.accuracy)}</b> · Macro-F1 <b>{fmt(evaluation.macroF1)}</b> ·
+            Answered <b>{evaluation.answered}/{evaluation.n}</b> (coverage {fmt(evaluation.coverage)}; failed or unparsed replies count as wrong)
+        </p>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <table className="text-sm border-collapse">
+            <thead>
+                <tr className="text-left border-b">
+                <th className="py-1 pr-2">Class</th>
+                <th className="py-1 pr-2">Precision</th>
+                <th className="py-1 pr-2">Recall</th>
+                <th className="py-1 pr-2">F1</th>
+                <th className="py-1">Support</th>
+                </tr>
+            </thead>
+            <tbody>
+                {evaluation.perClass.map(c => (
+                <tr key={c.label} className="border-b">
+                    <td className="py-1 pr-2">{c.label}</td>
+                    <td className="py-1 pr-2">{fmt(c.precision)}</td>
+                    <td className="py-1 pr-2">{fmt(c.recall)}</td>
+                    <td className="py-1 pr-2">{fmt(c.f1)}</td>
+                    <td className="py-1">{c.support}</td>
+                </tr>
+                ))}
+            </tbody>
+            </table>
+            <table className="text-sm border-collapse">
+            <thead>
+                <tr className="border-b">
+                <th className="py-1 pr-2 text-left">truth \ pred</th>
+                {evaluation.labels.map(l => <th key={l} className="py-1 px-2">{l}</th>)}
+                <th className="py-1 px-2 text-gray-500">no answer</th>
+                </tr>
+            </thead>
+            <tbody>
+                {evaluation.labels.map((truth, i) => (
+                <tr key={truth} className="border-b">
+                    <td className="py-1 pr-2">{truth}</td>
+                    {evaluation.confusion[i].map((v, j) => (
+                    <td key={j} className={`py-1 px-2 text-center ${i === j ? "bg-emerald-50 font-medium" : v ? "bg-red-50" : ""}`}>{v}</td>
+                    ))}
+                    <td className={`py-1 px-2 text-center ${evaluation.noAnswer[i] ? "bg-red-50" : ""}`}>{evaluation.noAnswer[i]}</td>
+                </tr>
+                ))}
+            </tbody>
+            </table>
+        </div>
+        </div>
+        )}
+
+        {/* Classical baseline */}
+        <div className="mt-6 bg-white rounded-2xl p-4 shadow-sm">
+        <div className="flex items-center justify-between mb-3">
+            <h2 className="font-semibold">Classical baseline</h2>
+            {baselineResults && (
+            <button onClick={exportBaseline} className="px-4 py-2 rounded-xl bg-gray-800 text-white hover:bg-gray-900">
+                Export baseline → .xlsx
+            </button>
+            )}
+        </div>
+        <p className="text-xs text-gray-500 mb-3">
+            Trained on the whole-file features of the selected statistical columns, one sample per file with a ground-truth label.
+        </p>
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-3 text-sm">
+            <div className="col-span-2 md:col-span-1">
+            <span className="font-medium">Models</span>
+            {Object.entries(BASELINE_MODELS).map(([key, name]) => (
+                <label key={key} className="flex items-center gap-2">
+                <input
+                    type="checkbox"
+                    checked={baselineOpts.models.includes(key)}
+                    onChange={e => setBase("models", e.target.checked
+                    ? Object.keys(BASELINE_MODELS).filter(m => m === key || baselineOpts.models.includes(m))
+                    : baselineOpts.models.filter(m => m !== key))}
+                />
+                <span>{name}</span>
+                </label>
+            ))}
+            </div>
+            <label className="block">
+            <span className="font-medium">Cross-validation</span>
+            <select value={baselineOpts.cv} onChange={e => setBase("cv", e.target.value)} className="mt-1 w-full border rounded-lg px-2 py-2">
+                <option value="stratified">stratified k-fold</option>
+                <option value="lofo">leave one recording out</option>
+            </select>
+            </label>
+            <label className="block">
+            <span className="font-medium">Folds</span>
+            <input type="number" min="2" step="1" value={baselineOpts.folds} disabled={baselineOpts.cv !== "stratified"}
+                onChange={e => setBase("folds", Math.max(2, parseInt(e.target.value) || 2))} className="mt-1 w-full border rounded-lg px-2 py-2" />
+            </label>
+            <label className="block">
+            <span className="font-medium">kNN k</span>
+            <input type="number" min="1" step="1" value={baselineOpts.knnK}
+                onChange={e => setBase("knnK", Math.max(1, parseInt(e.target.value) || 1))} className="mt-1 w-full border rounded-lg px-2 py-2" />
+            </label>
+            <label className="block">
+            <span className="font-medium">Forest trees</span>
+            <input type="number" min="1" max="200" step="1" value={baselineOpts.trees}
+                onChange={e => setBase("trees", Math.min(200, Math.max(1, parseInt(e.target.value) || 1)))} className="mt-1 w-full border rounded-lg px-2 py-2" />
+            </label>
+        </div>
+        <button
+            onClick={runBaseline}
+            disabled={!Object.keys(truthByFile).length || processing || !baselineOpts.models.length}
+            className="mt-4 px-6 py-3 rounded-xl bg-teal-600 text-white shadow hover:bg-teal-700 disabled:opacity-50"
+        >
+            Run baseline
+        </button>
+
+        {baselineResults && (() => {
+            const shown = baselineResults.results.find(r => r.model === baselineView) ?? baselineResults.results[0];
+            return (
+            <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-6">
+                <table className="text-sm border-collapse">
+                <thead>
+                    <tr className="text-left border-b">
+                    <th className="py-1 pr-2">Model ({baselineResults.cv})</th>
+                    <th className="py-1 pr-2">Files</th>
+                    <th className="py-1 pr-2">Accuracy</th>
+                    <th className="py-1">Macro-F1</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {baselineResults.results.map(r => (
+                    <tr
+                        key={r.model}
+                        onClick={() => setBaselineView(r.model)}
+                        className={`border-b cursor-pointer ${r.model === shown?.model ? "bg-gray-100" : ""}`}
+                    >
+                        <td className="py-1 pr-2">{r.name}</td>
+                        <td className="py-1 pr-2">{r.evaluation.n}</td>
+                        <td className="py-1 pr-2">{fmt(r.evaluation.accuracy)}</td>
+                        <td className="py-1">{fmt(r.evaluation.macroF1)}</td>
+                    </tr>
+                    ))}
+                    {evaluation && (
+                    <tr className="border-b text-indigo-700">
+                        <td className="py-1 pr-2">LLM ({llmCfg.model})</td>
+                        <td className="py-1 pr-2">{evaluation.n}</td>
+                        <td className="py-1 pr-2">{fmt(evaluation.accuracy)}</td>
+                        <td className="py-1">{fmt(evaluation.macroF1)}</td>
+                    </tr>
+                    )}
+                </tbody>
+                </table>
+                {shown && (
+                <table className="text-sm border-collapse">
+                    <thead>
+                    <tr className="border-b">
+                        <th className="py-1 pr-2 text-left">{shown.model}: truth \ pred</th>
+                        {shown.evaluation.labels.map(l => <th key={l} className="py-1 px-2">{l}</th>)}
+                    </tr>
+                    </thead>
+                    <tbody>
+                    {shown.evaluation.labels.map((truth, i) => (
+                        <tr key={truth} className="border-b">
+                        <td className="py-1 pr-2">{truth}</td>
+                        {shown.evaluation.confusion[i].map((v, j) => (
+                            <td key={j} className={`py-1 px-2 text-center ${i === j ? "bg-emerald-50 font-medium" : v ? "bg-red-50" : ""}`}>{v}</td>
+                        ))}
+                        </tr>
+                    ))}
+                    </tbody>
+                </table>
+                )}
+            </div>
+            );
+        })()}
+        </div>
+
         <div className="mt-6 bg-white p-4 rounded-2xl shadow-sm">
           <h3 className="font-semibold mb-2">Log</h3>
           <div className="text-sm whitespace-pre-wrap text-gray-700 min-h-[80px]">
@@ -0,0 +1,62 @@
+import React from "react";
+import { fmt } from "./core/index.js";
+
+// =====================
+// Segment timeline: per-segment predictions of each recording + the per-file vote
+// =====================
+
+const LABEL_COLORS = ["#60a5fa", "#f87171", "#34d399", "#fbbf24", "#a78bfa", "#22d3ee", "#f472b6", "#a3a3a3"];
+const UNLABELLED = "#e5e7eb";
+
+// votes: voteByFile output · results: classification rows (with source + segment) · truthByFile: truth per recording
+export default function SegmentTimeline({ votes, results, labels, truthByFile }) {
+  const colorOf = (label) => (labels.includes(label) ? LABEL_COLORS[labels.indexOf(label) % LABEL_COLORS.length] : UNLABELLED);
+
+  return (
+    <div className="text-sm">
+      <div className="flex flex-wrap gap-3 mb-3 text-xs text-gray-600">
+        {labels.map(l => (
+          <span key={l}><span style={{ color: colorOf(l) }}>■</span> {l}</span>
+        ))}
+        <span><span style={{ color: UNLABELLED }}>■</span> no label</span>
+      </div>
+      <div className="space-y-2">
+        {votes.map(v => {
+          const segs = results.filter(r => r.segment && r.source === v.file).sort((a, b) => a.segment.index - b.segment.index);
+          const t0 = Math.min(...segs.map(r => r.segment.start_s));
+          const t1 = Math.max(...segs.map(r => r.segment.end_s));
+          // overlapping segments alternate between two lanes so each stays visible
+          const overlap = segs.some((r, i) => i > 0 && r.segment.start_s < segs[i - 1].segment.end_s);
+          const truth = truthByFile[v.file];
+          return (
+            <div key={v.file} className="grid grid-cols-12 gap-2 items-center">
+              <div className="col-span-3 truncate" title={v.file}>{v.file}</div>
+              <div className="col-span-6 relative h-6 bg-gray-50 rounded">
+                {segs.map(r => (
+                  <div
+                    key={r.file}
+                    title={`${r.file} · ${fmt(r.segment.start_s, 1)}–${fmt(r.segment.end_s, 1)} s · ${r.label || r.status}` +
+                      (Number.isFinite(r.confidence) ? ` (confidence ${fmt(r.confidence, 2)})` : "") + (r.rationale ? ` — ${r.rationale}` : "")}
+                    className="absolute border border-white rounded-sm"
+                    style={{
+                      left: `${((r.segment.start_s - t0) / (t1 - t0 || 1)) * 100}%`,
+                      width: `${((r.segment.end_s - r.segment.start_s) / (t1 - t0 || 1)) * 100}%`,
+                      top: overlap ? (r.segment.index % 2 ? "50%" : 0) : 0,
+                      height: overlap ? "50%" : "100%",
+                      background: r.status === "ok" ? colorOf(r.label) : UNLABELLED,
+                    }}
+                  />
+                ))}
+              </div>
+              <div className="col-span-3">
+                <b>{v.label || "—"}</b>{" "}
+                <span className="text-gray-500">({v.labelled}/{v.segments}, agree {fmt(v.agreement, 2)})</span>
+                {truth && v.label && <span className={truth === v.label ? "text-green-700" : "text-red-700"}> {truth === v.label ? "✓" : `✗ ${truth}`}</span>}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
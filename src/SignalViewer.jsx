@@ -0,0 +1,289 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import {
+  bandReachable, fmt, medianDelta, parseBands, seriesDisplayName, slidingWindowCaptions, spectralOptionsFor, spectrumFor, windowFeatures,
+} from "./core/index.js";
+
+// =====================
+// Signal viewer: series vs time with window labels shaded, spectrum with bands
+// =====================
+
+const W = 1000, H = 260, PAD = { l: 48, r: 12, t: 10, b: 24 };
+const SPEC_H = 180;
+const LINE_COLORS = ["#2563eb", "#dc2626", "#059669", "#d97706", "#7c3aed", "#0891b2", "#db2777", "#4b5563"];
+const SHAPE_COLORS = {
+  constant: "#e5e7eb",
+  plateau: "#f5f5f4",
+  increasing: "#bbf7d0",
+  "sharp rise": "#4ade80",
+  decreasing: "#fecaca",
+  "sharp drop": "#f87171",
+};
+const MAX_POINTS = 2000; // per series in view; more than that is decimated (min/max per bucket)
+
+// Visible part of one series as an SVG path, decimated to keep large recordings responsive.
+function seriesPath(time, y, t0, t1, x, yPix) {
+  let i0 = time.findIndex(t => t >= t0);
+  if (i0 < 0) return "";
+  i0 = Math.max(0, i0 - 1);
+  let i1 = i0;
+  while (i1 < time.length - 1 && time[i1] <= t1) i1++;
+  const n = i1 - i0 + 1;
+  const pts = [];
+  if (n <= MAX_POINTS) {
+    for (let i = i0; i <= i1; i++) pts.push([time[i], y[i]]);
+  } else {
+    const bucket = Math.ceil(n / (MAX_POINTS / 2));
+    for (let s = i0; s <= i1; s += bucket) {
+      let lo = s, hi = s;
+      for (let i = s; i < Math.min(i1 + 1, s + bucket); i++) {
+        if (y[i] < y[lo]) lo = i;
+        if (y[i] > y[hi]) hi = i;
+      }
+      for (const i of lo < hi ? [lo, hi] : [hi, lo]) pts.push([time[i], y[i]]);
+    }
+  }
+  return pts.map(([t, v], k) => `${k ? "L" : "M"}${x(t).toFixed(1)},${yPix(v).toFixed(1)}`).join("");
+}
+
+export default function SignalViewer({ rowsByFile, winSec, hopSec, structThresholds, spectralOpts, featureColumns, predictions = [] }) {
+  const fileNames = Object.keys(rowsByFile);
+  const [file, setFile] = useState("");
+  const current = rowsByFile[file] ? file : fileNames[0] ?? "";
+  const data = rowsByFile[current];
+
+  const [hidden, setHidden] = useState(new Set());
+  const [labelSeries, setLabelSeries] = useState("");
+  const [view, setView] = useState(null); // { t0, t1 } or null = whole recording
+  const [hover, setHover] = useState(null); // window_index under the mouse
+  const svgRef = useRef(null);
+  const drag = useRef(null);
+
+  const defs = useMemo(() => data?.seriesDefs ?? [], [data]);
+  const shadeKey = defs.some(d => d.key === labelSeries) ? labelSeries : defs[0]?.key;
+  const T0 = data ? data.time[0] : 0;
+  const T1 = data ? data.time[data.time.length - 1] : 1;
+  const t0 = view?.t0 ?? T0, t1 = view?.t1 ?? T1;
+
+  // Captions + features of the shaded series, positioned on their hop slice so tiles don't overlap
+  const windows = useMemo(() => {
+    if (!data || !shadeKey) return [];
+    const WIN = Number(winSec), HOP = Number(hopSec);
+    const y = data.series[shadeKey];
+    const feats = new Map(windowFeatures(data.time, y, WIN, HOP, spectralOptionsFor(spectralOpts, data.resample)).map(w => [w.window_index, w]));
+    return slidingWindowCaptions(data.time, y, WIN, HOP, structThresholds).map(c => {
+      const start = data.time[0] + c.window_index * HOP;
+      return { ...c, start, end: Math.min(start + Math.min(HOP, WIN), data.time[data.time.length - 1]), feats: feats.get(c.window_index) };
+    });
+  }, [data, shadeKey, winSec, hopSec, structThresholds, spectralOpts]);
+
+  const spectrum = useMemo(() => {
+    if (!data || !shadeKey) return null;
+    const fs = 1 / medianDelta(data.time);
+    const y = data.series[shadeKey];
+    const { freqs, power } = spectrumFor(y, fs, spectralOptionsFor(spectralOpts, data.resample), data.time);
+    return freqs.length ? { fs, freqs, power, maxP: Math.max(...power.slice(1), 1e-12) } : null;
+  }, [data, shadeKey, spectralOpts]);
+
+  // Wheel zoom needs a non-passive listener to keep the page from scrolling
+  useEffect(() => {
+    const el = svgRef.current;
+    if (!el) return;
+    const onWheel = (e) => {
+      e.preventDefault();
+      const rect = el.getBoundingClientRect();
+      const frac = Math.min(1, Math.max(0, ((e.clientX - rect.left) / rect.width * W - PAD.l) / (W - PAD.l - PAD.r)));
+      setView(prev => {
+        const a = prev?.t0 ?? T0, b = prev?.t1 ?? T1;
+        const at = a + frac * (b - a);
+        const span = Math.min(T1 - T0, Math.max((T1 - T0) / 1000, (b - a) * (e.deltaY > 0 ? 1.25 : 0.8)));
+        const na = Math.max(T0, Math.min(T1 - span, at - frac * span));
+        return { t0: na, t1: na + span };
+      });
+    };
+    el.addEventListener("wheel", onWheel, { passive: false });
+    return () => el.removeEventListener("wheel", onWheel);
+  }, [T0, T1, current]);
+
+  if (!data) {
+    return <p className="text-sm text-gray-500">Read some files (step 1) to see them here.</p>;
+  }
+
+  const shown = defs.filter(d => !hidden.has(d.key));
+  let yMin = Infinity, yMax = -Infinity;
+  for (const d of shown) {
+    const y = data.series[d.key];
+    for (let i = 0; i < data.time.length; i++) {
+      if (data.time[i] < t0 || data.time[i] > t1) continue;
+      if (y[i] < yMin) yMin = y[i];
+      if (y[i] > yMax) yMax = y[i];
+    }
+  }
+  if (!(yMax > yMin)) { yMin -= 1; yMax += 1; }
+  const x = (t) => PAD.l + ((t - t0) / (t1 - t0 || 1)) * (W - PAD.l - PAD.r);
+  const yPix = (v) => PAD.t + (1 - (v - yMin) / (yMax - yMin)) * (H - PAD.t - PAD.b);
+  const timeAt = (clientX) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    return t0 + (((clientX - rect.left) / rect.width) * W - PAD.l) / (W - PAD.l - PAD.r) * (t1 - t0);
+  };
+
+  const onMouseDown = (e) => { drag.current = { x: e.clientX, t0, t1 }; };
+  const onMouseUp = () => { drag.current = null; };
+  const onMouseMove = (e) => {
+    if (drag.current) {
+      const rect = svgRef.current.getBoundingClientRect();
+      const span = drag.current.t1 - drag.current.t0;
+      const dt = -((e.clientX - drag.current.x) / rect.width) * W / (W - PAD.l - PAD.r) * span;
+      const na = Math.max(T0, Math.min(T1 - span, drag.current.t0 + dt));
+      setView({ t0: na, t1: na + span });
+      return;
+    }
+    const t = timeAt(e.clientX);
+    const w = windows.find(w => t >= w.start && t < w.end);
+    setHover(w ? w.window_index : null);
+  };
+
+  const hovered = windows.find(w => w.window_index === hover);
+  const prediction = predictions.find(r => r.file === current && r.label);
+  const bands = parseBands(spectralOpts.bands);
+  const fMax = spectrum ? spectrum.fs / 2 : 1;
+  const fx = (f) => PAD.l + (f / fMax) * (W - PAD.l - PAD.r);
+  const py = (p) => PAD.t + (1 - p / spectrum.maxP) * (SPEC_H - PAD.t - PAD.b);
+  const ticks = Array.from({ length: 6 }, (_, i) => t0 + (i / 5) * (t1 - t0));
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-3 text-sm mb-3">
+        <select value={current} onChange={e => { setFile(e.target.value); setView(null); setHover(null); }} className="border rounded-lg px-2 py-1">
+          {fileNames.map(f => <option key={f} value={f}>{f}</option>)}
+        </select>
+        <label className="inline-flex items-center gap-2">
+          <span>Shade labels of</span>
+          <select value={shadeKey} onChange={e => setLabelSeries(e.target.value)} className="border rounded-lg px-2 py-1">
+            {defs.map(d => <option key={d.key} value={d.key}>{seriesDisplayName(d)}</option>)}
+          </select>
+        </label>
+        <button onClick={() => setView(null)} className="px-2 py-1 rounded-lg border">reset zoom</button>
+        <span className="text-xs text-gray-500">wheel = zoom, drag = pan</span>
+        {prediction && (
+          <span className="ml-auto text-xs">LLM: <b>{prediction.label}</b> — {prediction.rationale}</span>
+        )}
+      </div>
+
+      <div className="flex flex-wrap gap-3 text-xs mb-2">
+        {defs.map((d, i) => (
+          <label key={d.key} className="inline-flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={!hidden.has(d.key)}
+              onChange={() => setHidden(prev => {
+                const next = new Set(prev);
+                if (next.has(d.key)) next.delete(d.key);
+                else next.add(d.key);
+                return next;
+              })}
+            />
+            <span style={{ color: LINE_COLORS[i % LINE_COLORS.length] }}>■</span> {seriesDisplayName(d)}
+          </label>
+        ))}
+      </div>
+
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${W} ${H}`}
+        className="w-full border rounded-lg bg-white select-none cursor-grab"
+        onMouseDown={onMouseDown}
+        onMouseUp={onMouseUp}
+        onMouseLeave={() => { onMouseUp(); setHover(null); }}
+        onMouseMove={onMouseMove}
+      >
+        {windows.filter(w => w.end >= t0 && w.start <= t1).map(w => (
+          <rect
+            key={w.window_index}
+            x={x(Math.max(t0, w.start))}
+            y={PAD.t}
+            width={Math.max(0, x(Math.min(t1, w.end)) - x(Math.max(t0, w.start)))}
+            height={H - PAD.t - PAD.b}
+            fill={SHAPE_COLORS[w.shape] ?? "#e5e7eb"}
+            fillOpacity={w.window_index === hover ? 0.9 : 0.5}
+            stroke={w.events.length ? "#f59e0b" : "none"}
+            strokeWidth={w.events.length ? 1.5 : 0}
+          />
+        ))}
+        {shown.map(d => (
+          <path
+            key={d.key}
+            d={seriesPath(data.time, data.series[d.key], t0, t1, x, yPix)}
+            fill="none"
+            stroke={LINE_COLORS[defs.indexOf(d) % LINE_COLORS.length]}
+            strokeWidth="1.2"
+          />
+        ))}
+        <line x1={PAD.l} x2={W - PAD.r} y1={H - PAD.b} y2={H - PAD.b} stroke="#9ca3af" />
+        {ticks.map(t => (
+          <text key={t} x={x(t)} y={H - 6} fontSize="11" textAnchor="middle" fill="#6b7280">{fmt(t, 2)}s</text>
+        ))}
+        <text x={4} y={PAD.t + 10} fontSize="11" fill="#6b7280">{fmt(yMax, 2)}</text>
+        <text x={4} y={H - PAD.b} fontSize="11" fill="#6b7280">{fmt(yMin, 2)}</text>
+      </svg>
+
+      <div className="flex flex-wrap gap-3 text-xs mt-2">
+        {Object.entries(SHAPE_COLORS).map(([shape, color]) => (
+          <span key={shape} className="inline-flex items-center gap-1">
+            <span className="inline-block w-3 h-3 rounded-sm border" style={{ background: color }} /> {shape}
+          </span>
+        ))}
+        <span className="inline-flex items-center gap-1">
+          <span className="inline-block w-3 h-3 rounded-sm border-2" style={{ borderColor: "#f59e0b" }} /> has events
+        </span>
+      </div>
+
+      <div className="mt-3 text-xs bg-gray-50 rounded-lg p-2 min-h-[3rem]">
+        {hovered ? (
+          <>
+            <div className="font-medium">
+              Window {hovered.window_index} · {fmt(hovered.feats?.start_time, 3)}s–{fmt(hovered.feats?.end_time, 3)}s · {hovered.label}
+            </div>
+            <div className="font-mono mt-1">
+              {featureColumns.map(c => `${c} ${fmt(hovered.feats?.[c])}`).join(" · ")}
+            </div>
+          </>
+        ) : (
+          <span className="text-gray-500">Hover a window to see its label and features.</span>
+        )}
+      </div>
+
+      {spectrum && (
+        <>
+          <p className="text-sm text-gray-700 mt-4 mb-1">
+            Spectrum ({spectralOpts.estimator}) of {seriesDisplayName(defs.find(d => d.key === shadeKey))}, 0–{fmt(fMax, 2)} Hz
+          </p>
+          <svg viewBox={`0 0 ${W} ${SPEC_H}`} className="w-full border rounded-lg bg-white">
+            {bands.filter(b => bandReachable(b, spectrum.fs)).map((b, i) => (
+              <g key={b.join("-")}>
+                <rect
+                  x={fx(b[0])}
+                  y={PAD.t}
+                  width={Math.max(0, fx(Math.min(b[1], fMax)) - fx(b[0]))}
+                  height={SPEC_H - PAD.t - PAD.b}
+                  fill={i % 2 ? "#e0e7ff" : "#fef3c7"}
+                  fillOpacity="0.7"
+                />
+                <text x={fx(b[0]) + 3} y={PAD.t + 11} fontSize="10" fill="#6b7280">{b.join("–")} Hz</text>
+              </g>
+            ))}
+            <path
+              d={spectrum.freqs.map((f, k) => `${k ? "L" : "M"}${fx(f).toFixed(1)},${py(Math.min(spectrum.power[k], spectrum.maxP)).toFixed(1)}`).join("")}
+              fill="none"
+              stroke="#111827"
+              strokeWidth="1"
+            />
+            <line x1={PAD.l} x2={W - PAD.r} y1={SPEC_H - PAD.b} y2={SPEC_H - PAD.b} stroke="#9ca3af" />
+            {Array.from({ length: 6 }, (_, i) => (i / 5) * fMax).map(f => (
+              <text key={f} x={fx(f)} y={SPEC_H - 6} fontSize="11" textAnchor="middle" fill="#6b7280">{fmt(f, 1)}</text>
+            ))}
+          </svg>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,163 @@
+import { MIN_ROWS, baseName, medianDelta } from "./core/index.js";
+import { evaluatePredictions } from "./evaluation.js";
+import { mulberry32 } from "./baseline.js";
+
+// =====================
+// Robustness: perturbed variants of each recording, classified like the original to count label flips
+// =====================
+
+// One strength parameter per transform (value = default)
+export const AUGMENT_TRANSFORMS = {
+  noise: { name: "Gaussian noise", param: "SNR (dB)", value: 20 },
+  scale: { name: "Amplitude scaling", param: "max ± %", value: 20 },
+  crop: { name: "Time shift / crop", param: "max crop (% of duration)", value: 10 },
+  dropout: { name: "Sample dropout", param: "dropped samples (%)", value: 10 },
+  phaseWrap: { name: "Phase-wrap artefacts", param: "2π slips per series", value: 1 },
+  jitter: { name: "Time-base jitter", param: "σ (% of median Δt)", value: 20 },
+};
+
+export const DEFAULT_AUGMENT_OPTIONS = {
+  transforms: Object.keys(AUGMENT_TRANSFORMS),
+  params: Object.fromEntries(Object.entries(AUGMENT_TRANSFORMS).map(([k, t]) => [k, t.value])),
+  variants: 2,  // per transform and file
+  seed: 1,
+};
+
+const TWO_PI = 2 * Math.PI;
+
+// FNV-1a, so every (seed, file, transform, variant) gets its own reproducible stream
+function hashString(s) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) h = Math.imul(h ^ s.charCodeAt(i), 0x01000193);
+  return h >>> 0;
+}
+
+// Standard normal (Box–Muller)
+const gaussian = (rand) => Math.sqrt(-2 * Math.log(1 - rand())) * Math.cos(TWO_PI * rand());
+
+function stdOf(y) {
+  const m = y.reduce((s, v) => s + v, 0) / y.length;
+  return Math.sqrt(y.reduce((s, v) => s + (v - m) ** 2, 0) / y.length);
+}
+
+// Keep the samples where keep(i) is true, in every series
+function pick(time, series, keep) {
+  const idx = time.map((_, i) => i).filter(keep);
+  return { time: idx.map((i) => time[i]), series: Object.fromEntries(Object.entries(series).map(([k, y]) => [k, idx.map((i) => y[i])])) };
+}
+
+// One perturbed copy of (time, series). Phase slips only touch phase series (kind other than "other").
+export function augmentSeries(time, series, seriesDefs, transform, value, rand) {
+  const v = Number(value);
+  const mapSeries = (fn) => Object.fromEntries(Object.entries(series).map(([k, y]) => [k, fn(y, k)]));
+  switch (transform) {
+    case "noise":
+      return { time, series: mapSeries((y) => {
+        const sigma = stdOf(y) / 10 ** (v / 20);
+        return y.map((x) => x + sigma * gaussian(rand));
+      }) };
+    case "scale":
+      return { time, series: mapSeries((y) => {
+        const g = 1 + ((2 * rand() - 1) * v) / 100;
+        return y.map((x) => x * g);
+      }) };
+    case "crop": {
+      // up to v % of the duration cut, split at random between head and tail; the rest is shifted back to the old start
+      const T0 = time[0], D = time[time.length - 1] - T0;
+      const cut = (rand() * v * D) / 100, head = rand() * cut;
+      const out = pick(time, series, (i) => time[i] >= T0 + head && time[i] <= T0 + D - (cut - head));
+      return { time: out.time.map((t) => t - (out.time[0] - T0)), series: out.series };
+    }
+    case "dropout":
+      return pick(time, series, (i) => i === 0 || i === time.length - 1 || rand() >= v / 100);
+    case "phaseWrap": {
+      const phase = new Set(seriesDefs.filter((d) => d.kind !== "other").map((d) => d.key));
+      return { time, series: mapSeries((y, k) => {
+        if (!phase.has(k)) return y;
+        const out = [...y];
+        for (let s = 0; s < Math.round(v); s++) {
+          const at = 1 + Math.floor(rand() * (out.length - 1));
+          const jump = rand() < 0.5 ? TWO_PI : -TWO_PI;
+          for (let i = at; i < out.length; i++) out[i] += jump;
+        }
+        return out;
+      }) };
+    }
+    case "jitter": {
+      const sigma = (medianDelta(time) * v) / 100;
+      const t = time.map((x) => x + sigma * gaussian(rand));
+      // strictly increasing, as after parsing
+      for (let i = 1; i < t.length; i++) if (!(t[i] > t[i - 1])) t[i] = t[i - 1] + 1e-6;
+      return { time: t, series };
+    }
+    default:
+      return { time, series };
+  }
+}
+
+// Variants of one parsed file: <name>_aug_<transform><k>.csv with augment: { of, transform, variant, value }.
+// source stays the original recording so few-shot retrieval never picks the clean file as an example.
+export function augmentInput(fname, data, options = DEFAULT_AUGMENT_OPTIONS) {
+  const opt = { ...DEFAULT_AUGMENT_OPTIONS, ...options };
+  const ext = fname.slice(baseName(fname).length);
+  const parts = [];
+  for (const transform of opt.transforms.filter((t) => t in AUGMENT_TRANSFORMS)) {
+    const value = opt.params?.[transform] ?? AUGMENT_TRANSFORMS[transform].value;
+    for (let k = 1; k <= Math.max(1, Number(opt.variants) || 1); k++) {
+      const rand = mulberry32(hashString(`${opt.seed}:${fname}:${transform}:${k}`));
+      const aug = augmentSeries(data.time, data.series, data.seriesDefs, transform, value, rand);
+      if (aug.time.length < MIN_ROWS) continue;
+      parts.push({
+        fname: `${baseName(fname)}_aug_${transform}${k}${ext}`,
+        data: { ...data, ...aug, source: data.source ?? fname, augment: { of: fname, transform, variant: k, value: Number(value) } },
+      });
+    }
+  }
+  return parts;
+}
+
+const rate = (n, d) => (d ? n / d : "");
+
+// rows: classification rows of the originals and their variants ({ file, augment?, label });
+// a variant is compared with the label of its clean original when both have one.
+// Returns { byTransform, byFile, overall } — flip counts and rates, plus accuracy against truthByFile when known.
+export function flipReport(rows, truthByFile = {}, labels = []) {
+  const clean = Object.fromEntries(rows.filter((r) => !r.augment).map((r) => [r.file, r.label]));
+  const variants = rows.filter((r) => r.augment);
+  const compared = variants.filter((r) => r.label && clean[r.augment.of]);
+  const flipped = (r) => r.label !== clean[r.augment.of];
+  const accuracy = (list, fileOf) => {
+    const pairs = list.filter((r) => r.label && truthByFile[fileOf(r)]).map((r) => ({ truth: truthByFile[fileOf(r)], pred: r.label }));
+    return pairs.length ? evaluatePredictions(pairs, labels).accuracy : "";
+  };
+
+  const byTransform = [
+    { transform: "clean", name: "Original", variants: Object.keys(clean).length, compared: "", flips: "", flip_rate: "",
+      accuracy: accuracy(rows.filter((r) => !r.augment), (r) => r.file) },
+    ...Object.keys(AUGMENT_TRANSFORMS).filter((t) => variants.some((r) => r.augment.transform === t)).map((t) => {
+      const mine = compared.filter((r) => r.augment.transform === t);
+      const flips = mine.filter(flipped).length;
+      return {
+        transform: t, name: AUGMENT_TRANSFORMS[t].name, variants: variants.filter((r) => r.augment.transform === t).length,
+        compared: mine.length, flips, flip_rate: rate(flips, mine.length),
+        accuracy: accuracy(variants.filter((r) => r.augment.transform === t), (r) => r.augment.of),
+      };
+    }),
+  ];
+
+  const byFile = Object.keys(clean).map((file) => {
+    const mine = compared.filter((r) => r.augment.of === file);
+    const flips = mine.filter(flipped);
+    const to = {};
+    flips.forEach((r) => { to[r.label] = (to[r.label] ?? 0) + 1; });
+    return {
+      file, clean_label: clean[file] ?? "", truth: truthByFile[file] ?? "", compared: mine.length, flips: flips.length,
+      flip_rate: rate(flips.length, mine.length),
+      flipped_to: Object.entries(to).map(([l, n]) => `${l} ×${n}`).join(", "),
+      flipped_by: [...new Set(flips.map((r) => r.augment.transform))].join(", "),
+    };
+  });
+
+  const flips = compared.filter(flipped).length;
+  return { byTransform, byFile, overall: { compared: compared.length, flips, flip_rate: rate(flips, compared.length) } };
+}
@@ -0,0 +1,225 @@
+import { evaluatePredictions } from "./evaluation.js";
+
+// =====================
+// Classical ML baseline on the whole-file features (kNN, logistic regression, random forest)
+// =====================
+
+export const BASELINE_MODELS = {
+  knn: "k-nearest neighbours",
+  logreg: "Logistic regression",
+  forest: "Random forest",
+};
+
+export const DEFAULT_BASELINE_OPTIONS = {
+  models: ["knn", "logreg", "forest"],
+  cv: "stratified",  // "stratified" (k-fold) | "lofo" (leave one recording out)
+  folds: 5,
+  knnK: 3,
+  trees: 25,
+  maxDepth: 5,
+  seed: 1,
+};
+
+// Small seeded PRNG so folds and forests (and fine-tuning splits) are reproducible
+export function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function shuffle(arr, rand) {
+  const a = [...arr];
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(rand() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
+
+// One sample per file: featureRows of every series × the selected columns. sourceOf(file) names the recording a
+// segment was cut from, so its siblings always land in the same fold.
+// samples = [{ file, source, label, features: { "tag1_residual_rad:std": v, … } }]
+export function baselineSamples(files, cachedFor, truthByFile, columns, sourceOf = (f) => f) {
+  return files.filter((f) => truthByFile[f]).map((f) => {
+    const features = {};
+    for (const row of cachedFor(f).featureRows) for (const c of columns) features[`${row.column}:${c}`] = row[c];
+    return { file: f, source: sourceOf(f) ?? f, label: truthByFile[f], features };
+  });
+}
+
+// Standardization fitted on the training rows only; missing values end up at the training mean (0).
+function fitScaler(rows, dims) {
+  const mean = [], sd = [];
+  dims.forEach((d) => {
+    const v = rows.map((r) => r.features[d]).filter(Number.isFinite);
+    const m = v.length ? v.reduce((s, x) => s + x, 0) / v.length : 0;
+    const s = v.length ? Math.sqrt(v.reduce((acc, x) => acc + (x - m) ** 2, 0) / v.length) : 0;
+    mean.push(m);
+    sd.push(s);
+  });
+  return (r) => dims.map((d, j) => (Number.isFinite(r.features[d]) && sd[j] > 0 ? (r.features[d] - mean[j]) / sd[j] : 0));
+}
+
+// -------- models: fit(X, y, labels, opt, rand) → predict(x) --------
+
+function fitKnn(X, y, labels, opt) {
+  const k = Math.max(1, Math.min(X.length, Math.round(opt.knnK) || 1));
+  return (x) => {
+    const near = X.map((xi, i) => ({ d: xi.reduce((s, v, j) => s + (v - x[j]) ** 2, 0), y: y[i] }))
+      .sort((a, b) => a.d - b.d)
+      .slice(0, k);
+    // majority vote; ties go to the class of the nearer neighbour
+    const votes = new Map();
+    near.forEach((n, rank) => {
+      const v = votes.get(n.y) ?? { count: 0, best: rank };
+      votes.set(n.y, { count: v.count + 1, best: Math.min(v.best, rank) });
+    });
+    return [...votes.entries()].sort((a, b) => b[1].count - a[1].count || a[1].best - b[1].best)[0][0];
+  };
+}
+
+// Multinomial (softmax) regression, batch gradient descent with a little L2
+function fitLogReg(X, y, labels) {
+  const C = labels.length, D = X[0]?.length ?? 0;
+  const W = labels.map(() => new Array(D + 1).fill(0));
+  const yi = y.map((l) => labels.indexOf(l));
+  const lr = 0.1, l2 = 1e-3, iters = 300;
+  const softmax = (x) => {
+    const z = W.map((w) => w[D] + x.reduce((s, v, j) => s + v * w[j], 0));
+    const m = Math.max(...z);
+    const e = z.map((v) => Math.exp(v - m));
+    const s = e.reduce((a, b) => a + b, 0);
+    return e.map((v) => v / s);
+  };
+  for (let it = 0; it < iters; it++) {
+    const grad = labels.map(() => new Array(D + 1).fill(0));
+    X.forEach((x, i) => {
+      const p = softmax(x);
+      for (let c = 0; c < C; c++) {
+        const err = p[c] - (yi[i] === c ? 1 : 0);
+        for (let j = 0; j < D; j++) grad[c][j] += err * x[j];
+        grad[c][D] += err;
+      }
+    });
+    for (let c = 0; c < C; c++) {
+      for (let j = 0; j <= D; j++) W[c][j] -= lr * (grad[c][j] / X.length + (j < D ? l2 * W[c][j] : 0));
+    }
+  }
+  return (x) => {
+    const p = softmax(x);
+    return labels[p.indexOf(Math.max(...p))];
+  };
+}
+
+function gini(ys) {
+  const counts = new Map();
+  ys.forEach((v) => counts.set(v, (counts.get(v) ?? 0) + 1));
+  return 1 - [...counts.values()].reduce((s, c) => s + (c / ys.length) ** 2, 0);
+}
+
+const majority = (ys) => {
+  const counts = new Map();
+  ys.forEach((v) => counts.set(v, (counts.get(v) ?? 0) + 1));
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+};
+
+function growTree(X, y, idx, depth, opt, rand) {
+  const ys = idx.map((i) => y[i]);
+  if (depth >= opt.maxDepth || idx.length < 2 || gini(ys) === 0) return { leaf: majority(ys) };
+  const D = X[0].length;
+  const tryDims = shuffle([...Array(D).keys()], rand).slice(0, Math.max(1, Math.round(Math.sqrt(D))));
+  let best = null;
+  for (const j of tryDims) {
+    const vals = [...new Set(idx.map((i) => X[i][j]))].sort((a, b) => a - b);
+    for (let v = 0; v < vals.length - 1; v++) {
+      const thr = (vals[v] + vals[v + 1]) / 2;
+      const L = idx.filter((i) => X[i][j] <= thr), R = idx.filter((i) => X[i][j] > thr);
+      const score = (L.length * gini(L.map((i) => y[i])) + R.length * gini(R.map((i) => y[i]))) / idx.length;
+      if (!best || score < best.score) best = { j, thr, L, R, score };
+    }
+  }
+  if (!best) return { leaf: majority(ys) };
+  return {
+    j: best.j, thr: best.thr,
+    left: growTree(X, y, best.L, depth + 1, opt, rand),
+    right: growTree(X, y, best.R, depth + 1, opt, rand),
+  };
+}
+
+function fitForest(X, y, labels, opt, rand) {
+  const trees = Array.from({ length: Math.max(1, Math.round(opt.trees) || 1) }, () => {
+    const boot = X.map(() => Math.floor(rand() * X.length));
+    return growTree(X, y, boot, 0, opt, rand);
+  });
+  const walk = (node, x) => (node.leaf !== undefined ? node.leaf : walk(x[node.j] <= node.thr ? node.left : node.right, x));
+  return (x) => majority(trees.map((t) => walk(t, x)));
+}
+
+const FITTERS = { knn: fitKnn, logreg: fitLogReg, forest: fitForest };
+
+// -------- cross-validation --------
+
+// Fold index per sample: whole recordings (samples sharing a source) are dealt out, either stratified round robin over
+// a seeded shuffle (a recording's stratum is its majority label) or one fold per recording.
+export function assignFolds(samples, cv, folds, seed) {
+  const bySource = new Map();
+  samples.forEach((s, i) => {
+    const key = s.source ?? s.file;
+    if (!bySource.has(key)) bySource.set(key, []);
+    bySource.get(key).push(i);
+  });
+  const groups = [...bySource.values()];
+  const out = new Array(samples.length);
+  if (cv === "lofo") {
+    groups.forEach((idx, g) => idx.forEach((i) => { out[i] = g; }));
+    return out;
+  }
+  const k = Math.max(2, Math.min(groups.length, Math.round(folds) || 2));
+  const rand = mulberry32(seed);
+  const majority = (idx) => {
+    const counts = new Map();
+    idx.forEach((i) => counts.set(samples[i].label, (counts.get(samples[i].label) ?? 0) + 1));
+    return [...counts.entries()].sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(b[0]))[0][0];
+  };
+  const byClass = new Map();
+  for (const idx of groups) {
+    const label = majority(idx);
+    if (!byClass.has(label)) byClass.set(label, []);
+    byClass.get(label).push(idx);
+  }
+  let next = 0;
+  for (const list of byClass.values()) {
+    for (const idx of shuffle(list, rand)) {
+      const f = next++ % k;
+      idx.forEach((i) => { out[i] = f; });
+    }
+  }
+  return out;
+}
+
+// Out-of-fold predictions and metrics per model → [{ model, name, predictions: [{ file, truth, pred, fold }], evaluation }].
+export function runBaselines(samples, labels, options = DEFAULT_BASELINE_OPTIONS) {
+  const opt = { ...DEFAULT_BASELINE_OPTIONS, ...options };
+  const dims = [...new Set(samples.flatMap((s) => Object.keys(s.features)))];
+  const fold = assignFolds(samples, opt.cv, opt.folds, opt.seed);
+  const nFolds = Math.max(...fold) + 1;
+
+  return opt.models.filter((m) => FITTERS[m]).map((model) => {
+    const rand = mulberry32(opt.seed);
+    const predictions = [];
+    for (let f = 0; f < nFolds; f++) {
+      const train = samples.filter((_, i) => fold[i] !== f);
+      const test = samples.filter((_, i) => fold[i] === f);
+      if (!test.length || !train.length) continue;
+      const scale = fitScaler(train, dims);
+      const predict = FITTERS[model](train.map(scale), train.map((s) => s.label), labels, opt, rand);
+      for (const s of test) predictions.push({ file: s.file, truth: s.label, pred: predict(scale(s)), fold: f });
+    }
+    return { model, name: BASELINE_MODELS[model], predictions, evaluation: evaluatePredictions(predictions, labels) };
+  });
+}
@@ -0,0 +1,100 @@
+import * as XLSX from "xlsx";
+import { strToU8, zipSync } from "fflate";
+import { isFiniteNum, medianDelta } from "./features.js";
+import { buildCombinedStructuralSheet } from "./structural.js";
+import { crossSeriesRows, statisticalRows } from "./pipeline.js";
+
+// =====================
+// Dataset export: every file's tables stacked with a file column, as one workbook or as CSV + JSONL in one zip
+// =====================
+
+export const DATASET_WORKBOOK_NAME = "LLM_dataset.xlsx";
+export const DATASET_ZIP_NAME = "LLM_dataset.zip";
+
+// One row per file: provenance, sampling, resampling and the quality report (metrics prefixed qa_).
+// Segments (gap-free stretches or fixed-length parts) share the report of their source file.
+function fileRow(fname, data, qa) {
+  const { time, seriesDefs, rowCounts, resample } = data;
+  const dt = medianDelta(time);
+  return {
+    file: fname,
+    source: data.source ?? fname,
+    sha256: data.sha256 ?? "",
+    rows_before_cleaning: rowCounts?.before,
+    rows_after_cleaning: rowCounts?.after,
+    samples: time.length,
+    start_s: time[0],
+    end_s: time[time.length - 1],
+    duration_s: time[time.length - 1] - time[0],
+    segment_index: data.segment?.index ?? "",
+    fs_median: isFiniteNum(dt) && dt > 0 ? 1 / dt : NaN,
+    series: seriesDefs.map((d) => d.key).join(", "),
+    resampled_hz: resample?.rateHz ?? "",
+    resample_method: resample?.method ?? "",
+    resample_gaps: resample?.gaps.length ?? "",
+    qa_status: qa?.status ?? "",
+    qa_issues: qa ? qa.issues.map((i) => `${i.action}: ${i.message}`).join("; ") : "",
+    ...Object.fromEntries(Object.entries(qa?.metrics ?? {}).map(([k, v]) => [`qa_${k}`, v])),
+  };
+}
+
+// files: names to include · dataByFile: parseInputCsv data (+ sha256) · cachedFor(file) → computeFileResults ·
+// config: prompt config (winSec, hopSec, featureColumns, pairFeatureColumns, structThresholds) · qaReports: qualityReport list.
+// Returns { statistical, cross_series (only with pair columns), structural, files } — arrays of flat rows.
+export function datasetTables(files, dataByFile, cachedFor, config, qaReports = []) {
+  const qaByFile = new Map(qaReports.map((r) => [r.file, r]));
+  const pairColumns = config.pairFeatureColumns ?? [];
+  const tables = { statistical: [], ...(pairColumns.length && { cross_series: [] }), structural: [], files: [] };
+  for (const fname of files) {
+    const data = dataByFile[fname];
+    const { time, series, seriesDefs } = data;
+    const cached = cachedFor(fname);
+    for (const r of statisticalRows(cached, seriesDefs, config.featureColumns)) tables.statistical.push({ file: fname, ...r });
+    if (pairColumns.length) for (const r of crossSeriesRows(cached, seriesDefs, pairColumns)) tables.cross_series.push({ file: fname, ...r });
+    for (const r of buildCombinedStructuralSheet(time, series, config.winSec, config.hopSec, seriesDefs, config.structThresholds)) {
+      tables.structural.push({ file: fname, ...r });
+    }
+    tables.files.push(fileRow(fname, data, qaByFile.get(data.source ?? fname)));
+  }
+  return tables;
+}
+
+export function buildDatasetWorkbook(tables) {
+  const wb = XLSX.utils.book_new();
+  for (const [name, rows] of Object.entries(tables)) {
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rows.length ? rows : [{ file: "" }]), name);
+  }
+  return wb;
+}
+
+// Columns in order of first appearance (structural label columns can differ between mappings)
+function columnsOf(rows) {
+  const cols = new Set();
+  for (const r of rows) for (const k of Object.keys(r)) cols.add(k);
+  return [...cols];
+}
+
+// RFC 4180 CSV; NaN / missing values are empty cells
+export function toCsv(rows) {
+  const cols = columnsOf(rows);
+  const cell = (v) => {
+    if (v === null || v === undefined || (typeof v === "number" && !Number.isFinite(v))) return "";
+    const s = String(v);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return [cols.map(cell).join(","), ...rows.map((r) => cols.map((c) => cell(r[c])).join(","))].join("\r\n") + "\r\n";
+}
+
+// One JSON object per line; NaN / Infinity become null
+export const toJsonl = (rows) => rows.map((r) => JSON.stringify(r)).join("\n") + (rows.length ? "\n" : "");
+
+// <table>.csv + <table>.jsonl for every table, plus manifest.json → zip bytes (Uint8Array)
+export function buildDatasetZip(tables, manifest) {
+  const entries = {};
+  for (const [name, rows] of Object.entries(tables)) {
+    entries[`${name}.csv`] = strToU8(toCsv(rows));
+    entries[`${name}.jsonl`] = strToU8(toJsonl(rows));
+  }
+  if (manifest) entries["manifest.json"] = strToU8(JSON.stringify(manifest, null, 2) + "\n");
+  return zipSync(entries, { level: 6 });
+}
@@ -0,0 +1,332 @@
+import FFT from "fft.js";
+
+// =====================
+// Numeric helpers
+// =====================
+
+export function fmt(v, d=3) {
+  if (v === null || v === undefined || Number.isNaN(v)) return "NA";
+  return Number(v).toFixed(d);
+}
+
+export const EPS = 1e-12;
+export const isFiniteNum = (v) => Number.isFinite(v) && !Number.isNaN(v);
+
+export function median(arr) {
+  const a = [...arr].filter(isFiniteNum).sort((x, y) => x - y);
+  if (!a.length) return NaN;
+  const m = Math.floor(a.length / 2);
+  return a.length % 2 ? a[m] : (a[m - 1] + a[m]) / 2;
+}
+export function medianAbsDeviation(arr) {
+  const m = median(arr);
+  const devs = arr.map((v) => Math.abs(v - m));
+  return median(devs);
+}
+export function autocorrDecayHalf(x) {
+  const n = x.length;
+  if (n < 3) return n;
+  const mean = x.reduce((s, v) => s + v, 0) / n;
+  const xc = x.map((v) => v - mean);
+  const ac = new Array(n).fill(0);
+  for (let lag = 0; lag < n; lag++) {
+    let s = 0;
+    for (let i = 0; i < n - lag; i++) s += xc[i] * xc[i + lag];
+    ac[lag] = s;
+  }
+  if (Math.abs(ac[0]) < EPS) return 0;
+  for (let i = 0; i < n; i++) ac[i] /= ac[0];
+  for (let i = 1; i < n; i++) if (ac[i] < 0.5) return i;
+  return n;
+}
+export function spectralEntropy(power) {
+  const sum = power.reduce((s, v) => s + v, 0);
+  if (!(sum > 0)) return 0;
+  let H = 0;
+  for (let i = 0; i < power.length; i++) {
+    const p = power[i] / sum;
+    H += -p * Math.log2(p + EPS);
+  }
+  return H;
+}
+export function isPowerOfTwo(n) { return n > 1 && (n & (n - 1)) === 0; }
+export function nextPow2(n) { let p = 1; while (p < Math.max(2, n)) p <<= 1; return p; }
+
+export function rfftPower(xIn, fs) {
+  if (!isFiniteNum(fs) || fs <= 0) return { freqs: [], power: [] };
+  const x = xIn.filter(isFiniteNum);
+  let n = x.length;
+  if (n < 2) return { freqs: [], power: [] };
+
+  const xm = x.reduce((s, v) => s + v, 0) / n;
+  const z = x.map((v) => v - xm);
+
+  const N = isPowerOfTwo(n) ? n : nextPow2(n);
+  const input = new Float64Array(N);
+  input.set(z.slice(0, Math.min(n, N)));
+
+  const out = new Float64Array(2 * N);
+  const fft = new FFT(N);
+  fft.realTransform(out, input);
+  fft.completeSpectrum(out);
+
+  const half = Math.floor(N / 2);
+  const power = new Array(half + 1);
+  for (let k = 0; k <= half; k++) {
+    const re = out[2 * k];
+    const im = out[2 * k + 1];
+    power[k] = (re * re + im * im) / N;
+  }
+  const freqs = Array.from({ length: half + 1 }, (_, k) => (k * fs) / N);
+  return { freqs, power };
+}
+
+// =====================
+// Spectral estimation
+// =====================
+
+// estimator "periodogram" = one untapered, zero-padded FFT of the whole series (the original behaviour);
+// "welch" = average of windowed segments. segment is in samples, overlap a fraction of it;
+// "lombscargle" = least-squares fit at the actual sample times, for irregular / bursty reads.
+// bands are [lo, hi) in Hz; low_mid_ratio = first band / (second + third).
+export const DEFAULT_SPECTRAL_OPTIONS = {
+  estimator: "periodogram",  // "periodogram" | "welch" | "lombscargle"
+  window: "hann",            // welch taper: "hann" | "hamming"
+  segment: 64,
+  overlap: 0.5,
+  bands: [[0, 2], [2, 5], [5, 10], [10, 20]],
+  rolloff: 0.85,             // spectral_rolloff = frequency below which this share of power lies
+  topK: 3,                   // peak1_freq/peak1_power … peakK_*
+};
+
+export function windowFunction(kind, L) {
+  const a0 = kind === "hamming" ? 0.54 : 0.5;
+  if (L < 2) return new Array(L).fill(1);
+  return Array.from({ length: L }, (_, i) => a0 - (1 - a0) * Math.cos((2 * Math.PI * i) / (L - 1)));
+}
+
+// Welch PSD on the same scale as rfftPower (power per bin, normalized by the window energy).
+export function welchPower(xIn, fs, { window = "hann", segment = 64, overlap = 0.5 } = {}) {
+  if (!isFiniteNum(fs) || fs <= 0) return { freqs: [], power: [] };
+  const x = xIn.filter(isFiniteNum);
+  const n = x.length;
+  if (n < 2) return { freqs: [], power: [] };
+  const L = Math.max(2, Math.min(n, Math.round(Number(segment)) || 64));
+  const step = Math.max(1, Math.round(L * (1 - Math.min(0.95, Math.max(0, Number(overlap) || 0)))));
+  const w = windowFunction(window, L);
+  const wEnergy = w.reduce((s, v) => s + v * v, 0) || 1;
+  const N = nextPow2(L);
+  const half = Math.floor(N / 2);
+  const fft = new FFT(N);
+  const power = new Array(half + 1).fill(0);
+  let segments = 0;
+  for (let start = 0; start + L <= n; start += step) {
+    const seg = x.slice(start, start + L);
+    const m = seg.reduce((s, v) => s + v, 0) / L;
+    const input = new Float64Array(N);
+    for (let i = 0; i < L; i++) input[i] = (seg[i] - m) * w[i];
+    const out = new Float64Array(2 * N);
+    fft.realTransform(out, input);
+    for (let k = 0; k <= half; k++) power[k] += (out[2 * k] ** 2 + out[2 * k + 1] ** 2) / wEnergy;
+    segments++;
+  }
+  const freqs = Array.from({ length: half + 1 }, (_, k) => (k * fs) / N);
+  return { freqs, power: power.map((p) => p / segments) };
+}
+
+// Lomb–Scargle periodogram at the sample times t, on the rfftPower frequency grid (fs = 1 / median Δt) and scaled
+// like it (rfftPower divides by the zero-padded length N), so for evenly spaced samples it approximates the periodogram.
+export function lombScarglePower(t, xIn, fs) {
+  if (!isFiniteNum(fs) || fs <= 0) return { freqs: [], power: [] };
+  const tt = [], x = [];
+  for (let i = 0; i < Math.min(t.length, xIn.length); i++) {
+    if (isFiniteNum(t[i]) && isFiniteNum(xIn[i])) { tt.push(t[i]); x.push(xIn[i]); }
+  }
+  const n = x.length;
+  if (n < 2) return { freqs: [], power: [] };
+  const xm = x.reduce((s, v) => s + v, 0) / n;
+  const z = x.map((v) => v - xm);
+  const N = nextPow2(n);
+  const half = Math.floor(N / 2);
+  const freqs = Array.from({ length: half + 1 }, (_, k) => (k * fs) / N);
+  const power = freqs.map((f, k) => {
+    if (k === 0) return 0;  // mean removed, as in the FFT estimators
+    const w = 2 * Math.PI * f;
+    let s2 = 0, c2 = 0;
+    for (let i = 0; i < n; i++) { s2 += Math.sin(2 * w * tt[i]); c2 += Math.cos(2 * w * tt[i]); }
+    const tau = Math.atan2(s2, c2) / (2 * w);
+    let yc = 0, ys = 0, cc = 0, ss = 0;
+    for (let i = 0; i < n; i++) {
+      const c = Math.cos(w * (tt[i] - tau)), sn = Math.sin(w * (tt[i] - tau));
+      yc += z[i] * c; ys += z[i] * sn; cc += c * c; ss += sn * sn;
+    }
+    return (n / N) * 0.5 * ((cc > EPS ? (yc * yc) / cc : 0) + (ss > EPS ? (ys * ys) / ss : 0));
+  });
+  return { freqs, power };
+}
+
+// Estimator chosen in the spectral options; t (sample times) is only needed for Lomb–Scargle, which also serves
+// options.holes (see spectralOptionsFor).
+export function spectrumFor(x, fs, options = DEFAULT_SPECTRAL_OPTIONS, t = null) {
+  if (t && (options.estimator === "lombscargle" || options.holes)) return lombScarglePower(t, x, fs);
+  if (options.estimator === "welch") return welchPower(x, fs, options);
+  return rfftPower(x, fs);
+}
+
+// Spectral options for one file. resample: its resampleInput record; when gap mode "exclude" left gaps out of the
+// grid, the FFT estimators would splice straight across them, so the file gets Lomb–Scargle (holes: true).
+export const spectralOptionsFor = (options, resample) =>
+  resample?.gapMode === "exclude" && resample.gaps?.length ? { ...options, holes: true } : options;
+
+// "0-2, 2-5, 5-10, 10-20" (or [[0,2], …]) → [[0,2], …]; malformed or empty bands are dropped.
+export function parseBands(spec) {
+  const list = Array.isArray(spec)
+    ? spec
+    : String(spec).split(/[,;\n]+/).map((b) => b.split(/\s*(?:-|–|:)\s*/).map((v) => v.trim()).filter(Boolean));
+  return list.map((b) => b.map(Number)).filter((b) => b.length === 2 && b.every(isFiniteNum) && b[0] >= 0 && b[1] > b[0]);
+}
+
+const bandEdge = (v) => String(v).replace(".", "p");
+export const bandKey = ([lo, hi]) => `band_${bandEdge(lo)}_${bandEdge(hi)}`;
+
+// Bands that start at or above Nyquist cannot be estimated (reported as NA, not 0).
+export const bandReachable = ([lo], fs) => isFiniteNum(fs) && lo < fs / 2;
+
+export function spectralFeatures(x, fs, options = DEFAULT_SPECTRAL_OPTIONS, t = null) {
+  const opt = { ...DEFAULT_SPECTRAL_OPTIONS, ...options };
+  const bands = parseBands(opt.bands);
+  const topK = Math.max(0, Math.round(Number(opt.topK)) || 0);
+  const empty = {
+    spectral_centroid: NaN, ent: NaN, f1: NaN, f1_power: NaN,
+    bands: Object.fromEntries(bands.map((b) => [bandKey(b), NaN])),
+    rolloff: NaN, flatness: NaN, peaks: Array.from({ length: topK }, () => ({ freq: NaN, power: NaN })),
+  };
+  if (!isFiniteNum(fs) || x.length < 8) return empty;
+  const { freqs, power } = spectrumFor(x, fs, opt, t);
+  if (!freqs.length) return empty;
+
+  const sumP = power.reduce((s, v) => s + v, 0) + EPS;
+  const sc = freqs.reduce((s, f, i) => s + f * power[i], 0) / sumP;
+  const ent = spectralEntropy(power);
+  let idx = 0; for (let i = 1; i < power.length; i++) if (power[i] > power[idx]) idx = i;
+  const band = ([a, b]) => {
+    if (!bandReachable([a, b], fs)) return NaN;
+    let s = 0;
+    for (let i = 0; i < freqs.length; i++) if (freqs[i] >= a && freqs[i] < b) s += power[i];
+    return s;
+  };
+
+  let cum = 0, rolloff = freqs[freqs.length - 1];
+  for (let i = 0; i < power.length; i++) {
+    cum += power[i];
+    if (cum >= opt.rolloff * sumP) { rolloff = freqs[i]; break; }
+  }
+  // flatness: geometric / arithmetic mean of the non-DC bins (1 = white, → 0 = tonal)
+  const ac = power.slice(1);
+  const flatness = ac.length
+    ? Math.exp(ac.reduce((s, v) => s + Math.log(v + EPS), 0) / ac.length) / (ac.reduce((s, v) => s + v, 0) / ac.length + EPS)
+    : NaN;
+  // local maxima (DC excluded), strongest first
+  const maxima = [];
+  for (let i = 1; i < power.length; i++) {
+    if (power[i] > power[i - 1] && (i === power.length - 1 || power[i] >= power[i + 1])) maxima.push(i);
+  }
+  maxima.sort((a, b) => power[b] - power[a]);
+  const peaks = empty.peaks.map((p, k) => (k < maxima.length ? { freq: freqs[maxima[k]], power: power[maxima[k]] } : p));
+
+  return {
+    spectral_centroid: sc,
+    ent,
+    f1: freqs[idx],
+    f1_power: power[idx],
+    bands: Object.fromEntries(bands.map((b) => [bandKey(b), band(b)])),
+    rolloff,
+    flatness,
+    peaks,
+  };
+}
+
+export function linearFitSlope(t, y) {
+  const n = t.length;
+  if (n < 2) return { m: NaN, r2: NaN };
+  const sumT = t.reduce((s, v) => s + v, 0);
+  const sumY = y.reduce((s, v) => s + v, 0);
+  const sumTT = t.reduce((s, v) => s + v * v, 0);
+  const sumTY = t.reduce((s, v, i) => s + v * y[i], 0);
+  const denom = n * sumTT - sumT * sumT + EPS;
+  const m = (n * sumTY - sumT * sumY) / denom;
+  const b = (sumY - m * sumT) / n;
+  const yhat = t.map((v) => m * v + b);
+  const meanY = sumY / n;
+  let ssRes = 0, ssTot = 0;
+  for (let i = 0; i < n; i++) { const e = y[i] - yhat[i]; ssRes += e * e; const d = y[i] - meanY; ssTot += d * d; }
+  const r2 = 1 - ssRes / (ssTot + EPS);
+  return { m, r2 };
+}
+
+export function medianDelta(time) {
+  const dts = [];
+  for (let i = 1; i < time.length; i++) { const dt = time[i] - time[i - 1]; if (isFiniteNum(dt) && dt > 0) dts.push(dt); }
+  return median(dts);
+}
+
+export function computeSeriesFeatures(time, yIn, spectralOptions = DEFAULT_SPECTRAL_OPTIONS) {
+  const timeClean = time.filter(isFiniteNum);
+  const y = yIn.filter(isFiniteNum);
+  const n = Math.min(timeClean.length, y.length);
+  if (n < 4) {
+    return { ...Object.fromEntries(featureColumnsFor(spectralOptions).map((c) => [c, NaN])), n };
+  }
+  const yy = y.slice(0, n);
+  const tt = timeClean.slice(0, n);
+
+  const mean = yy.reduce((s, v) => s + v, 0) / n;
+  const std = Math.sqrt(yy.reduce((s, v) => s + (v - mean) ** 2, 0) / n);
+  const mad = medianAbsDeviation(yy);
+  const rng = Math.max(...yy) - Math.min(...yy);
+  const x0 = std > 0 ? yy.map((v) => (v - mean) / (std + EPS)) : yy.map(() => 0);
+  const skew = x0.reduce((s, v) => s + v ** 3, 0) / n;
+  const kurt = x0.reduce((s, v) => s + v ** 4, 0) / n - 3;
+  const cv = std / (Math.abs(mean) + EPS);
+  const { m: slope, r2: slope_r2 } = linearFitSlope(tt, yy);
+  const ac_half = autocorrDecayHalf(yy);
+
+  const dtMed = medianDelta(tt);
+  const fs = isFiniteNum(dtMed) && dtMed > 0 ? 1 / dtMed : NaN;
+  const spec = spectralFeatures(yy, fs, spectralOptions, tt);
+  const bandVals = Object.values(spec.bands);
+  const low_mid = bandVals.length >= 3 && isFiniteNum(bandVals[0])
+    ? bandVals[0] / ((bandVals[1] || 0) + (bandVals[2] || 0) + EPS)
+    : NaN;
+
+  return {
+    fs, n, mean, std, mad, rng, skew, kurt, cv,
+    slope, slope_r2, ac_half,
+    spectral_centroid: spec.spectral_centroid,
+    spectral_entropy: spec.ent,
+    dom_freq: spec.f1, dom_power: spec.f1_power,
+    ...spec.bands,
+    low_mid_ratio: low_mid,
+    spectral_rolloff: spec.rolloff,
+    spectral_flatness: spec.flatness,
+    ...Object.fromEntries(spec.peaks.flatMap((p, k) => [[`peak${k + 1}_freq`, p.freq], [`peak${k + 1}_power`, p.power]])),
+  };
+}
+
+// Selectable statistical columns (keys of computeSeriesFeatures) for a spectral configuration;
+// the band and peak columns follow options.bands / options.topK.
+export function featureColumnsFor(spectralOptions = DEFAULT_SPECTRAL_OPTIONS) {
+  const opt = { ...DEFAULT_SPECTRAL_OPTIONS, ...spectralOptions };
+  const k = Math.max(0, Math.round(Number(opt.topK)) || 0);
+  return [
+    "fs","n","mean","std","mad","rng","skew","kurt","cv",
+    "slope","slope_r2","ac_half",
+    "spectral_centroid","spectral_entropy","dom_freq","dom_power",
+    ...parseBands(opt.bands).map(bandKey),"low_mid_ratio",
+    "spectral_rolloff","spectral_flatness",
+    ...Array.from({ length: k }, (_, i) => [`peak${i + 1}_freq`, `peak${i + 1}_power`]).flat(),
+  ];
+}
+
+// Columns for the default spectral options
+export const FEATURE_COLUMNS = featureColumnsFor();
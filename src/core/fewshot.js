@@ -0,0 +1,81 @@
+import { isFiniteNum } from "./features.js";
+
+// =====================
+// Few-shot examples: nearest labelled recordings in z-scored feature space
+// =====================
+
+export const FEWSHOT_METRICS = ["euclidean", "manhattan", "cosine"];
+
+// balance "none" = the k nearest overall; "per_class" = nearest of each class in turn (round robin).
+export const DEFAULT_FEWSHOT_OPTIONS = { k: 3, metric: "euclidean", balance: "none" };
+
+// Whole-file vector: every series × feature column ("tag1_residual_rad:std" → value).
+// fs and n describe the recording rather than the room, so they are left out.
+export function fileEmbedding(cached, columns) {
+  const out = {};
+  for (const row of cached.featureRows) {
+    for (const c of columns) if (c !== "fs" && c !== "n") out[`${row.column}:${c}`] = row[c];
+  }
+  return out;
+}
+
+// refs: [{ file, label, cached, source? }] (source: the recording a segment was cut from). Mean/sd come from the reference set; missing values become 0 after scaling.
+export function buildExampleIndex(refs, columns) {
+  const raw = refs.map((r) => fileEmbedding(r.cached, columns));
+  const dims = [...new Set(raw.flatMap((e) => Object.keys(e)))];
+  const mean = [], sd = [];
+  for (const d of dims) {
+    const vals = raw.map((e) => e[d]).filter(isFiniteNum);
+    const m = vals.length ? vals.reduce((s, v) => s + v, 0) / vals.length : 0;
+    const s = vals.length ? Math.sqrt(vals.reduce((acc, v) => acc + (v - m) ** 2, 0) / vals.length) : 0;
+    mean.push(m);
+    sd.push(s);
+  }
+  const index = { dims, mean, sd, columns, items: [] };
+  index.items = refs.map((r, i) => ({ file: r.file, source: r.source ?? r.file, label: r.label, vec: zVector(index, raw[i]) }));
+  return index;
+}
+
+function zVector(index, emb) {
+  return index.dims.map((d, j) => {
+    const v = emb[d];
+    return isFiniteNum(v) && index.sd[j] > 0 ? (v - index.mean[j]) / index.sd[j] : 0;
+  });
+}
+
+export function distance(a, b, metric = "euclidean") {
+  if (metric === "cosine") {
+    let dot = 0, na = 0, nb = 0;
+    for (let i = 0; i < a.length; i++) { dot += a[i] * b[i]; na += a[i] * a[i]; nb += b[i] * b[i]; }
+    return na > 0 && nb > 0 ? 1 - dot / Math.sqrt(na * nb) : 1;
+  }
+  let s = 0;
+  for (let i = 0; i < a.length; i++) s += metric === "manhattan" ? Math.abs(a[i] - b[i]) : (a[i] - b[i]) ** 2;
+  return metric === "manhattan" ? s : Math.sqrt(s);
+}
+
+// k examples for one query file → [{ file, label, distance }], nearest first.
+// The query itself is never among its own examples, nor are other segments of the same recording (source).
+export function retrieveExamples(index, fname, cached, options = DEFAULT_FEWSHOT_OPTIONS, source = fname) {
+  const { k, metric, balance } = { ...DEFAULT_FEWSHOT_OPTIONS, ...options };
+  const q = zVector(index, fileEmbedding(cached, index.columns));
+  const ranked = index.items
+    .filter((it) => it.file !== fname && it.source !== source)
+    .map((it) => ({ file: it.file, label: it.label, distance: distance(q, it.vec, metric) }))
+    .sort((a, b) => a.distance - b.distance);
+  const want = Math.max(0, Math.round(Number(k)) || 0);
+  if (balance !== "per_class") return ranked.slice(0, want);
+
+  const byClass = new Map();
+  for (const r of ranked) {
+    if (!byClass.has(r.label)) byClass.set(r.label, []);
+    byClass.get(r.label).push(r);
+  }
+  // classes ordered by their nearest member, then one from each per round
+  const queues = [...byClass.values()];
+  const out = [];
+  for (let round = 0; out.length < want && queues.some((qq) => qq.length > round); round++) {
+    for (const qq of queues) if (qq[round] && out.length < want) out.push(qq[round]);
+  }
+  return out.sort((a, b) => a.distance - b.distance);
+}
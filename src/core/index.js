@@ -0,0 +1,15 @@
+// Headless pipeline: importable from the browser UI and from Node (see bin/rfid-llm.js).
+export * from "./features.js";
+export * from "./structural.js";
+export * from "./windows.js";
+export * from "./pairs.js";
+export * from "./prompt.js";
+export * from "./template.js";
+export * from "./fewshot.js";
+export * from "./pipeline.js";
+export * from "./manifest.js";
+export * from "./quality.js";
+export * from "./resample.js";
+export * from "./dataset.js";
+export * from "../schema.js";
+export { DEFAULT_RAW_OPTIONS, RAW_ROLES, detectRawColumns, ingestRawLog, rawColumnsFor, unwrapPhase } from "../rawlog.js";
@@ -0,0 +1,105 @@
+import * as XLSX from "xlsx";
+
+// =====================
+// Reproducibility manifest: inputs + settings behind an export
+// =====================
+
+export const MANIFEST_FORMAT = "rfid-llm-manifest";
+export const MANIFEST_VERSION = 1;
+const SHEET = "manifest";
+const XLSX_CELL_LIMIT = 32767;
+
+// Hex SHA-256 of a file's text (Web Crypto; Node 20+ exposes the same API)
+export async function sha256Hex(text) {
+  const buf = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return [...new Uint8Array(buf)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// Inputs as stored by parseInputCsv (+ sha256 added by the caller) for the given files
+export const manifestInputs = (dataByFile, fnames) =>
+  fnames.map((f) => ({ file: f, sha256: dataByFile[f]?.sha256, rowCounts: dataByFile[f]?.rowCounts }));
+
+// kind: what was exported ("structural", "statistical", "prompt_bundle", …)
+// config: prompt config as in buildPromptRecord; parse: { mode, mapping, rawOptions } of parseInputCsv.
+export function buildManifest(kind, inputs, config, parse, toolVersion) {
+  const { template } = config;
+  return {
+    format: MANIFEST_FORMAT,
+    version: MANIFEST_VERSION,
+    tool: "rfid-llm",
+    tool_version: toolVersion ?? "unknown",
+    created_at: new Date().toISOString(),
+    export: kind,
+    inputs: inputs.map(({ file, sha256, rowCounts }) => ({
+      file, sha256: sha256 ?? null, rows_before_cleaning: rowCounts?.before ?? null, rows_after_cleaning: rowCounts?.after ?? null,
+    })),
+    settings: {
+      winSec: config.winSec,
+      hopSec: config.hopSec,
+      useStat: config.useStat,
+      useStruct: config.useStruct,
+      featureColumns: config.featureColumns,
+      windowStatColumns: config.windowStatColumns ?? [],
+      pairFeatureColumns: config.pairFeatureColumns ?? [],
+      structThresholds: config.structThresholds,
+      spectralOptions: config.spectralOptions,
+      captionMode: config.captionMode ?? "window",
+      tokenBudget: config.tokenBudget ?? 0,
+      fewShot: config.fewShot ?? null,
+      parse,
+    },
+    template: template ? { name: template.name, version: template.version, labels: template.labels, text: template.text } : null,
+  };
+}
+
+// Two-column sheet (field, value) people can read, plus the whole manifest as JSON for manifestFromWorkbook
+// (manifest_json, or manifest_json_1 … n when it is longer than one cell holds).
+export function appendManifestSheet(wb, manifest) {
+  const rows = [];
+  const add = (field, v) => rows.push({ field, value: v !== null && typeof v === "object" ? JSON.stringify(v) : v ?? "" });
+  for (const k of ["format", "version", "tool", "tool_version", "created_at", "export"]) add(k, manifest[k]);
+  manifest.inputs.forEach((inp, i) => {
+    for (const [k, v] of Object.entries(inp)) add(`inputs[${i}].${k}`, v);
+  });
+  for (const [k, v] of Object.entries(manifest.settings)) add(`settings.${k}`, v);
+  if (manifest.template) for (const [k, v] of Object.entries(manifest.template)) add(`template.${k}`, v);
+  const json = JSON.stringify(manifest);
+  if (json.length <= XLSX_CELL_LIMIT) add("manifest_json", json);
+  else for (let i = 0; i * XLSX_CELL_LIMIT < json.length; i++) add(`manifest_json_${i + 1}`, json.slice(i * XLSX_CELL_LIMIT, (i + 1) * XLSX_CELL_LIMIT));
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rows), SHEET);
+  return wb;
+}
+
+// Parsed .manifest.json → { manifest } or { error }
+export function readManifest(m) {
+  if (m?.format !== MANIFEST_FORMAT) return { error: "no rfid-llm manifest found" };
+  if (!(m.version <= MANIFEST_VERSION)) return { error: `manifest version ${m.version} is newer than this tool (${MANIFEST_VERSION})` };
+  if (!m.settings) return { error: "manifest has no settings" };
+  return { manifest: m };
+}
+
+export function manifestFromWorkbook(wb) {
+  const ws = wb.Sheets[SHEET];
+  if (!ws) return { error: `no "${SHEET}" sheet in this workbook` };
+  const rows = XLSX.utils.sheet_to_json(ws);
+  const parts = rows.map((r) => ({ k: /^manifest_json_(\d+)$/.exec(r.field)?.[1], v: r.value })).filter((p) => p.k);
+  const json = rows.find((r) => r.field === "manifest_json")?.value
+    ?? parts.sort((a, b) => a.k - b.k).map((p) => String(p.v ?? "")).join("");
+  try {
+    return readManifest(JSON.parse(json ?? ""));
+  } catch {
+    return { error: "the manifest sheet has no readable manifest_json row" };
+  }
+}
+
+// Loaded files vs the manifest inputs → { matched, changed, missing } (file names)
+export function compareManifestInputs(manifest, dataByFile) {
+  const out = { matched: [], changed: [], missing: [] };
+  for (const inp of manifest.inputs ?? []) {
+    const d = dataByFile[inp.file];
+    if (!d) out.missing.push(inp.file);
+    else if (inp.sha256 && d.sha256 !== inp.sha256) out.changed.push(inp.file);
+    else out.matched.push(inp.file);
+  }
+  return out;
+}
@@ -0,0 +1,173 @@
+import FFT from "fft.js";
+import { EPS, isFiniteNum, medianDelta, nextPow2, windowFunction } from "./features.js";
+import { seriesDefsFor } from "../schema.js";
+
+// =====================
+// Cross-series features: how two tag series move together
+// =====================
+
+// Fixed coherence bands (the default per-series band_* bands)
+const COH_BANDS = [[0, 2], [2, 5], [5, 10], [10, 20]];
+
+export function pearson(a, b) {
+  const n = Math.min(a.length, b.length);
+  if (n < 3) return NaN;
+  const ma = a.slice(0, n).reduce((s, v) => s + v, 0) / n;
+  const mb = b.slice(0, n).reduce((s, v) => s + v, 0) / n;
+  let sab = 0, saa = 0, sbb = 0;
+  for (let i = 0; i < n; i++) {
+    const da = a[i] - ma, db = b[i] - mb;
+    sab += da * db; saa += da * da; sbb += db * db;
+  }
+  return saa > 0 && sbb > 0 ? sab / Math.sqrt(saa * sbb) : NaN;
+}
+
+// Ranks 1..n, ties get their average rank
+function ranks(x) {
+  const order = x.map((v, i) => [v, i]).sort((p, q) => p[0] - q[0]);
+  const r = new Array(x.length);
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1][0] === order[i][0]) j++;
+    for (let k = i; k <= j; k++) r[order[k][1]] = (i + j) / 2 + 1;
+    i = j + 1;
+  }
+  return r;
+}
+
+export const spearman = (a, b) => pearson(ranks(a), ranks(b));
+
+// Normalized cross-correlation over lags up to ±n/4 samples, via the FFT (zero-padded to ≥ 2n, so no wrap-around).
+// Returns the value with the largest magnitude (sign kept) and its lag; lag > 0 means b trails a.
+export function crossCorrelationPeak(a, b) {
+  const n = Math.min(a.length, b.length);
+  if (n < 8) return { peak: NaN, lag: NaN };
+  const ma = a.slice(0, n).reduce((s, v) => s + v, 0) / n;
+  const mb = b.slice(0, n).reduce((s, v) => s + v, 0) / n;
+  const za = a.slice(0, n).map((v) => v - ma);
+  const zb = b.slice(0, n).map((v) => v - mb);
+  const norm = Math.sqrt(za.reduce((s, v) => s + v * v, 0) * zb.reduce((s, v) => s + v * v, 0));
+  if (!(norm > 0)) return { peak: NaN, lag: NaN };
+
+  // c[k] = Σ za[i]·zb[i+k] = IFFT(conj(A)·B)[k]; negative lags wrap to the end
+  const N = nextPow2(2 * n);
+  const fft = new FFT(N);
+  const spectrum = (z) => {
+    const input = new Float64Array(N);
+    input.set(z);
+    const out = fft.createComplexArray();
+    fft.realTransform(out, input);
+    fft.completeSpectrum(out);
+    return out;
+  };
+  const A = spectrum(za), B = spectrum(zb);
+  const prod = fft.createComplexArray();
+  for (let k = 0; k < N; k++) {
+    const ar = A[2 * k], ai = A[2 * k + 1], br = B[2 * k], bi = B[2 * k + 1];
+    prod[2 * k] = ar * br + ai * bi;
+    prod[2 * k + 1] = ar * bi - ai * br;
+  }
+  const c = fft.createComplexArray();
+  fft.inverseTransform(c, prod);
+
+  const maxLag = Math.floor(n / 4);
+  let peak = 0, lag = 0;
+  for (let k = -maxLag; k <= maxLag; k++) {
+    const r = c[2 * (k < 0 ? N + k : k)] / norm;
+    if (Math.abs(r) > Math.abs(peak)) { peak = r; lag = k; }
+  }
+  return { peak, lag };
+}
+
+// Magnitude-squared coherence |Pab|² / (Paa·Pbb) from Welch averages
+// (Hann window, 50 % overlap, segments of a power of two ≤ n/4, at most 256 samples).
+export function coherence(a, b, fs) {
+  const n = Math.min(a.length, b.length);
+  if (!isFiniteNum(fs) || fs <= 0 || n < 32) return { freqs: [], coh: [] };
+  const L = Math.min(256, nextPow2(Math.floor(n / 4) + 1) / 2);
+  const step = L / 2;
+  const win = windowFunction("hann", L);
+  const half = L / 2;
+  const Paa = new Float64Array(half + 1), Pbb = new Float64Array(half + 1);
+  const Pre = new Float64Array(half + 1), Pim = new Float64Array(half + 1);
+  const fft = new FFT(L);
+  const spec = (x, start) => {
+    let m = 0;
+    for (let i = 0; i < L; i++) m += x[start + i];
+    m /= L;
+    const input = new Float64Array(L);
+    for (let i = 0; i < L; i++) input[i] = (x[start + i] - m) * win[i];
+    const out = new Float64Array(2 * L);
+    fft.realTransform(out, input);
+    return out;
+  };
+  for (let start = 0; start + L <= n; start += step) {
+    const A = spec(a, start), B = spec(b, start);
+    for (let k = 0; k <= half; k++) {
+      const ar = A[2 * k], ai = A[2 * k + 1], br = B[2 * k], bi = B[2 * k + 1];
+      Paa[k] += ar * ar + ai * ai;
+      Pbb[k] += br * br + bi * bi;
+      // A · conj(B)
+      Pre[k] += ar * br + ai * bi;
+      Pim[k] += ai * br - ar * bi;
+    }
+  }
+  const freqs = Array.from({ length: half + 1 }, (_, k) => (k * fs) / L);
+  const coh = freqs.map((_, k) => (Pre[k] ** 2 + Pim[k] ** 2) / (Paa[k] * Pbb[k] + EPS));
+  return { freqs, coh };
+}
+
+const energy = (x) => x.reduce((s, v) => s + v * v, 0) / (x.length || 1);
+
+export function computePairFeatures(time, aIn, bIn) {
+  const idx = [];
+  for (let i = 0; i < Math.min(time.length, aIn.length, bIn.length); i++) {
+    if (isFiniteNum(time[i]) && isFiniteNum(aIn[i]) && isFiniteNum(bIn[i])) idx.push(i);
+  }
+  const a = idx.map((i) => aIn[i]);
+  const b = idx.map((i) => bIn[i]);
+  const dt = medianDelta(idx.map((i) => time[i]));
+  const fs = isFiniteNum(dt) && dt > 0 ? 1 / dt : NaN;
+
+  const { peak, lag } = crossCorrelationPeak(a, b);
+  const { freqs, coh } = coherence(a, b, fs);
+  const band = ([lo, hi]) => {
+    const v = coh.filter((_, k) => k > 0 && freqs[k] >= lo && freqs[k] < hi);
+    return v.length ? v.reduce((s, x) => s + x, 0) / v.length : NaN;
+  };
+  const [coh_0_2, coh_2_5, coh_5_10, coh_10_20] = COH_BANDS.map(band);
+  const eb = energy(b);
+
+  return {
+    pearson: pearson(a, b),
+    spearman: a.length >= 3 ? spearman(a, b) : NaN,
+    xcorr_peak: peak,
+    xcorr_lag_s: isFiniteNum(lag) ? lag * dt : NaN,
+    coh_0_2, coh_2_5, coh_5_10, coh_10_20,
+    energy_ratio: eb > 0 ? energy(a) / eb : NaN,
+  };
+}
+
+// Selectable cross-series columns (keys of computePairFeatures).
+// energy_ratio = mean square of the first series over the second; for a tag's
+// residual × detrended pair that is its residual-vs-detrend energy ratio.
+export const PAIR_FEATURE_COLUMNS = [
+  "pearson","spearman","xcorr_peak","xcorr_lag_s",
+  "coh_0_2","coh_2_5","coh_5_10","coh_10_20","energy_ratio"
+];
+
+// Every unordered pair of mapped series, in mapping order.
+export function seriesPairs(seriesDefs) {
+  const out = [];
+  for (let i = 0; i < seriesDefs.length; i++) {
+    for (let j = i + 1; j < seriesDefs.length; j++) out.push([seriesDefs[i], seriesDefs[j]]);
+  }
+  return out;
+}
+
+// One row per pair → file, series_a, series_b, features…
+export function pairFeatureRows(fname, time, series, seriesDefs = seriesDefsFor(series)) {
+  return seriesPairs(seriesDefs).map(([da, db]) => ({
+    file: fname, series_a: da.key, series_b: db.key, ...computePairFeatures(time, series[da.key], series[db.key]),
+  }));
+}
@@ -0,0 +1,272 @@
+import Papa from "papaparse";
+import * as XLSX from "xlsx";
+import { computeSeriesFeatures, isFiniteNum } from "./features.js";
+import { buildCombinedStructuralSheet, slidingWindowCaptions } from "./structural.js";
+import { buildPromptForFile, buildPromptSections, estimateTokens } from "./prompt.js";
+import { windowFeatureRows } from "./windows.js";
+import { pairFeatureRows } from "./pairs.js";
+import { resampleSeries } from "./resample.js";
+import { seriesLabelKey } from "../schema.js";
+import { ingestRawLog, rawColumnsFor } from "../rawlog.js";
+
+// =====================
+// File-level pipeline shared by the UI and the CLI
+// =====================
+
+export const MIN_ROWS = 8;
+
+export const baseName = (fname) => fname.replace(/\.[^.]+$/, "");
+export const structuralFileName = (fname) => baseName(fname) + "_LLM_structural.xlsx";
+export const statisticalFileName = (fname) => baseName(fname) + "_LLM_statistical.xlsx";
+export const promptFileName = (fname) => baseName(fname) + "_LLM_prompt.txt";
+export const windowFeaturesFileName = (fname) => baseName(fname) + "_LLM_window_features.xlsx";
+export const promptBundleName = (count) => `LLM_prompts_${count}_files.jsonl`;
+export const promptManifestName = (count) => `LLM_prompts_${count}_files.manifest.json`;
+
+// Parse one CSV into { time, series, seriesDefs, rowCounts: { before, after } (rows read vs samples kept), parseStats }.
+// parseStats = { droppedRows, dropped: { [column]: { missing, non_numeric, non_finite } }, duplicateTimestamps,
+// backwardTimestamps } feeds the quality report (see qualityReport).
+// mode "processed" reads the mapped columns; mode "raw" runs reader-log ingestion.
+// Returns { data, message } on success or { error } when the file has to be skipped.
+export function parseInputCsv(text, { mode = "processed", mapping, rawOptions } = {}) {
+  const parsed = Papa.parse(text, { header: true, dynamicTyping: true });
+  const cols = parsed.meta.fields || [];
+  const before = parsed.data.filter((r) => Object.values(r).some((v) => v !== null && v !== "")).length;
+
+  if (mode === "raw") {
+    const roles = rawColumnsFor(cols, rawOptions?.columns);
+    if (roles.error) return { error: roles.error };
+    const res = ingestRawLog(parsed.data, roles.cols, rawOptions);
+    if (res.error) return { error: `${res.error} (columns: ${cols.join(", ")})` };
+    if (res.time.length < MIN_ROWS) return { error: `too few grid points after ingestion (${res.time.length})` };
+    const tagList = res.tags.map((t) => `${t.tag}=${t.epc} (${t.reads} reads, ${t.channels} ch)`).join("; ");
+    return {
+      data: {
+        time: res.time, series: res.series, seriesDefs: res.seriesDefs, rowCounts: { before, after: res.time.length },
+        // reads are resampled onto a grid, so timestamp order is not checked here
+        parseStats: { droppedRows: res.dropped, dropped: { reads: { invalid: res.dropped } } },
+      },
+      message: `raw log (timestamps in ${res.timeUnit}) → ${res.tags.length} tag(s), ${res.time.length} samples @ ${rawOptions?.rateHz} Hz, ` +
+        `${res.dropped} rows dropped. ${tagList}`,
+    };
+  }
+
+  if (!mapping?.time) return { error: "column mapping has no time column" };
+  if (!mapping.series?.length) return { error: "column mapping has no series columns" };
+  const needed = [mapping.time, ...mapping.series.map((d) => d.key)];
+  const missing = needed.filter((c) => !cols.includes(c));
+  if (missing.length) return { error: `missing columns ${missing.join(", ")}` };
+
+  const time = [];
+  const series = Object.fromEntries(mapping.series.map((d) => [d.key, []]));
+  const dropped = Object.fromEntries(needed.map((c) => [c, { missing: 0, non_numeric: 0, non_finite: 0 }]));
+  let droppedRows = 0;
+  // Papa gives null for empty cells, which Number() would silently turn into 0
+  const num = (v) => (v === null || v === undefined || v === "" ? NaN : Number(v));
+  for (const r of parsed.data) {
+    const t = num(r[mapping.time]);
+    const vals = mapping.series.map((d) => num(r[d.key]));
+    if (isFiniteNum(t) && vals.every(isFiniteNum)) {
+      time.push(t);
+      mapping.series.forEach((d, j) => series[d.key].push(vals[j]));
+    } else if (Object.values(r).some((v) => v !== null && v !== "")) {
+      droppedRows++;
+      for (const c of needed) {
+        const v = r[c];
+        if (isFiniteNum(num(v))) continue;
+        dropped[c][v === null || v === undefined || v === "" ? "missing" : typeof v === "number" ? "non_finite" : "non_numeric"]++;
+      }
+    }
+  }
+  if (time.length < MIN_ROWS) return { error: `too few valid rows after cleaning (${time.length})` };
+  // enforce strictly increasing time (counted against the original, un-nudged previous stamp)
+  let duplicateTimestamps = 0, backwardTimestamps = 0;
+  for (let i = 1, prev = time[0]; i < time.length; i++) {
+    const t = time[i];
+    if (t === prev) duplicateTimestamps++;
+    else if (t < prev) backwardTimestamps++;
+    if (!(time[i] > time[i - 1])) time[i] = time[i - 1] + 1e-6;
+    prev = t;
+  }
+
+  return {
+    data: {
+      time, series, seriesDefs: mapping.series, rowCounts: { before, after: time.length },
+      parseStats: { droppedRows, dropped, duplicateTimestamps, backwardTimestamps },
+    },
+    message: `parsed ${time.length} cleaned rows`,
+  };
+}
+
+// Optional uniform resampling of a parsed file (after the quality report, which needs the original stamps).
+// Returns { parts: [{ fname, data }], message } or { error }. With gapMode "segment" every gap-free stretch becomes
+// its own recording <name>_seg1.csv, <name>_seg2.csv, … with source: <name> (stretches shorter than MIN_ROWS are dropped).
+export function resampleInput(fname, data, options) {
+  if (!options?.enabled) return { parts: [{ fname, data }], message: "" };
+  const { segments, gaps, rateHz, maxGapSec } = resampleSeries(data.time, data.series, options);
+  const resample = { rateHz, method: options.method, maxGapSec, gapMode: options.gapMode, gaps };
+  const rate = `resampled to ${+rateHz.toFixed(3)} Hz (${options.method})`;
+  if (options.gapMode === "segment" && segments.length > 1) {
+    const ext = fname.slice(baseName(fname).length);
+    const kept = segments.filter((seg) => seg.time.length >= MIN_ROWS);
+    if (!kept.length) return { error: `no gap-free stretch has ${MIN_ROWS} grid points` };
+    return {
+      parts: kept.map((seg, k) => ({ fname: `${baseName(fname)}_seg${k + 1}${ext}`, data: { ...data, ...seg, resample, source: fname } })),
+      message: `${rate}, split at ${gaps.length} gap(s) > ${+maxGapSec.toFixed(3)} s into ${kept.length} segment(s)` +
+        (kept.length < segments.length ? ` (${segments.length - kept.length} too short)` : ""),
+    };
+  }
+  // "exclude": one recording whose grid simply skips the gaps
+  const time = segments.flatMap((seg) => seg.time);
+  if (time.length < MIN_ROWS) return { error: `too few grid points after resampling (${time.length})` };
+  const series = Object.fromEntries(Object.keys(data.series).map((key) => [key, segments.flatMap((seg) => seg.series[key])]));
+  return {
+    parts: [{ fname, data: { ...data, time, series, resample } }],
+    message: `${rate}, ${time.length} samples` + (gaps.length ? `, ${gaps.length} gap(s) > ${+maxGapSec.toFixed(3)} s left out` : ""),
+  };
+}
+
+// Long recordings cut into fixed-length segments, each classified as its own sample (consecutive segments start
+// lengthSec − overlapSec apart). Parts are <name>_part1.csv, <name>_part2.csv, … with source: <name> and
+// segment: { index, start_s, end_s }; a trailing piece shorter than half a segment (or than MIN_ROWS) is dropped.
+export const DEFAULT_SEGMENT_OPTIONS = { enabled: false, lengthSec: 30, overlapSec: 0 };
+
+export function segmentInput(fname, data, options) {
+  if (!options?.enabled) return { parts: [{ fname, data }], message: "" };
+  const len = Number(options.lengthSec);
+  const step = len - Math.max(0, Number(options.overlapSec) || 0);
+  if (!(len > 0) || !(step > 0)) return { error: "segment length must be positive and longer than the overlap" };
+  const { time } = data;
+  const T0 = time[0], T1 = time[time.length - 1];
+  if (T1 - T0 <= len) return { parts: [{ fname, data }], message: `${+(T1 - T0).toFixed(1)} s, shorter than one segment: kept whole` };
+
+  const ext = fname.slice(baseName(fname).length);
+  const source = data.source ?? fname;
+  const parts = [];
+  for (let start = T0; T1 - start >= len / 2; start += step) {
+    const end = start + len;
+    let i0 = 0;
+    while (i0 < time.length && time[i0] < start) i0++;
+    let i1 = i0;
+    while (i1 < time.length && time[i1] < end) i1++;
+    if (i1 - i0 < MIN_ROWS) continue;
+    const series = Object.fromEntries(Object.entries(data.series).map(([key, y]) => [key, y.slice(i0, i1)]));
+    parts.push({
+      fname: `${baseName(fname)}_part${parts.length + 1}${ext}`,
+      data: { ...data, time: time.slice(i0, i1), series, source, segment: { index: parts.length, start_s: start, end_s: Math.min(end, T1) } },
+    });
+  }
+  if (!parts.length) return { error: `no segment has ${MIN_ROWS} samples` };
+  return { parts, message: `cut into ${parts.length} segment(s) of ${len} s` + (step < len ? ` (${+(len - step).toFixed(3)} s overlap)` : "") };
+}
+
+// Features for every mapped series + every series pair + captions per series (what step 2 caches).
+export function computeFileResults(fname, time, series, WIN, HOP, structThresholds, spectralOptions) {
+  const featureRows = [];
+  const captions = {};
+  for (const [key, arr] of Object.entries(series)) {
+    const feats = computeSeriesFeatures(time, arr, spectralOptions);
+    featureRows.push({ file: fname, column: key, ...feats });
+    captions[key] = slidingWindowCaptions(time, arr, WIN, HOP, structThresholds);
+  }
+  return { featureRows, pairRows: pairFeatureRows(fname, time, series), captions };
+}
+
+// -------- STRUCTURAL: one sheet with all tag labels --------
+export function buildStructuralWorkbook(time, series, WIN, HOP, seriesDefs, structThresholds) {
+  const wb = XLSX.utils.book_new();
+  const structuralRows = buildCombinedStructuralSheet(time, series, WIN, HOP, seriesDefs, structThresholds);
+  const ws = XLSX.utils.json_to_sheet(
+    structuralRows.length
+      ? structuralRows
+      : [Object.fromEntries(["window_index", "start_time", "end_time", ...seriesDefs.map(seriesLabelKey)].map(k => [k, ""]))]
+  );
+  XLSX.utils.book_append_sheet(wb, ws, "structural");
+  return wb;
+}
+
+// -------- STATISTICAL: one sheet (selected columns only) + cross-series sheet when pair columns are picked --------
+// Rows per series (selected columns) and per series pair (selected pair columns); also used by the dataset export.
+export function statisticalRows(cached, seriesDefs, wanted) {
+  const rows = [];
+  for (const { key } of seriesDefs) {
+    const full = cached.featureRows.find(r => r.column === key);
+    if (!full) continue;
+    const filtered = { column: key };
+    for (const col of wanted) filtered[col] = full[col];
+    rows.push(filtered);
+  }
+  return rows;
+}
+
+export function crossSeriesRows(cached, seriesDefs, pairWanted) {
+  const keys = new Set(seriesDefs.map(d => d.key));
+  return (cached.pairRows ?? [])
+    .filter(r => keys.has(r.series_a) && keys.has(r.series_b))
+    .map(r => ({ series_a: r.series_a, series_b: r.series_b, ...Object.fromEntries(pairWanted.map(c => [c, r[c]])) }));
+}
+
+export function buildStatisticalWorkbook(cached, seriesDefs, wanted, pairWanted = []) {
+  const wb = XLSX.utils.book_new();
+  const rows = statisticalRows(cached, seriesDefs, wanted);
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rows.length ? rows : [{ column: "" }]), "statistical");
+  if (pairWanted.length) {
+    const pairRows = crossSeriesRows(cached, seriesDefs, pairWanted);
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(pairRows.length ? pairRows : [{ series_a: "", series_b: "" }]), "cross_series");
+  }
+  return wb;
+}
+
+// -------- PER-WINDOW: tidy sheet, one row per (series, window) with the full feature set --------
+export function buildWindowFeaturesWorkbook(fname, time, series, WIN, HOP, seriesDefs, spectralOptions) {
+  const wb = XLSX.utils.book_new();
+  const rows = windowFeatureRows(fname, time, series, WIN, HOP, seriesDefs, spectralOptions);
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rows.length ? rows : [{ file: fname }]), "window_features");
+  return wb;
+}
+
+// Prompt + JSONL bundle line for one file;
+// config = { winSec, hopSec, useStat, useStruct, featureColumns, windowStatColumns?, structThresholds?, pairFeatureColumns?,
+//           spectralOptions?, template?, fewShot?, captionMode?, tokenBudget? }.
+// examples: few-shot picks [{ file, label, distance }] (see retrieveExamples) with their sections attached.
+export function buildPromptRecord(fname, data, cached, config, examples = []) {
+  const prompt = buildPromptForFile(fname, data, cached, config, examples);
+  const record = { file: fname, prompt, tokens: estimateTokens(prompt), config };
+  if (examples.length) record.examples = examples.map(({ file, label, distance }) => ({ file, label, distance }));
+  return record;
+}
+
+// buildPromptRecord under config.tokenBudget (estimated tokens, 0 = no limit): while the prompt is too long the
+// hop doubles, up to the window length (beyond it windows would leave gaps), and only while that shortens the prompt.
+// Nothing is coarsened when the prompt stays over budget even without any per-window section.
+// examplesFor(config) → few-shot examples for that config.
+// The record's config carries the hop actually used; coarsenedFromHopSec / overBudget flag what happened.
+export function buildBudgetedPromptRecord(fname, data, cached, config, examplesFor = () => []) {
+  const budget = Number(config.tokenBudget) || 0;
+  let cfg = config;
+  let record = buildPromptRecord(fname, data, cached, cfg, examplesFor(cfg));
+  if (budget > 0 && record.tokens > budget) {
+    const bare = { ...cfg, useStruct: false, windowStatColumns: [] };
+    const floor = buildPromptRecord(fname, data, cached, bare, examplesFor(bare)).tokens;
+    while (floor <= budget && record.tokens > budget && cfg.hopSec > 0 && cfg.hopSec < cfg.winSec) {
+      const next = { ...cfg, hopSec: Math.min(cfg.hopSec * 2, cfg.winSec) };
+      const nextRecord = buildPromptRecord(fname, data, cached, next, examplesFor(next));
+      if (nextRecord.tokens >= record.tokens) break;
+      cfg = next;
+      record = nextRecord;
+    }
+  }
+  if (cfg !== config) record.coarsenedFromHopSec = config.hopSec;
+  if (budget > 0 && record.tokens > budget) record.overBudget = true;
+  return record;
+}
+
+// Attach the statistical/structural sections (built with the query's config) to few-shot picks;
+// cacheFor(file) returns that file's computeFileResults.
+export function withExampleSections(picks, dataByFile, cacheFor, config) {
+  return picks.map((p) => ({ ...p, ...buildPromptSections(dataByFile[p.file], cacheFor(p.file), config) }));
+}
+
+// One line per prompt for logs: "bedroom_02.csv (Bedroom, d=1.23), …"
+export const describeExamples = (examples) =>
+  examples.map((e) => `${e.file} (${e.label}, d=${Number(e.distance).toFixed(2)})`).join(", ");
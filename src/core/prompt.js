@@ -0,0 +1,121 @@
+import { DEFAULT_SPECTRAL_OPTIONS, fmt, spectralOptionsFor } from "./features.js";
+import {
+  DEFAULT_STRUCT_THRESHOLDS, buildCombinedStructuralRows, slidingWindowCaptions, structuralParagraph,
+} from "./structural.js";
+import { windowFeatures } from "./windows.js";
+import { DEFAULT_PROMPT_TEMPLATE, renderTemplate } from "./template.js";
+import { seriesDefsFor, seriesDisplayName } from "../schema.js";
+
+// =====================
+// Prompt building
+// =====================
+
+// Room classes of the default template (what the prompt asks for and the response parser accepts).
+export const ROOM_LABELS = DEFAULT_PROMPT_TEMPLATE.labels;
+
+const STRUCT_HEADINGS = {
+  window: "Structural labels by time window:",
+  compact: "Structural labels by time span (×n = consecutive windows with the same labels):",
+  timeline: "Structural timeline per series (×n = consecutive windows with the same label):",
+};
+
+// Rough token count for budgeting: words ~4 characters per token, digits ~3 per token, every symbol its own.
+export function estimateTokens(text) {
+  let n = 0;
+  for (const piece of String(text).match(/[A-Za-z]+|\d+|[^\sA-Za-z\d]/g) ?? []) {
+    n += /\d/.test(piece[0]) ? Math.ceil(piece.length / 3) : Math.ceil(piece.length / 4);
+  }
+  return n;
+}
+
+export function statLine(tagName, feats, cols) {
+  // cols = array of selected feature keys to include
+  const parts = [];
+  for (const k of cols) {
+    if (k in feats) parts.push(`${k.replaceAll('_',' ')} ${fmt(feats[k])}`);
+  }
+  // Example: "Tag 1 (detrended): mean 0.012, std 0.083, spectral entropy 0.742, ..."
+  return `- ${tagName}: ${parts.join(", ")}.`;
+}
+
+// Statistical + structural sections of one file → { statistical, structural } (either may be "").
+// data: { time, series, seriesDefs?, resample? } · cached: computeFileResults · config: the prompt config of buildPromptRecord, of which
+// featureColumns, useStat, useStruct, winSec, hopSec and:
+// windowStatColumns: per-window features shown next to each window's labels (or on their own without useStruct).
+// structThresholds: label vocabulary thresholds (see DEFAULT_STRUCT_THRESHOLDS).
+// pairFeatureColumns: cross-series columns verbalized under the statistical section (one line per series pair).
+// spectralOptions: estimator/bands used for the per-window statistics (whole-file ones come from cached).
+// captionMode: "window" | "compact" | "timeline" (see CAPTION_MODES); statistics without labels stay per window.
+export function buildPromptSections({ time, series, seriesDefs = seriesDefsFor(series), resample }, cached, config) {
+  const {
+    featureColumns: wantedFeatureCols = [], useStat, useStruct, winSec, hopSec, windowStatColumns: windowStatCols = [],
+    structThresholds = DEFAULT_STRUCT_THRESHOLDS, pairFeatureColumns: pairFeatureCols = [],
+    spectralOptions = DEFAULT_SPECTRAL_OPTIONS, captionMode = "window",
+  } = config;
+  // Statistical section
+  let statSection = "";
+  if (useStat) {
+    // Look up the per-series rows we computed in runExtraction
+    const getRow = (col) => cached.featureRows.find(r => r.column === col) || {};
+    statSection =
+      `\nStatistical features (selected):\n` +
+      seriesDefs.map(d => statLine(seriesDisplayName(d), getRow(d.key), wantedFeatureCols) + "\n").join("");
+    if (pairFeatureCols.length) {
+      const defByKey = new Map(seriesDefs.map(d => [d.key, d]));
+      const pairs = (cached.pairRows ?? []).filter(r => defByKey.has(r.series_a) && defByKey.has(r.series_b));
+      statSection += `Cross-series relationships (selected):\n` + pairs.map(r =>
+        statLine(`${seriesDisplayName(defByKey.get(r.series_a))} × ${seriesDisplayName(defByKey.get(r.series_b))}`, r, pairFeatureCols) + "\n"
+      ).join("");
+    }
+  }
+
+  // Per-window statistics (optional)
+  let windowStats;
+  if (windowStatCols.length) {
+    const bySeries = {};
+    for (const d of seriesDefs) {
+      bySeries[d.key] = new Map(windowFeatures(time, series[d.key], winSec, hopSec, spectralOptionsFor(spectralOptions, resample)).map(w => [w.window_index, w]));
+    }
+    windowStats = { cols: windowStatCols, bySeries };
+  }
+
+  // Structural section
+  let structSection = "";
+  if (useStruct || windowStats) {
+    const rows = buildCombinedStructuralRows(time, series, winSec, hopSec, slidingWindowCaptions, seriesDefs, structThresholds);
+    structSection = useStruct
+      ? `\n${STRUCT_HEADINGS[captionMode] ?? STRUCT_HEADINGS.window}\n` + structuralParagraph(rows, seriesDefs, windowStats, captionMode) + "\n"
+      : `\nPer-window statistics (selected):\n` +
+        structuralParagraph(rows.map(({ window_index, start_time, end_time }) => ({ window_index, start_time, end_time })), seriesDefs, windowStats) + "\n";
+  }
+
+  return { statistical: statSection, structural: structSection };
+}
+
+// Worked examples block: examples = [{ file, label, statistical, structural }] (sections as above).
+export function formatExamples(examples) {
+  if (!examples?.length) return "";
+  const blocks = examples.map((ex, i) =>
+    `\n--- Example ${i + 1} (${ex.file}) ---${ex.statistical}${ex.structural}Label: ${ex.label}\n`
+  );
+  return `\nWorked examples (labelled recordings similar to this one):\n${blocks.join("")}\n--- Recording to classify ---\n`;
+}
+
+// Full LLM prompt for one file: the template with its placeholders filled in.
+// data, cached, config as in buildPromptSections; config.template: { text, labels } (see DEFAULT_PROMPT_TEMPLATE);
+// examples: few-shot examples for formatExamples.
+export function buildPromptForFile(fname, data, cached, config, examples = []) {
+  const template = config.template ?? DEFAULT_PROMPT_TEMPLATE;
+  const { statistical, structural } = buildPromptSections(data, cached, config);
+  const exampleText = formatExamples(examples);
+  // Templates saved before {{examples}} existed get the examples just ahead of the statistical section
+  const inline = /\{\{\s*examples\s*\}\}/.test(template.text);
+  return renderTemplate(template.text, {
+    file: fname,
+    labels: template.labels.join(", "),
+    labels_pipe: template.labels.join("|"),
+    examples: exampleText,
+    statistical: inline ? statistical : exampleText + statistical,
+    structural,
+  });
+}
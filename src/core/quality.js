@@ -0,0 +1,137 @@
+import * as XLSX from "xlsx";
+import { fmt, isFiniteNum, median, medianAbsDeviation, medianDelta } from "./features.js";
+import { seriesDefsFor } from "../schema.js";
+
+// =====================
+// Data quality report per input file, with rules that warn about or reject a file
+// =====================
+
+// Metrics a rule can test: "max" rules fire above their limit, "min" rules below it.
+export const QA_METRICS = {
+  dropped_frac: { dir: "max", label: "rows dropped (fraction)" },
+  duplicate_timestamps: { dir: "max", label: "duplicate timestamps" },
+  backward_timestamps: { dir: "max", label: "backwards timestamps" },
+  gap_count: { dir: "max", label: "gaps (Δt > gap factor × median Δt)" },
+  max_gap_s: { dir: "max", label: "longest gap (s)" },
+  jitter_cv: { dir: "max", label: "sampling jitter (sd / median of Δt)" },
+  fs_eff: { dir: "min", label: "effective sample rate (Hz)" },
+  outlier_frac: { dir: "max", label: "outliers (fraction, worst series)" },
+  flatline_frac: { dir: "max", label: "flatlined samples (fraction, worst series)" },
+};
+
+export const QA_ACTIONS = ["off", "warn", "reject"];
+export const QUALITY_REPORT_NAME = "LLM_quality_report.xlsx";
+
+// Everything only warns by default; switch a rule to "reject" to keep such files out of the analysis.
+export const DEFAULT_QA_RULES = {
+  dropped_frac: { limit: 0.1, action: "warn" },
+  duplicate_timestamps: { limit: 0, action: "warn" },
+  backward_timestamps: { limit: 0, action: "warn" },
+  gap_count: { limit: 0, action: "warn" },
+  max_gap_s: { limit: 2, action: "warn" },
+  jitter_cv: { limit: 0.5, action: "warn" },
+  fs_eff: { limit: 5, action: "warn" },
+  outlier_frac: { limit: 0.02, action: "warn" },
+  flatline_frac: { limit: 0.2, action: "warn" },
+};
+
+export const DEFAULT_QA_OPTIONS = {
+  gapFactor: 5,    // a gap is an interval longer than this many median Δt
+  outlierMad: 5,   // outlier: |y − median| above this many robust SDs (1.4826·MAD) of the whole series
+  flatlineMin: 10, // flatline: at least this many consecutive identical samples
+};
+
+// Runs of identical consecutive values of length ≥ minLen → { segments, samples }
+function flatlines(y, minLen) {
+  let segments = 0, samples = 0;
+  for (let i = 0; i < y.length;) {
+    let j = i;
+    while (j + 1 < y.length && y[j + 1] === y[i]) j++;
+    if (j - i + 1 >= minLen) { segments++; samples += j - i + 1; }
+    i = j + 1;
+  }
+  return { segments, samples };
+}
+
+// data: parseInputCsv data ({ time, series, seriesDefs, rowCounts, parseStats }).
+// Returns { file, status: "ok" | "warn" | "reject", issues, metrics, gaps, series, dropped }.
+export function qualityReport(fname, data, rules = DEFAULT_QA_RULES, options = DEFAULT_QA_OPTIONS) {
+  const opt = { ...DEFAULT_QA_OPTIONS, ...options };
+  const { time, series, seriesDefs = seriesDefsFor(series), rowCounts, parseStats = {} } = data;
+  const n = time.length;
+
+  const dt0 = medianDelta(time);
+  const gaps = [];
+  const regular = [];
+  for (let i = 1; i < n; i++) {
+    const dt = time[i] - time[i - 1];
+    if (isFiniteNum(dt0) && dt > opt.gapFactor * dt0) gaps.push({ start_s: time[i - 1], length_s: dt });
+    else if (dt > 0) regular.push(dt);
+  }
+  const mReg = regular.length ? regular.reduce((s, v) => s + v, 0) / regular.length : NaN;
+  const sdReg = regular.length ? Math.sqrt(regular.reduce((s, v) => s + (v - mReg) ** 2, 0) / regular.length) : NaN;
+  const duration = n > 1 ? time[n - 1] - time[0] : NaN;
+
+  const perSeries = seriesDefs.map((d) => {
+    const y = series[d.key] ?? [];
+    const med = median(y);
+    const robustSd = 1.4826 * medianAbsDeviation(y);
+    const outliers = robustSd > 0 ? y.filter((v) => Math.abs(v - med) > opt.outlierMad * robustSd).length : 0;
+    const flat = flatlines(y, opt.flatlineMin);
+    return {
+      series: d.key, outliers, outlier_frac: y.length ? outliers / y.length : NaN,
+      flatline_segments: flat.segments, flatline_samples: flat.samples, flatline_frac: y.length ? flat.samples / y.length : NaN,
+    };
+  });
+
+  const before = rowCounts?.before ?? n;
+  const metrics = {
+    rows_before: before,
+    rows_after: n,
+    dropped_rows: parseStats.droppedRows ?? before - n,
+    dropped_frac: before > 0 ? (parseStats.droppedRows ?? before - n) / before : NaN,
+    duplicate_timestamps: parseStats.duplicateTimestamps ?? NaN,
+    backward_timestamps: parseStats.backwardTimestamps ?? NaN,
+    median_dt_s: dt0,
+    fs_eff: duration > 0 ? (n - 1) / duration : NaN,
+    jitter_cv: dt0 > 0 ? sdReg / dt0 : NaN,
+    gap_count: gaps.length,
+    max_gap_s: gaps.length ? Math.max(...gaps.map((g) => g.length_s)) : 0,
+    outlier_frac: Math.max(0, ...perSeries.map((s) => s.outlier_frac).filter(isFiniteNum)),
+    flatline_frac: Math.max(0, ...perSeries.map((s) => s.flatline_frac).filter(isFiniteNum)),
+  };
+
+  // NaN metrics (e.g. timestamp checks on raw logs, which are resampled) never fire
+  const issues = [];
+  for (const [metric, { dir, label }] of Object.entries(QA_METRICS)) {
+    const rule = { ...DEFAULT_QA_RULES[metric], ...rules?.[metric] };
+    const v = metrics[metric];
+    if (rule.action === "off" || !isFiniteNum(v)) continue;
+    if (dir === "max" ? v > rule.limit : v < rule.limit) {
+      issues.push({ metric, value: v, limit: rule.limit, action: rule.action, message: `${label} ${Number.isInteger(v) ? v : fmt(v)} ${dir === "max" ? ">" : "<"} ${rule.limit}` });
+    }
+  }
+  const status = issues.some((i) => i.action === "reject") ? "reject" : issues.length ? "warn" : "ok";
+
+  const dropped = Object.entries(parseStats.dropped ?? {}).flatMap(([column, reasons]) =>
+    Object.entries(reasons).filter(([, rows]) => rows > 0).map(([reason, rows]) => ({ column, reason, rows }))
+  );
+
+  return { file: fname, status, issues, metrics, gaps, series: perSeries, dropped };
+}
+
+// One workbook for all files: summary (metrics + issues), per-series, dropped rows, gaps
+export function buildQualityWorkbook(reports) {
+  const wb = XLSX.utils.book_new();
+  const summary = reports.map((r) => ({
+    file: r.file, status: r.status, issues: r.issues.map((i) => `${i.action}: ${i.message}`).join("; "), ...r.metrics,
+  }));
+  const series = reports.flatMap((r) => r.series.map((s) => ({ file: r.file, ...s })));
+  const dropped = reports.flatMap((r) => r.dropped.map((d) => ({ file: r.file, ...d })));
+  const gaps = reports.flatMap((r) => r.gaps.map((g) => ({ file: r.file, ...g })));
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(summary.length ? summary : [{ file: "" }]), "summary");
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(series.length ? series : [{ file: "" }]), "series");
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(dropped.length ? dropped : [{ file: "" }]), "dropped_rows");
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(gaps.length ? gaps : [{ file: "" }]), "gaps");
+  return wb;
+}
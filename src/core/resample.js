@@ -0,0 +1,86 @@
+import { isFiniteNum, medianDelta } from "./features.js";
+
+// =====================
+// Optional preprocessing: resample every series onto a uniform grid, never across gaps
+// =====================
+
+export const RESAMPLE_METHODS = ["linear", "cubic"];
+export const GAP_MODES = ["exclude", "segment"];
+
+export const DEFAULT_RESAMPLE_OPTIONS = {
+  enabled: false,
+  rateHz: 0,           // 0 = 1 / median Δt of the file
+  method: "linear",    // "linear" | "cubic" (natural spline)
+  maxGapSec: 0,        // intervals longer than this are gaps; 0 = 5 × median Δt
+  gapMode: "exclude",  // "exclude": no grid points inside gaps | "segment": one recording per gap-free stretch
+};
+
+// Sample index ranges [start, end] between gaps
+function stretches(time, maxGap) {
+  const out = [];
+  let start = 0;
+  for (let i = 1; i < time.length; i++) {
+    if (time[i] - time[i - 1] > maxGap) { out.push([start, i - 1]); start = i; }
+  }
+  if (time.length) out.push([start, time.length - 1]);
+  return out;
+}
+
+// Second derivatives of the natural cubic spline through (t, y) (tridiagonal solve)
+function splineSecondDerivs(t, y) {
+  const n = t.length;
+  const m = new Array(n).fill(0);
+  if (n < 3) return m;
+  const c = new Array(n).fill(0), d = new Array(n).fill(0);
+  for (let i = 1; i < n - 1; i++) {
+    const h0 = t[i] - t[i - 1], h1 = t[i + 1] - t[i];
+    const rhs = 6 * ((y[i + 1] - y[i]) / h1 - (y[i] - y[i - 1]) / h0);
+    const diag = 2 * (h0 + h1) - h0 * c[i - 1];
+    c[i] = h1 / diag;
+    d[i] = (rhs - h0 * d[i - 1]) / diag;
+  }
+  for (let i = n - 2; i >= 1; i--) m[i] = d[i] - c[i] * m[i + 1];
+  return m;
+}
+
+// Values of (t, y) at the ascending grid points, all inside [t[0], t[n-1]]
+function interpolateAt(t, y, grid, method) {
+  const m = method === "cubic" ? splineSecondDerivs(t, y) : null;
+  const out = new Array(grid.length);
+  let j = 0;
+  grid.forEach((g, k) => {
+    while (j < t.length - 2 && t[j + 1] < g) j++;
+    const h = t[j + 1] - t[j];
+    if (!(h > 0)) { out[k] = y[j]; return; }
+    const a = (t[j + 1] - g) / h, b = (g - t[j]) / h;
+    out[k] = a * y[j] + b * y[j + 1] + (m ? ((a ** 3 - a) * m[j] + (b ** 3 - b) * m[j + 1]) * h * h / 6 : 0);
+  });
+  return out;
+}
+
+// time ascending; series = { key: values }. Grid points share one phase (time[0] + k / rate) across stretches.
+// Returns { segments: [{ time, series }], gaps: [{ start_s, length_s }], rateHz, maxGapSec }.
+export function resampleSeries(time, series, options = DEFAULT_RESAMPLE_OPTIONS) {
+  const opt = { ...DEFAULT_RESAMPLE_OPTIONS, ...options };
+  const dt0 = medianDelta(time);
+  const rateHz = Number(opt.rateHz) > 0 ? Number(opt.rateHz) : 1 / dt0;
+  const maxGapSec = Number(opt.maxGapSec) > 0 ? Number(opt.maxGapSec) : 5 * dt0;
+  if (!isFiniteNum(rateHz) || !isFiniteNum(maxGapSec)) return { segments: [], gaps: [], rateHz: NaN, maxGapSec: NaN };
+
+  const step = 1 / rateHz;
+  const T0 = time[0];
+  const gaps = [];
+  const segments = [];
+  for (const [s, e] of stretches(time, maxGapSec)) {
+    if (s > 0) gaps.push({ start_s: time[s - 1], length_s: time[s] - time[s - 1] });
+    const t = time.slice(s, e + 1);
+    const grid = [];
+    for (let k = Math.ceil((t[0] - T0) / step - 1e-9); T0 + k * step <= t[t.length - 1] + 1e-9; k++) grid.push(T0 + k * step);
+    if (t.length < 2 || !grid.length) continue;
+    segments.push({
+      time: grid,
+      series: Object.fromEntries(Object.entries(series).map(([key, y]) => [key, interpolateAt(t, y.slice(s, e + 1), grid, opt.method)])),
+    });
+  }
+  return { segments, gaps, rateHz, maxGapSec };
+}
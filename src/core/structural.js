@@ -0,0 +1,265 @@
+import { EPS, fmt, linearFitSlope, median, medianAbsDeviation, medianDelta, rfftPower } from "./features.js";
+import { slidingWindows } from "./windows.js";
+import { seriesDefsFor, seriesLabelKey, seriesShortName } from "../schema.js";
+
+// =====================
+// Sliding-window structural captions
+// =====================
+
+// Thresholds for the window vocabulary. Event rules (oscillating and below) are off when set to 0.
+export const DEFAULT_STRUCT_THRESHOLDS = {
+  trend: 0.4,        // |slope| / (sd / window) for increasing / decreasing
+  sharpTrend: 1.5,   // … for sharp rise / sharp drop
+  oscMinCycles: 2,   // oscillating: dominant frequency × window length at least this many cycles …
+  oscPeakFrac: 0.6,  // … and that peak (±1 bin) holding at least this share of spectral power
+  spikeMad: 5,       // spike: |y − median| above this many robust SDs (1.4826·MAD) of the window
+  levelShift: 3,     // level shift: mean change vs the previous non-overlapping window, in units of typical window noise
+  plateau: 0.25,     // plateau: flat window whose noise is below this fraction of the typical window noise
+  highNoise: 2.5,    // high noise: window noise above this multiple of the typical window noise
+};
+
+// Thresholds on the slope scale that must stay > 0 (at 0 every window would be a trend)
+export const TREND_THRESHOLDS = ["trend", "sharpTrend"];
+
+// Settings that break the slope vocabulary → messages (empty when usable)
+export function thresholdProblems(thresholds) {
+  const th = { ...DEFAULT_STRUCT_THRESHOLDS, ...thresholds };
+  const out = TREND_THRESHOLDS.filter((k) => !(th[k] > 0)).map((k) => `${k} must be > 0`);
+  if (!(th.sharpTrend > th.trend)) out.push("sharpTrend must be above trend, or increasing / decreasing can never be labelled");
+  return out;
+}
+
+export function labelFromSlope(slope, sd, seconds, thresholds = DEFAULT_STRUCT_THRESHOLDS) {
+  const norm = Math.abs(slope) / (sd / (seconds || 1) + EPS);
+  if (norm >= thresholds.sharpTrend) return slope > 0 ? "sharp rise" : "sharp drop";
+  if (norm >= thresholds.trend) return slope > 0 ? "increasing" : "decreasing";
+  return "constant";
+}
+
+// Share of spectral power in the dominant peak (±1 bin) and its frequency.
+function dominantPeak(tk, yk) {
+  const dt = medianDelta(tk);
+  const { freqs, power } = rfftPower(yk, dt > 0 ? 1 / dt : NaN);
+  if (freqs.length < 3) return { freq: NaN, frac: 0 };
+  let idx = 1;
+  for (let i = 2; i < power.length; i++) if (power[i] > power[idx]) idx = i;
+  const total = power.reduce((s, v) => s + v, 0);
+  const peak = power[idx] + (power[idx - 1] ?? 0) + (power[idx + 1] ?? 0);
+  return { freq: freqs[idx], frac: total > 0 ? peak / total : 0 };
+}
+
+// A change between two adjacent windows counts as a level shift only when two flat levels
+// explain the joined samples clearly better than one straight line (trends and slow waves don't).
+function isStepChange(a, b) {
+  const t = [...a.tk, ...b.tk], y = [...a.yk, ...b.yk];
+  const { m, r2 } = linearFitSlope(t, y);
+  if (!Number.isFinite(m)) return false;
+  const mean = y.reduce((s, v) => s + v, 0) / y.length;
+  const ssTot = y.reduce((s, v) => s + (v - mean) ** 2, 0);
+  const ssLine = (1 - r2) * ssTot;
+  const ssStep = a.yk.reduce((s, v) => s + (v - a.mu) ** 2, 0) + b.yk.reduce((s, v) => s + (v - b.mu) ** 2, 0);
+  return ssStep < 0.5 * ssLine;
+}
+
+// Per-window captions: { window_index, label, shape, events }.
+// shape = slope label (or "plateau"); events = oscillating / spike / level shift / high noise;
+// label joins them, e.g. "constant + oscillating".
+export function slidingWindowCaptions(time, y, winSec, hopSec, thresholds = DEFAULT_STRUCT_THRESHOLDS) {
+  const th = { ...DEFAULT_STRUCT_THRESHOLDS, ...thresholds };
+  const wins = slidingWindows(time, winSec, hopSec).map(({ window_index, idx }) => {
+    const tk = idx.map((i) => time[i]);
+    const yk = idx.map((i) => y[i]);
+    const { m, r2 } = linearFitSlope(tk, yk);
+    const mu = yk.reduce((s, v) => s + v, 0) / yk.length;
+    const sd = Math.sqrt(yk.reduce((s, v) => s + (v - mu) ** 2, 0) / yk.length);
+    // noise left after the linear fit
+    const resSd = sd * Math.sqrt(Math.max(0, Math.min(1, 1 - r2)));
+    return { window_index, tk, yk, m, mu, sd, resSd };
+  });
+
+  // Typical within-window noise of this series: the scale for level shift / plateau / high noise
+  const noiseScale = median(wins.map((w) => w.resSd)) || EPS;
+  const byIndex = new Map(wins.map((w) => [w.window_index, w]));
+  const lag = Math.max(1, Math.round(winSec / hopSec));
+
+  return wins.map((w) => {
+    let shape = labelFromSlope(w.m, w.sd, winSec, th);
+    const events = [];
+    if (th.plateau > 0 && shape === "constant" && w.resSd < th.plateau * noiseScale) shape = "plateau";
+
+    if (th.oscMinCycles > 0 && w.yk.length >= 8) {
+      const { freq, frac } = dominantPeak(w.tk, w.yk);
+      if (freq * winSec >= th.oscMinCycles && frac >= th.oscPeakFrac) events.push("oscillating");
+    }
+    if (th.spikeMad > 0) {
+      const med = median(w.yk);
+      const robustSd = 1.4826 * medianAbsDeviation(w.yk);
+      if (robustSd > 0) {
+        const n = w.yk.filter((v) => Math.abs(v - med) > th.spikeMad * robustSd).length;
+        if (n === 1) events.push("spike");
+        else if (n > 1) events.push("spike burst");
+      }
+    }
+    const prev = byIndex.get(w.window_index - lag);
+    if (th.levelShift > 0 && prev) {
+      const jump = w.mu - prev.mu;
+      if (Math.abs(jump) > th.levelShift * noiseScale && isStepChange(prev, w)) {
+        events.push(jump > 0 ? "level shift up" : "level shift down");
+      }
+    }
+    if (th.highNoise > 0 && w.resSd > th.highNoise * noiseScale) events.push("high noise");
+
+    return { window_index: w.window_index, label: [shape, ...events].join(" + "), shape, events };
+  });
+}
+
+// Build one structural table in memory (same as your LLM sheet logic)
+export function buildCombinedStructuralRows(time, series, winSec, hopSec, slidingWindowCaptions, seriesDefs = seriesDefsFor(series), thresholds = DEFAULT_STRUCT_THRESHOLDS) {
+  const WIN = Number(winSec), HOP = Number(hopSec);
+  const makeRows = (arr) => {
+    const raw = slidingWindowCaptions(time, arr, WIN, HOP, thresholds);
+    const T0 = time[0];
+    return raw.map(r => {
+      const nominalStart = T0 + r.window_index * HOP;
+      const nominalEnd   = nominalStart + WIN;
+      let si = time.findIndex(t => t >= nominalStart);
+      if (si < 0) si = 0;
+      let ei = si;
+      for (let i = si; i < time.length && time[i] <= nominalEnd; i++) ei = i;
+      return {
+        window_index: r.window_index,
+        start_time: time[si],
+        end_time: time[ei] ?? nominalEnd,
+        label: r.label
+      };
+    });
+  };
+
+  const byIdx = new Map();
+  const merge = (rows, key) => {
+    for (const r of rows) {
+      if (!byIdx.has(r.window_index)) {
+        byIdx.set(r.window_index, {
+          window_index: r.window_index,
+          start_time: r.start_time,
+          end_time: r.end_time
+        });
+      }
+      const row = byIdx.get(r.window_index);
+      row.start_time = Math.min(row.start_time, r.start_time);
+      row.end_time   = Math.max(row.end_time,   r.end_time);
+      row[key] = r.label;
+    }
+  };
+  for (const d of seriesDefs) merge(makeRows(series[d.key]), seriesLabelKey(d));
+
+  return Array.from(byIdx.values()).sort((a,b)=>a.window_index-b.window_index);
+}
+
+// Build a single structural sheet with all tags as columns.
+// rows = { window_index, start_time, end_time, <series>_label for every mapped series }
+export function buildCombinedStructuralSheet(time, series, winSec, hopSec, seriesDefs = seriesDefsFor(series), thresholds = DEFAULT_STRUCT_THRESHOLDS) {
+  const WIN = Number(winSec), HOP = Number(hopSec);
+  const makeRows = (arr) => {
+    const raw = slidingWindowCaptions(time, arr, WIN, HOP, thresholds); // [{window_index,label}]
+    const T0 = time[0];
+    return raw.map(r => {
+      const nominalStart = T0 + r.window_index * HOP;
+      const nominalEnd   = nominalStart + WIN;
+      let si = time.findIndex(t => t >= nominalStart);
+      if (si < 0) si = 0;
+      let ei = si;
+      for (let i = si; i < time.length && time[i] <= nominalEnd; i++) ei = i;
+      return { window_index: r.window_index, start_time: time[si], end_time: time[ei] ?? nominalEnd, label: r.label };
+    });
+  };
+
+  const byIdx = new Map();
+  const merge = (rows, key) => {
+    for (const r of rows) {
+      if (!byIdx.has(r.window_index)) byIdx.set(r.window_index, {
+        window_index: r.window_index, start_time: r.start_time, end_time: r.end_time
+      });
+      const row = byIdx.get(r.window_index);
+      row.start_time = Math.min(row.start_time, r.start_time);
+      row.end_time   = Math.max(row.end_time,   r.end_time);
+      row[key] = r.label;
+    }
+  };
+  for (const d of seriesDefs) merge(makeRows(series[d.key]), seriesLabelKey(d));
+
+  return Array.from(byIdx.values()).sort((a,b) => a.window_index - b.window_index);
+}
+
+// "window": one line per window · "compact": consecutive windows with the same labels on every series
+// merged into one span · "timeline": one line per series listing its own label runs
+export const CAPTION_MODES = ["window", "compact", "timeline"];
+
+// Consecutive rows with the same key → [{ key, rows }]
+function runsBy(rows, keyOf) {
+  const runs = [];
+  for (const r of rows) {
+    const k = keyOf(r);
+    const last = runs[runs.length - 1];
+    if (last && last.key === k) last.rows.push(r);
+    else runs.push({ key: k, rows: [r] });
+  }
+  return runs;
+}
+
+const spanText = (rows) =>
+  `${fmt(rows[0].start_time, 3)}s–${fmt(rows[rows.length - 1].end_time, 3)}s` + (rows.length > 1 ? ` ×${rows.length}` : "");
+
+// windowStats (optional): { cols, bySeries: { [seriesKey]: Map(window_index → features) } }
+// appends the selected per-window statistics next to each label (averaged over a span in the merged modes).
+export function structuralParagraph(structRows, seriesDefs, windowStats, mode = "window") {
+  // structRows: [{window_index, start_time, end_time, tag1_residual_label, ...}]
+  if (!structRows || !structRows.length) return "";
+  const statsFor = (d, rows) =>
+    windowStats ? windowStatText(meanFeatures(windowStats.bySeries[d.key], rows, windowStats.cols), windowStats.cols) : "";
+
+  if (mode === "compact") {
+    const runs = runsBy(structRows, (r) => seriesDefs.map(d => r[seriesLabelKey(d)] ?? "").join("\u0000"));
+    return runs.map(({ rows }) => {
+      const parts = seriesDefs.map(d =>
+        `${seriesShortName(d)}(${[rows[0][seriesLabelKey(d)] ?? "", statsFor(d, rows)].filter(Boolean).join(" | ")})`);
+      return `• ${spanText(rows)} → ${parts.join(", ")}`;
+    }).join("\n");
+  }
+
+  if (mode === "timeline") {
+    return seriesDefs.map(d => {
+      const runs = runsBy(structRows, (r) => r[seriesLabelKey(d)] ?? "");
+      const items = runs.map(({ key, rows }) => `${spanText(rows)} ${[key, statsFor(d, rows)].filter(Boolean).join(" | ")}`);
+      return `• ${seriesShortName(d)}: ${items.join("; ")}`;
+    }).join("\n");
+  }
+
+  const lines = [];
+  for (const r of structRows) {
+    const s = fmt(r.start_time, 3), e = fmt(r.end_time, 3);
+    const parts = seriesDefs.map(d => {
+      const label = r[seriesLabelKey(d)] ?? "";
+      const stats = windowStats ? windowStatText(windowStats.bySeries[d.key]?.get(r.window_index), windowStats.cols) : "";
+      return `${seriesShortName(d)}(${[label, stats].filter(Boolean).join(" | ")})`;
+    });
+    lines.push(`• ${s}s–${e}s → ${parts.join(", ")}`);
+  }
+  return lines.join("\n");
+}
+
+// Mean of each column over the windows of a span (NaN when no window has a finite value)
+function meanFeatures(byWindow, rows, cols) {
+  const feats = rows.map(r => byWindow?.get(r.window_index)).filter(Boolean);
+  if (!feats.length) return undefined;
+  if (feats.length === 1) return feats[0];
+  return Object.fromEntries(cols.map(k => {
+    const v = feats.map(f => f[k]).filter(Number.isFinite);
+    return [k, v.length ? v.reduce((a, b) => a + b, 0) / v.length : NaN];
+  }));
+}
+
+function windowStatText(feats, cols) {
+  if (!feats) return "";
+  return cols.map(k => `${k.replaceAll('_',' ')} ${fmt(feats[k])}`).join(", ");
+}
@@ -0,0 +1,75 @@
+// =====================
+// Prompt templates: placeholder text + the label set the parser/evaluation use
+// =====================
+
+const LIBRARY_KEY = "rfid-llm-prompt-templates-v1";
+
+// {{file}} file name · {{labels}} "A, B, C" · {{labels_pipe}} "A|B|C"
+// {{statistical}} / {{structural}} the generated sections (empty when switched off)
+// {{examples}} few-shot worked examples (empty for zero-shot prompts)
+export const TEMPLATE_PLACEHOLDERS = ["file", "labels", "labels_pipe", "examples", "statistical", "structural"];
+
+// The original hardcoded prompt plus a confidence line (weights the confidence vote over segments).
+export const DEFAULT_PROMPT_TEMPLATE = {
+  name: "default",
+  version: 1,
+  labels: ["Bedroom", "Corridor", "Home Office", "Lab"],
+  text:
+    "File: {{file}}\n" +
+    "You classify indoor environments ({{labels}}) from RFID phase summaries.\n" +
+    "Return: a single label and one sentence of rationale.\n" +
+    "{{examples}}{{statistical}}{{structural}}\n" +
+    "Output format:\n" +
+    "Label: <{{labels_pipe}}> — <≤20 words reason>\n" +
+    "Confidence: <0–1>\n",
+};
+
+// Unknown placeholders are left in place so typos stay visible in the prompt.
+export function renderTemplate(text, values) {
+  return String(text).replace(/\{\{\s*(\w+)\s*\}\}/g, (m, key) => (key in values ? String(values[key]) : m));
+}
+
+// "Kitchen, Bathroom" or one label per line → trimmed, de-duplicated list
+export function parseLabelList(text) {
+  return [...new Set(String(text).split(/[\n,]+/).map((l) => l.trim()).filter(Boolean))];
+}
+
+// Problems worth showing next to the editor (the template still renders).
+export function templateWarnings(template) {
+  const used = new Set([...String(template.text).matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map((m) => m[1]));
+  const out = [];
+  if (template.labels.length < 2) out.push("define at least two labels");
+  if (!used.has("labels") && !used.has("labels_pipe")) out.push("the class list ({{labels}} or {{labels_pipe}}) is never shown");
+  if (!used.has("statistical") && !used.has("structural")) out.push("neither {{statistical}} nor {{structural}} is used");
+  if (!/label\s*:/i.test(template.text)) out.push("no 'Label:' output line — replies may not parse");
+  for (const key of used) if (!TEMPLATE_PLACEHOLDERS.includes(key)) out.push(`unknown placeholder {{${key}}}`);
+  return out;
+}
+
+// Library shape: { [name]: [{ version, text, labels, savedAt }] }, oldest version first.
+export function loadTemplateLibrary() {
+  try {
+    return JSON.parse(localStorage.getItem(LIBRARY_KEY) || "{}");
+  } catch {
+    return {};
+  }
+}
+
+export function saveTemplateLibrary(library) {
+  try {
+    localStorage.setItem(LIBRARY_KEY, JSON.stringify(library));
+  } catch {
+    // storage disabled: templates just won't persist
+  }
+}
+
+// Append a version unless text + labels equal the latest one. Returns { library, template }.
+export function addTemplateVersion(library, { name, text, labels }) {
+  const versions = library[name] ?? [];
+  const last = versions[versions.length - 1];
+  if (last && last.text === text && JSON.stringify(last.labels) === JSON.stringify(labels)) {
+    return { library, template: { name, ...last } };
+  }
+  const entry = { version: (last?.version ?? 0) + 1, text, labels: [...labels], savedAt: new Date().toISOString() };
+  return { library: { ...library, [name]: [...versions, entry] }, template: { name, ...entry } };
+}
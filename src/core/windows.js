@@ -0,0 +1,46 @@
+import { DEFAULT_SPECTRAL_OPTIONS, computeSeriesFeatures } from "./features.js";
+
+// =====================
+// Sliding windows + per-window feature matrix
+// =====================
+
+// Sample indices of every window; same boundaries slidingWindowCaptions has always used
+// (half-open [start, start+win), the last window closed at the end of the recording).
+export function slidingWindows(time, winSec, hopSec) {
+  const out = [];
+  if (!time || time.length < 2) return out;
+  const T0 = time[0];
+  const T1 = time[time.length - 1];
+  let k = 0;
+  for (let start = T0; start <= T1 - 1e-9; start += hopSec, k++) {
+    const end = start + winSec;
+    const idx = [];
+    for (let i = 0; i < time.length; i++) {
+      const t = time[i];
+      const inWin = t >= start && ((end < T1) ? t < end : t <= end);
+      if (inWin) idx.push(i);
+    }
+    if (idx.length < 2) continue;
+    out.push({ window_index: k, idx });
+  }
+  return out;
+}
+
+// Full computeSeriesFeatures set for each window of one series.
+export function windowFeatures(time, y, winSec, hopSec, spectralOptions = DEFAULT_SPECTRAL_OPTIONS) {
+  return slidingWindows(time, Number(winSec), Number(hopSec)).map(({ window_index, idx }) => ({
+    window_index,
+    start_time: time[idx[0]],
+    end_time: time[idx[idx.length - 1]],
+    ...computeSeriesFeatures(idx.map((i) => time[i]), idx.map((i) => y[i]), spectralOptions),
+  }));
+}
+
+// Long/tidy table: one row per (series, window) → file, series, window_index, start/end, features…
+export function windowFeatureRows(fname, time, series, winSec, hopSec, seriesDefs, spectralOptions = DEFAULT_SPECTRAL_OPTIONS) {
+  const rows = [];
+  for (const { key } of seriesDefs) {
+    for (const w of windowFeatures(time, series[key], winSec, hopSec, spectralOptions)) rows.push({ file: fname, series: key, ...w });
+  }
+  return rows;
+}
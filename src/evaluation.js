@@ -0,0 +1,154 @@
+import Papa from "papaparse";
+
+// =====================
+// Ground truth + evaluation metrics
+// =====================
+
+export const DEFAULT_TRUTH_PATTERN = "^(bedroom|corridor|home[ _-]?office|lab)";
+
+// Filename pattern for an arbitrary label set: "Home Office" also matches home_office / home-office / homeoffice.
+export function labelPattern(labels) {
+  const alt = labels.map((l) => l.trim().toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/\s+/g, "[ _-]?"));
+  return `^(${alt.join("|")})`;
+}
+
+const squash = (s) => String(s ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// Map free text ("home_office", "HOME OFFICE") onto one of the canonical labels, or null.
+export function normalizeLabel(raw, labels) {
+  const key = squash(raw);
+  if (!key) return null;
+  return labels.find((l) => squash(l) === key) ?? null;
+}
+
+// First capture group (or whole match) of `pattern` against the file name, normalized to a label.
+export function labelFromFilename(fname, pattern, labels) {
+  if (!pattern) return null;
+  let re;
+  try { re = new RegExp(pattern, "i"); } catch { return null; }
+  const m = fname.match(re);
+  if (!m) return null;
+  return normalizeLabel(m[1] ?? m[0], labels);
+}
+
+// Manifest CSV: a `file` and a `label` column (falls back to the first two columns).
+// Returns { byFile: {fname: label}, unknown: [raw labels that didn't match] }.
+export function parseTruthManifest(text, labels) {
+  const parsed = Papa.parse(text, { header: true, skipEmptyLines: true });
+  const fields = parsed.meta.fields || [];
+  const fileCol = fields.find((c) => /^(file|filename|file_name)$/i.test(c)) ?? fields[0];
+  const labelCol = fields.find((c) => /^(label|truth|true_label|environment|room)$/i.test(c)) ?? fields[1];
+  const byFile = {};
+  const unknown = [];
+  for (const r of parsed.data) {
+    const fname = String(r[fileCol] ?? "").trim();
+    if (!fname) continue;
+    const label = normalizeLabel(r[labelCol], labels);
+    if (label) byFile[fname] = label;
+    else unknown.push(`${fname}: ${r[labelCol]}`);
+  }
+  return { byFile, unknown };
+}
+
+// Manifest entries win over the filename regex; entries may omit the extension.
+// sourceOf: { file: recording it was cut from } — segments without an entry of their own inherit their source's.
+export function resolveTruth(fileNames, pattern, manifest, labels, sourceOf = {}) {
+  const out = {};
+  const fromManifest = (name) => manifest?.[name] ?? manifest?.[name.replace(/\.[^.]+$/, "")];
+  for (const fname of fileNames) {
+    const source = sourceOf[fname];
+    const label = fromManifest(fname) ?? (source && fromManifest(source)) ?? labelFromFilename(fname, pattern, labels)
+      ?? (source && labelFromFilename(source, pattern, labels));
+    if (label) out[fname] = label;
+  }
+  return out;
+}
+
+// pairs: [{ truth, pred }] with both in `labels`; pred null / "" = no answer (failed or unparsed reply), counted as wrong.
+// confusion[i][j] = count of truth i predicted as j, noAnswer[i] = truth i without an answer; coverage = answered / n.
+export function evaluatePredictions(pairs, labels) {
+  const idx = new Map(labels.map((l, i) => [l, i]));
+  const confusion = labels.map(() => labels.map(() => 0));
+  const noAnswer = labels.map(() => 0);
+  let correct = 0, n = 0, answered = 0;
+  for (const { truth, pred } of pairs) {
+    if (!idx.has(truth)) continue;
+    if (pred === null || pred === undefined || pred === "") {
+      noAnswer[idx.get(truth)]++;
+      n++;
+      continue;
+    }
+    if (!idx.has(pred)) continue;
+    confusion[idx.get(truth)][idx.get(pred)]++;
+    if (truth === pred) correct++;
+    n++;
+    answered++;
+  }
+  const perClass = labels.map((label, i) => {
+    const tp = confusion[i][i];
+    const support = confusion[i].reduce((s, v) => s + v, 0) + noAnswer[i];
+    const predicted = confusion.reduce((s, row) => s + row[i], 0);
+    const precision = predicted ? tp / predicted : NaN;
+    const recall = support ? tp / support : NaN;
+    const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : (support || predicted ? 0 : NaN);
+    return { label, precision, recall, f1, support };
+  });
+  // Macro-F1 over classes that occur in truth or predictions
+  const present = perClass.filter((c) => Number.isFinite(c.f1));
+  const macroF1 = present.length ? present.reduce((s, c) => s + c.f1, 0) / present.length : NaN;
+  return { n, answered, coverage: n ? answered / n : NaN, accuracy: n ? correct / n : NaN, macroF1, perClass, confusion, noAnswer, labels };
+}
+
+// Sheets for the evaluation workbook: summary, per-class metrics, confusion matrix.
+export function evaluationSheets(ev) {
+  const summary = [
+    { metric: "files_evaluated", value: ev.n },
+    { metric: "files_answered", value: ev.answered },
+    { metric: "coverage", value: ev.coverage },
+    { metric: "accuracy", value: ev.accuracy },
+    { metric: "macro_f1", value: ev.macroF1 },
+  ];
+  const perClass = ev.perClass.map((c) => ({ ...c }));
+  const confusion = ev.labels.map((truth, i) => {
+    const row = { "truth \\ predicted": truth };
+    ev.labels.forEach((pred, j) => { row[pred] = ev.confusion[i][j]; });
+    row["no answer"] = ev.noAnswer[i];
+    return row;
+  });
+  return { summary, perClass, confusion };
+}
+
+// -------- segmented recordings: one vote per file --------
+
+// "majority": one vote per labelled segment · "confidence": votes weighted by the reply's confidence (segments
+// without one count as 1, so with no confidences at all both methods agree).
+export const VOTE_METHODS = ["majority", "confidence"];
+
+// rows: classification rows with source (the recording) and segment { index, start_s, end_s }; rows without a
+// segment are not aggregated. Ties go to the label of the earliest segment among the tied ones.
+// Returns [{ file, label, votes: { label: weight }, segments, labelled, agreement }] in first-seen order.
+export function voteByFile(rows, method = "majority") {
+  const bySource = new Map();
+  for (const r of rows) {
+    if (!r.segment) continue;
+    if (!bySource.has(r.source)) bySource.set(r.source, []);
+    bySource.get(r.source).push(r);
+  }
+  return [...bySource.entries()].map(([file, segs]) => {
+    const ordered = [...segs].sort((a, b) => a.segment.index - b.segment.index);
+    const votes = {};
+    const first = {};
+    ordered.filter((r) => r.status === "ok" && r.label).forEach((r, k) => {
+      const w = method === "confidence" && Number.isFinite(r.confidence) ? r.confidence : 1;
+      votes[r.label] = (votes[r.label] ?? 0) + w;
+      first[r.label] ??= k;
+    });
+    const ranked = Object.keys(votes).sort((a, b) => votes[b] - votes[a] || first[a] - first[b]);
+    const labelled = ordered.filter((r) => r.status === "ok" && r.label).length;
+    const label = ranked[0] ?? "";
+    return {
+      file, label, votes, segments: ordered.length, labelled,
+      agreement: labelled ? ordered.filter((r) => r.status === "ok" && r.label === label).length / labelled : NaN,
+    };
+  });
+}
@@ -0,0 +1,151 @@
+import { buildBudgetedPromptRecord, renderTemplate } from "./core/index.js";
+import { mulberry32, shuffle } from "./baseline.js";
+
+// =====================
+// Fine-tuning dataset: chat-format JSONL from labelled recordings, split by session
+// =====================
+
+export const SPLITS = ["train", "val", "test"];
+export const SPLITS_FORMAT = "rfid-llm-splits";
+export const SPLITS_VERSION = 1;
+export const SPLITS_FILE_NAME = "LLM_finetune_splits.json";
+export const finetuneFileName = (split) => `LLM_finetune_${split}.jsonl`;
+
+// system / rationale are templates: {{labels}} in the system message, {{label}} in the fallback rationale. The prompt
+// template already states the task, so the system message is empty by default (and left out whenever the prompt has it).
+export const DEFAULT_FINETUNE_OPTIONS = {
+  fractions: { train: 0.7, val: 0.15, test: 0.15 },
+  seed: 1,
+  sessionPattern: "",  // regex on the file name, first group (or whole match) = session id; empty = one session per recording
+  hideFileName: true,  // {{file}} becomes "recording": names like bedroom_01.csv would give the label away
+  system: "",
+  rationale: "the phase summaries match labelled {{label}} recordings",
+};
+
+// Session id of a file: the pattern's match, else the recording it was cut from (resampled segments share their source).
+export function sessionOf(fname, source, pattern) {
+  if (pattern) {
+    let re = null;
+    try { re = new RegExp(pattern, "i"); } catch { re = null; }
+    const m = re && fname.match(re);
+    if (m) return m[1] ?? m[0];
+  }
+  return source ?? fname;
+}
+
+// items: [{ file, session, label }]. Whole sessions go to one split (the majority label of a session decides its stratum);
+// per label, sessions fill the split furthest below its target share of that label's files.
+// previous: a saved splits file — its sessions keep their split, new sessions are added around them.
+// Returns { sessions: { id: split }, files: { file: split }, counts: { split: { label: files } } }.
+export function assignSplits(items, options = DEFAULT_FINETUNE_OPTIONS, previous = null) {
+  const opt = { ...DEFAULT_FINETUNE_OPTIONS, ...options };
+  const fr = { ...DEFAULT_FINETUNE_OPTIONS.fractions, ...opt.fractions };
+  const active = SPLITS.filter((s) => Number(fr[s]) > 0);
+  const total = active.reduce((s, k) => s + Number(fr[k]), 0);
+  const rand = mulberry32(opt.seed);
+
+  const bySession = new Map();
+  for (const it of items) {
+    if (!bySession.has(it.session)) bySession.set(it.session, []);
+    bySession.get(it.session).push(it);
+  }
+  const stratum = (members) => {
+    const counts = new Map();
+    members.forEach((m) => counts.set(m.label, (counts.get(m.label) ?? 0) + 1));
+    return [...counts.entries()].sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(b[0]))[0][0];
+  };
+  const byLabel = new Map();
+  for (const [id, members] of bySession) {
+    const label = stratum(members);
+    if (!byLabel.has(label)) byLabel.set(label, []);
+    byLabel.get(label).push(id);
+  }
+
+  const sessions = {};
+  for (const label of [...byLabel.keys()].sort()) {
+    const ids = byLabel.get(label).sort();
+    const size = (id) => bySession.get(id).length;
+    const filled = Object.fromEntries(SPLITS.map((s) => [s, 0]));
+    const labelFiles = ids.reduce((s, id) => s + size(id), 0);
+    const fresh = [];
+    for (const id of ids) {
+      const kept = previous?.sessions?.[id];
+      if (SPLITS.includes(kept)) { sessions[id] = kept; filled[kept] += size(id); } else fresh.push(id);
+    }
+    for (const id of shuffle(fresh, rand)) {
+      const split = active.reduce((best, s) =>
+        (Number(fr[s]) / total) * labelFiles - filled[s] > (Number(fr[best]) / total) * labelFiles - filled[best] ? s : best, active[0]);
+      sessions[id] = split;
+      filled[split] += size(id);
+    }
+  }
+
+  const files = {};
+  const counts = Object.fromEntries(SPLITS.map((s) => [s, {}]));
+  for (const it of items) {
+    const split = sessions[it.session];
+    files[it.file] = split;
+    counts[split][it.label] = (counts[split][it.label] ?? 0) + 1;
+  }
+  return { sessions, files, counts };
+}
+
+// One chat-format training example (OpenAI / Groq fine-tuning JSONL); reply in the prompt template's output format
+export const finetuneRecord = (system, prompt, reply) => ({
+  messages: [
+    ...(system.trim() && !prompt.includes(system.trim()) ? [{ role: "system", content: system }] : []),
+    { role: "user", content: prompt },
+    { role: "assistant", content: reply },
+  ],
+});
+
+// "Label: <label> — <reason>", plus the "Confidence:" line when the template asks for one (1 unless a reply gave one)
+export function finetuneReply(template, label, rationale, confidence = null) {
+  const line = `Label: ${label} — ${rationale}`;
+  return /confidence\s*[:：]/i.test(template.text) ? `${line}\nConfidence: ${confidence ?? 1}` : line;
+}
+
+// files: loaded file names · truthByFile: ground truth (unlabelled files are skipped) · config: prompt config as in
+// buildPromptRecord (few-shot is left out: examples would carry other files' labels across splits) ·
+// replyFor(file) → a correct { rationale, confidence } from a classification run or null (falls back to options.rationale).
+// Returns { records: { split: [record] }, splits: saved-splits object, warnings }.
+export function buildFinetuneDataset(files, dataByFile, cachedFor, truthByFile, config, options, previous, replyFor = () => null) {
+  const opt = { ...DEFAULT_FINETUNE_OPTIONS, ...options };
+  const labels = config.template.labels;
+  const items = files.filter((f) => truthByFile[f])
+    .map((f) => ({ file: f, label: truthByFile[f], session: sessionOf(f, dataByFile[f].source, opt.sessionPattern) }));
+  const assignment = assignSplits(items, opt, previous);
+  const { fewShot: _fewShot, ...cfg } = config;
+  const system = renderTemplate(opt.system, { labels: labels.join(", "), labels_pipe: labels.join("|") });
+
+  const records = Object.fromEntries(SPLITS.map((s) => [s, []]));
+  for (const { file, label } of items) {
+    const shown = opt.hideFileName ? "recording" : file;
+    const { prompt } = buildBudgetedPromptRecord(shown, dataByFile[file], cachedFor(file), cfg);
+    const reply = replyFor(file);
+    const rationale = reply?.rationale || renderTemplate(opt.rationale, { label });
+    records[assignment.files[file]].push(finetuneRecord(system, prompt, finetuneReply(config.template, label, rationale, reply?.confidence)));
+  }
+
+  const warnings = [];
+  const unlabelled = files.length - items.length;
+  if (unlabelled) warnings.push(`${unlabelled} file(s) without ground truth left out`);
+  for (const s of SPLITS.filter((k) => Number(opt.fractions?.[k]) > 0)) {
+    const missing = labels.filter((l) => items.some((it) => it.label === l) && !assignment.counts[s][l]);
+    if (missing.length) warnings.push(`${s} has no ${missing.join(", ")} session`);
+  }
+
+  const splits = {
+    format: SPLITS_FORMAT, version: SPLITS_VERSION, createdAt: new Date().toISOString(),
+    seed: opt.seed, fractions: opt.fractions, sessionPattern: opt.sessionPattern, ...assignment,
+  };
+  return { records, splits, warnings };
+}
+
+// Parsed splits file → { splits } or { error }
+export function readSplitsFile(s) {
+  if (s?.format !== SPLITS_FORMAT) return { error: "not an rfid-llm splits file" };
+  if (!(s.version <= SPLITS_VERSION)) return { error: `splits version ${s.version} is newer than this tool (${SPLITS_VERSION})` };
+  if (!s.sessions || typeof s.sessions !== "object") return { error: "splits file has no session assignment" };
+  return { splits: s };
+}
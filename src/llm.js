@@ -0,0 +1,118 @@
+import Groq from "groq-sdk";
+
+// =====================
+// LLM classification helpers
+// =====================
+
+// "openai" is any endpoint speaking the OpenAI chat-completions API (OpenAI, vLLM, Ollama, LM Studio, llama.cpp, a stub)
+export const PROVIDERS = {
+  groq: { name: "Groq", baseURL: "https://api.groq.com" },
+  openai: { name: "OpenAI-compatible", baseURL: "https://api.openai.com/v1" },
+};
+
+export const DEFAULT_LLM_CONFIG = {
+  provider: "groq",
+  apiKey: "",
+  model: "llama-3.3-70b-versatile",
+  temperature: 0,
+  // groq-sdk appends /openai/v1/chat/completions, so a local mock only needs to serve that path;
+  // OpenAI-compatible base URLs already end in /v1 (e.g. http://localhost:11434/v1) and get /chat/completions
+  baseURL: "https://api.groq.com",
+  concurrency: 2,
+  maxRetries: 3,
+  cacheMode: "record",  // see CACHE_MODES in llmcache.js
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Rate limits, server errors and network failures are worth another try; 4xx auth/validation errors are not.
+function isRetryable(err) {
+  if (err?.retryable === false) return false;
+  const status = err?.status;
+  if (status === undefined || status === null) return true;
+  return status === 408 || status === 409 || status === 429 || status >= 500;
+}
+
+// Plain fetch against <baseURL>/chat/completions; HTTP errors carry .status like the SDK's, so retries work the same
+function openAICompatibleClient(cfg) {
+  const url = `${String(cfg.baseURL || PROVIDERS.openai.baseURL).replace(/\/+$/, "")}/chat/completions`;
+  const create = async (body) => {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...(cfg.apiKey && { Authorization: `Bearer ${cfg.apiKey}` }) },
+      body: JSON.stringify(body),
+    });
+    const text = await res.text();
+    if (!res.ok) throw Object.assign(new Error(`${res.status} ${res.statusText}: ${text.slice(0, 200)}`), { status: res.status });
+    try {
+      return JSON.parse(text);
+    } catch {
+      throw Object.assign(new Error(`reply from ${url} is not JSON`), { status: res.status });
+    }
+  };
+  return { chat: { completions: { create } } };
+}
+
+// Both clients expose chat.completions.create(body) → { choices: [{ message: { content } }] }
+export function createChatClient(cfg) {
+  if (cfg.provider === "openai") return openAICompatibleClient(cfg);
+  return new Groq({
+    apiKey: cfg.apiKey || "none",
+    baseURL: cfg.baseURL || undefined,
+    maxRetries: 0, // retries are handled by completeWithRetry so the backoff is visible in the log
+    dangerouslyAllowBrowser: true,
+  });
+}
+
+// Send one prompt; retries with exponential backoff (+ jitter). onRetry(attempt, delayMs, err) is optional.
+export async function completeWithRetry(client, prompt, cfg, onRetry) {
+  const maxRetries = Math.max(0, Number(cfg.maxRetries) || 0);
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const res = await client.chat.completions.create({
+        model: cfg.model,
+        temperature: Number(cfg.temperature),
+        messages: [{ role: "user", content: prompt }],
+      });
+      return res?.choices?.[0]?.message?.content ?? "";
+    } catch (err) {
+      if (attempt >= maxRetries || !isRetryable(err)) throw err;
+      const delay = 500 * 2 ** attempt + Math.random() * 250;
+      if (onRetry) onRetry(attempt + 1, delay, err);
+      await sleep(delay);
+    }
+  }
+}
+
+// Parse "Label: <one of labels> — reason". Returns { label, rationale, confidence } or null when no known label is found;
+// confidence is an optional "Confidence: 0.8" / "Confidence: 80%" anywhere in the reply (0–1, null when absent).
+export function parseLabelResponse(text, labels) {
+  if (!text || !labels.length) return null;
+  const alts = [...labels].sort((a, b) => b.length - a.length).map(escapeRegExp).join("|");
+  const re = new RegExp(`Label\\s*[:：]\\s*[*_"'<\\[]*\\s*(${alts})\\b[*_"'>\\]]*\\s*(?:[—–\\-:|]+\\s*)?(.*)`, "i");
+  const m = String(text).match(re);
+  if (!m) return null;
+  const label = labels.find((l) => l.toLowerCase() === m[1].toLowerCase());
+  const c = String(text).match(/confidence\s*[:：=]\s*([0-9]*\.?[0-9]+)\s*(%?)/i);
+  const value = c ? Number(c[1]) / (c[2] || Number(c[1]) > 1 ? 100 : 1) : NaN;
+  const rationale = (m[2] || "").replace(/[\s;,(]*confidence\s*[:：=].*$/i, "").trim();
+  return { label, rationale, confidence: Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : null };
+}
+
+// Run worker(item, index) over items with at most `limit` in flight; results keep input order.
+export async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const lanes = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await worker(items[i], i);
+    }
+  });
+  await Promise.all(lanes);
+  return results;
+}
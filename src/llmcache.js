@@ -0,0 +1,99 @@
+import { sha256Hex } from "./core/index.js";
+import { withStore } from "./session.js";
+
+// =====================
+// LLM response cache: content-addressed by (model, parameters, prompt), kept in IndexedDB and exportable
+// =====================
+
+const STORE = "llm_cache";
+
+export const CACHE_FORMAT = "rfid-llm-response-cache";
+export const CACHE_VERSION = 1;
+export const CACHE_FILE_NAME = "LLM_response_cache.json";
+
+export const CACHE_MODES = {
+  record: "Record (always call the model, store every reply)",
+  reuse: "Reuse (cached replies first, call the model on a miss)",
+  replay: "Replay (cache only, no network)",
+};
+
+// Only what shapes the reply is in the key; the endpoint is not, so a local stub and the hosted model serving the
+// same model name share entries. Returns { key, promptSha256 }.
+export async function cacheKey(model, params, messages) {
+  const promptSha256 = await sha256Hex(JSON.stringify(messages));
+  return { key: await sha256Hex(JSON.stringify({ model, params, prompt: promptSha256 })), promptSha256 };
+}
+
+// Entries by key; IndexedDB missing or blocked: an empty cache that lives as long as the page.
+export async function loadResponseCache() {
+  try {
+    const all = await withStore("readonly", (store) => store.getAll(), STORE);
+    return new Map((all ?? []).map((e) => [e.key, e]));
+  } catch {
+    return new Map();
+  }
+}
+
+export async function storeResponses(entries) {
+  if (!entries.length) return true;
+  try {
+    await withStore("readwrite", (store) => entries.map((e) => store.put(e, e.key)).at(-1), STORE);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export async function clearResponseCache() {
+  try {
+    await withStore("readwrite", (store) => store.clear(), STORE);
+  } catch {
+    // nothing stored
+  }
+}
+
+// Wraps a chat client (null in replay mode) so every request goes through the cache according to cfg.cacheMode.
+// entries: the loaded Map, updated in place · onStore(entry) persists a new reply.
+// A replay miss throws a non-retryable error. stats counts { hits, missing (replay misses), stored } for the run's log.
+export function cachingClient(client, cfg, entries, onStore = () => {}) {
+  const mode = cfg.cacheMode in CACHE_MODES ? cfg.cacheMode : "record";
+  const stats = { hits: 0, missing: 0, stored: 0 };
+  const create = async (body) => {
+    const params = { temperature: body.temperature };
+    const { key, promptSha256 } = await cacheKey(body.model, params, body.messages);
+    const hit = mode !== "record" && entries.get(key);
+    if (hit) {
+      stats.hits++;
+      return { choices: [{ message: { role: "assistant", content: hit.response } }], cached: true };
+    }
+    if (mode === "replay" || !client) {
+      stats.missing++;
+      throw Object.assign(new Error("no cached reply for this prompt, model and temperature (replay mode)"), { retryable: false });
+    }
+    const res = await client.chat.completions.create(body);
+    const entry = {
+      key, prompt_sha256: promptSha256, model: body.model, params, messages: body.messages,
+      response: res?.choices?.[0]?.message?.content ?? "", provider: cfg.provider, baseURL: cfg.baseURL,
+      createdAt: new Date().toISOString(),
+    };
+    entries.set(key, entry);
+    stats.stored++;
+    onStore(entry);
+    return res;
+  };
+  return { chat: { completions: { create } }, stats };
+}
+
+export const describeCacheStats = ({ hits, missing, stored }) =>
+  `response cache: ${hits} hit(s), ${stored} new repl${stored === 1 ? "y" : "ies"} stored` + (missing ? `, ${missing} not cached` : "");
+
+export const serializeResponseCache = (entries) =>
+  JSON.stringify({ format: CACHE_FORMAT, version: CACHE_VERSION, exportedAt: new Date().toISOString(), entries: [...entries.values()] });
+
+// Parsed cache file → { entries: [entry] } or { error }
+export function readResponseCacheFile(c) {
+  if (c?.format !== CACHE_FORMAT) return { error: "not an rfid-llm response cache file" };
+  if (!(c.version <= CACHE_VERSION)) return { error: `cache version ${c.version} is newer than this tool (${CACHE_VERSION})` };
+  if (!Array.isArray(c.entries)) return { error: "cache file has no entries" };
+  return { entries: c.entries.filter((e) => typeof e?.key === "string" && typeof e.response === "string") };
+}
@@ -0,0 +1,206 @@
+// =====================
+// Raw reader log ingestion: EPC reads → unwrapped, offset-aligned, detrended series per tag
+// =====================
+
+const TWO_PI = 2 * Math.PI;
+
+export const DEFAULT_RAW_OPTIONS = {
+  timeUnit: "auto",     // "auto" (from the time column's _ms / _us suffix, else seconds) | "s" | "ms" | "us"
+  phaseUnit: "rad",     // "rad" | "deg"
+  offset: "median",     // per-channel offset removed after unwrapping: "median" | "first"
+  detrend: "linear",    // "linear" | "moving_average" | "none"
+  smoothSec: 2,         // moving-average window for detrend=moving_average
+  rateHz: 10,           // output grid all tags are interpolated onto
+  minReads: 20,         // EPCs with fewer reads are dropped
+  includeRssi: false,
+  columns: {},          // column per role overriding the detected one ("" = none); roles not listed are detected
+};
+
+const TIME_SCALE = { s: 1, ms: 1e-3, us: 1e-6 };
+
+// Grid points per tag beyond which the log is refused (usually a wrong timestamp unit)
+export const MAX_RAW_GRID_POINTS = 1e6;
+
+// Unit named by the time column's suffix: "timestamp_us" → "us", "time_ms" → "ms", anything else → "s"
+export function timeUnitOf(header) {
+  const m = String(header ?? "").trim().match(/(us|µs|ms)$/i);
+  return m ? (m[1].toLowerCase() === "ms" ? "ms" : "us") : "s";
+}
+
+// Header guesses for reader exports (Impinj ItemTest / LLRP dumps / Zebra etc.)
+const RAW_PATTERNS = {
+  time: /^(time(stamp)?|ts|time_?s|first_?seen|last_?seen|timestamp_?us)$/i,
+  epc: /^(epc|tag_?id|epc_?id|tid)$/i,
+  antenna: /^(ant(enna)?(_?(id|port|no))?)$/i,
+  channel: /^(chan(nel)?(_?index)?|freq(uency)?(_?(mhz|khz|hz))?)$/i,
+  phase: /^(phase(_?angle)?(_?(rad|deg))?)$/i,
+  rssi: /^(rssi|peak_?rssi)(_?dbm)?$/i,
+};
+
+export function detectRawColumns(headers) {
+  const out = {};
+  for (const [role, re] of Object.entries(RAW_PATTERNS)) out[role] = headers.find((h) => re.test(h.trim())) ?? "";
+  return out;
+}
+
+export const RAW_ROLES = Object.keys(RAW_PATTERNS);
+export const REQUIRED_RAW_ROLES = ["time", "epc", "phase"];
+
+// Detected roles with the overrides on top. Returns { cols } or { error } when an override names a column the file lacks.
+export function rawColumnsFor(headers, overrides = {}) {
+  const set = Object.entries(overrides ?? {}).filter(([role]) => RAW_ROLES.includes(role));
+  const absent = set.filter(([, h]) => h && !headers.includes(h)).map(([role, h]) => `${h} (${role})`);
+  if (absent.length) return { error: `raw column(s) not in this file: ${absent.join(", ")}` };
+  return { cols: { ...detectRawColumns(headers), ...Object.fromEntries(set) } };
+}
+
+// Remove 2π jumps between consecutive samples.
+export function unwrapPhase(phase) {
+  const out = new Array(phase.length);
+  let offset = 0;
+  for (let i = 0; i < phase.length; i++) {
+    if (i > 0) {
+      const d = phase[i] - phase[i - 1];
+      if (d > Math.PI) offset -= TWO_PI;
+      else if (d < -Math.PI) offset += TWO_PI;
+    }
+    out[i] = phase[i] + offset;
+  }
+  return out;
+}
+
+function medianOf(arr) {
+  const a = [...arr].sort((x, y) => x - y);
+  const m = Math.floor(a.length / 2);
+  return a.length % 2 ? a[m] : (a[m - 1] + a[m]) / 2;
+}
+
+// Linear interpolation of (t, y) (t ascending) at grid points.
+function interpolate(t, y, grid) {
+  const out = new Array(grid.length);
+  let j = 0;
+  for (let i = 0; i < grid.length; i++) {
+    const g = grid[i];
+    while (j < t.length - 2 && t[j + 1] < g) j++;
+    const t0 = t[j], t1 = t[j + 1] ?? t0;
+    const w = t1 > t0 ? (g - t0) / (t1 - t0) : 0;
+    out[i] = y[j] + Math.min(1, Math.max(0, w)) * ((y[j + 1] ?? y[j]) - y[j]);
+  }
+  return out;
+}
+
+function removeTrend(time, y, method, smoothSec) {
+  if (method === "none") return [...y];
+  if (method === "moving_average") {
+    const dt = time.length > 1 ? time[1] - time[0] : 1;
+    const half = Math.max(1, Math.round(smoothSec / dt / 2));
+    const out = new Array(y.length);
+    for (let i = 0; i < y.length; i++) {
+      let s = 0, n = 0;
+      for (let k = Math.max(0, i - half); k <= Math.min(y.length - 1, i + half); k++) { s += y[k]; n++; }
+      out[i] = y[i] - s / n;
+    }
+    return out;
+  }
+  // linear least squares
+  const n = y.length;
+  const mt = time.reduce((s, v) => s + v, 0) / n;
+  const my = y.reduce((s, v) => s + v, 0) / n;
+  let num = 0, den = 0;
+  for (let i = 0; i < n; i++) { num += (time[i] - mt) * (y[i] - my); den += (time[i] - mt) ** 2; }
+  const m = den > 0 ? num / den : 0;
+  return y.map((v, i) => v - (my + m * (time[i] - mt)));
+}
+
+// rows: Papa-parsed objects; cols: rawColumnsFor() result (detected roles plus user overrides).
+// Returns { time, series, seriesDefs, tags: [{ tag, epc, reads, channels }], dropped, timeUnit (the one applied) } or { error }.
+export function ingestRawLog(rows, cols, options = DEFAULT_RAW_OPTIONS) {
+  const opt = { ...DEFAULT_RAW_OPTIONS, ...options };
+  const missing = REQUIRED_RAW_ROLES.filter((r) => !cols[r]);
+  if (missing.length) return { error: `missing raw columns for ${missing.join(", ")}` };
+
+  const timeUnit = opt.timeUnit === "auto" ? timeUnitOf(cols.time) : opt.timeUnit;
+  const tScale = TIME_SCALE[timeUnit] ?? 1;
+  const pScale = opt.phaseUnit === "deg" ? Math.PI / 180 : 1;
+
+  // Group reads by EPC, then by (antenna, channel): each reader channel has its own phase offset.
+  const byEpc = new Map();
+  let dropped = 0;
+  for (const r of rows) {
+    const t = Number(r[cols.time]) * tScale;
+    const ph = Number(r[cols.phase]) * pScale;
+    const epc = String(r[cols.epc] ?? "").trim();
+    if (!epc || !Number.isFinite(t) || !Number.isFinite(ph)) { dropped++; continue; }
+    const chan = `${cols.antenna ? r[cols.antenna] : ""}|${cols.channel ? r[cols.channel] : ""}`;
+    const rssi = cols.rssi ? Number(r[cols.rssi]) : NaN;
+    if (!byEpc.has(epc)) byEpc.set(epc, []);
+    byEpc.get(epc).push({ t, ph, chan, rssi });
+  }
+
+  const tags = [...byEpc.entries()]
+    .filter(([, reads]) => reads.length >= opt.minReads)
+    .sort((a, b) => a[1][0].t - b[1][0].t || a[0].localeCompare(b[0]));
+  if (!tags.length) return { error: `no EPC with at least ${opt.minReads} reads` };
+
+  // Per tag: unwrap within each channel, remove the channel offset, merge back in time order.
+  const perTag = tags.map(([epc, reads]) => {
+    reads.sort((a, b) => a.t - b.t);
+    const byChan = new Map();
+    reads.forEach((r, i) => { if (!byChan.has(r.chan)) byChan.set(r.chan, []); byChan.get(r.chan).push(i); });
+    const aligned = new Array(reads.length);
+    for (const idx of byChan.values()) {
+      const un = unwrapPhase(idx.map((i) => reads[i].ph));
+      const off = opt.offset === "first" ? un[0] : medianOf(un);
+      idx.forEach((i, k) => { aligned[i] = un[k] - off; });
+    }
+    // Average duplicate timestamps so interpolation stays well-defined (running mean, every read weighs the same)
+    const t = [], y = [], rs = [];
+    let count = 0;
+    for (let i = 0; i < reads.length; i++) {
+      if (t.length && reads[i].t === t[t.length - 1]) {
+        count++;
+        y[y.length - 1] += (aligned[i] - y[y.length - 1]) / count;
+        continue;
+      }
+      t.push(reads[i].t); y.push(aligned[i]); rs.push(reads[i].rssi);
+      count = 1;
+    }
+    return { epc, reads: reads.length, channels: byChan.size, t, y, rssi: rs };
+  });
+
+  // Common grid over the interval every tag covers
+  const start = Math.max(...perTag.map((p) => p.t[0]));
+  const end = Math.min(...perTag.map((p) => p.t[p.t.length - 1]));
+  const rate = Number(opt.rateHz) > 0 ? Number(opt.rateHz) : 10;
+  if (!(end > start)) return { error: "tags have no overlapping time range" };
+  const n = Math.floor((end - start) * rate) + 1;
+  if (n > MAX_RAW_GRID_POINTS) {
+    return { error: `${+(end - start).toPrecision(4)} s at ${rate} Hz is ${n} grid points (limit ${MAX_RAW_GRID_POINTS}); check the timestamp unit (${timeUnit})` };
+  }
+  const grid = Array.from({ length: n }, (_, i) => start + i / rate);
+  const time = grid.map((g) => g - start);
+
+  const series = {};
+  const seriesDefs = [];
+  const tagInfo = [];
+  perTag.forEach((p, k) => {
+    const tag = `tag${k + 1}`;
+    const residual = interpolate(p.t, p.y, grid);
+    const detrend = removeTrend(time, residual, opt.detrend, Number(opt.smoothSec));
+    series[`${tag}_residual_rad`] = residual;
+    series[`${tag}_detrend_rad`] = detrend;
+    seriesDefs.push({ key: `${tag}_residual_rad`, tag, kind: "residual", epc: p.epc });
+    seriesDefs.push({ key: `${tag}_detrend_rad`, tag, kind: "detrend", epc: p.epc });
+    if (opt.includeRssi && cols.rssi && p.rssi.every(Number.isFinite)) {
+      series[`${tag}_rssi_dbm`] = interpolate(p.t, p.rssi, grid);
+      seriesDefs.push({ key: `${tag}_rssi_dbm`, tag, kind: "other", epc: p.epc });
+    }
+    tagInfo.push({ tag, epc: p.epc, reads: p.reads, channels: p.channels });
+  });
+  // Keep the familiar ordering: all residual series first, then detrended, then extras
+  const order = { residual: 0, detrend: 1, other: 2 };
+  seriesDefs.sort((a, b) => order[a.kind] - order[b.kind]);
+  const ordered = Object.fromEntries(seriesDefs.map((d) => [d.key, series[d.key]]));
+
+  return { time, series: ordered, seriesDefs, tags: tagInfo, dropped, timeUnit };
+}
@@ -0,0 +1,78 @@
+// =====================
+// Column schema: which CSV column is time, which are tag series (and of what type)
+// =====================
+
+const PRESETS_KEY = "rfid-llm-column-presets-v1";
+
+export const SERIES_KINDS = ["residual", "detrend", "raw", "other"];
+const KIND_NAME = { residual: "residual", detrend: "detrended", raw: "raw", other: "series" };
+const KIND_SHORT = { residual: "res", detrend: "det", raw: "raw" };
+
+// The original fixed layout: time_s + two tags × (residual, detrend).
+export const DEFAULT_MAPPING = {
+  time: "time_s",
+  series: [
+    { key: "tag1_residual_rad", tag: "tag1", kind: "residual" },
+    { key: "tag2_residual_rad", tag: "tag2", kind: "residual" },
+    { key: "tag1_detrend_rad", tag: "tag1", kind: "detrend" },
+    { key: "tag2_detrend_rad", tag: "tag2", kind: "detrend" },
+  ],
+};
+
+// "Tag 1 (residual)"
+export function seriesDisplayName(def) {
+  const m = String(def.tag).match(/^tag[\s_-]?(\d+)$/i);
+  const tag = m ? `Tag ${m[1]}` : def.tag;
+  return def.kind === "other" ? `${tag} (${def.key})` : `${tag} (${KIND_NAME[def.kind] ?? def.kind})`;
+}
+
+// "tag1_res" — compact name used in the structural paragraph
+export function seriesShortName(def) {
+  return KIND_SHORT[def.kind] ? `${def.tag}_${KIND_SHORT[def.kind]}` : def.key;
+}
+
+// Column name in the structural sheet: tag1_residual_rad → tag1_residual_label
+export function seriesLabelKey(def) {
+  return String(def.key).replace(/_rad$/, "").replace(/[^A-Za-z0-9_]+/g, "_") + "_label";
+}
+
+// Guess tag + type from a header such as "tag3_detrend_rad", "Tag 2 residual" or "t4_raw_phase".
+function guessSeries(header) {
+  const h = header.toLowerCase();
+  const kind = /resid/.test(h) ? "residual" : /detrend|det\b/.test(h) ? "detrend" : /raw|phase/.test(h) ? "raw" : "other";
+  const m = h.match(/(?:tag|t)[\s_-]?(\d+)/);
+  return { key: header, tag: m ? `tag${m[1]}` : header.replace(/[^A-Za-z0-9]+/g, "_"), kind };
+}
+
+// Propose a mapping from CSV headers: first time-like column is time, numeric-looking others become series.
+export function detectMapping(headers, sampleRow = {}) {
+  const time = headers.find((h) => /^(time|t|timestamp|time_s|t_s|seconds)$/i.test(h))
+    ?? headers.find((h) => /time/i.test(h))
+    ?? headers[0];
+  const series = headers
+    .filter((h) => h !== time)
+    .filter((h) => sampleRow[h] === undefined || sampleRow[h] === null || Number.isFinite(Number(sampleRow[h])))
+    .map(guessSeries);
+  return { time, series };
+}
+
+// Series defs for data that carries no explicit mapping (keys are used as-is).
+export function seriesDefsFor(series) {
+  return Object.keys(series).map((key) => DEFAULT_MAPPING.series.find((d) => d.key === key) ?? guessSeries(key));
+}
+
+export function loadPresets() {
+  try {
+    return JSON.parse(localStorage.getItem(PRESETS_KEY) || "{}");
+  } catch {
+    return {};
+  }
+}
+
+export function savePresets(presets) {
+  try {
+    localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+  } catch {
+    // storage disabled: presets just won't persist
+  }
+}
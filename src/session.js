@@ -0,0 +1,104 @@
+// =====================
+// Analysis sessions: IndexedDB autosave + portable project files
+// =====================
+
+const DB_NAME = "rfid-llm";
+const DB_VERSION = 2;
+const STORE = "sessions";
+const STORES = [STORE, "llm_cache"]; // v2 added the LLM response cache (see llmcache.js)
+const AUTOSAVE_KEY = "autosave";
+
+export const SESSION_FORMAT = "rfid-llm-session";
+export const SESSION_VERSION = 1;
+export const PROJECT_FILE_NAME = "LLM_session.json";
+
+// Session shape: { format, version, savedAt, fileNames, settings: { …UI settings }, data: { rowsByFile, computedByFile, computedKey,
+// classifyResults, baselineResults } }. Settings may hold Sets (column selections); IndexedDB clones them as is.
+// The LLM API key is never stored.
+export function makeSession(settings, data, fileNames = Object.keys(data.rowsByFile ?? {})) {
+  const clean = settings.llmCfg ? { ...settings, llmCfg: { ...settings.llmCfg, apiKey: "" } } : settings;
+  return { format: SESSION_FORMAT, version: SESSION_VERSION, savedAt: new Date().toISOString(), fileNames, settings: clean, data };
+}
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      for (const name of STORES) if (!req.result.objectStoreNames.contains(name)) req.result.createObjectStore(name);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+export async function withStore(mode, fn, name = STORE) {
+  const db = await openDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(name, mode);
+      const req = fn(tx.objectStore(name));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+// IndexedDB missing or blocked (private windows, quota): the app keeps working, only without autosave.
+export async function loadAutosave() {
+  try {
+    const s = await withStore("readonly", (store) => store.get(AUTOSAVE_KEY));
+    return s?.format === SESSION_FORMAT ? s : null;
+  } catch {
+    return null;
+  }
+}
+
+export async function saveAutosave(session) {
+  try {
+    await withStore("readwrite", (store) => store.put(session, AUTOSAVE_KEY));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export async function clearAutosave() {
+  try {
+    await withStore("readwrite", (store) => store.delete(AUTOSAVE_KEY));
+  } catch {
+    // nothing stored
+  }
+}
+
+// JSON has no NaN/Infinity or Set: they are written as { $num: "NaN" } / { $set: [...] } and restored on import.
+const encode = (_key, v) => {
+  if (typeof v === "number" && !Number.isFinite(v)) return { $num: String(v) };
+  if (v instanceof Set) return { $set: [...v] };
+  return v;
+};
+const decode = (_key, v) => {
+  if (v && typeof v === "object" && !Array.isArray(v)) {
+    if (typeof v.$num === "string" && Object.keys(v).length === 1) return Number(v.$num);
+    if (Array.isArray(v.$set) && Object.keys(v).length === 1) return new Set(v.$set);
+  }
+  return v;
+};
+
+export const serializeProject = (session) => JSON.stringify(session, encode);
+
+// Returns { session } or { error }.
+export function parseProject(text) {
+  let s;
+  try {
+    s = JSON.parse(text, decode);
+  } catch (err) {
+    return { error: `not valid JSON (${err.message})` };
+  }
+  if (s?.format !== SESSION_FORMAT) return { error: "not an rfid-llm session file" };
+  if (!(s.version <= SESSION_VERSION)) return { error: `session version ${s.version} is newer than this app (${SESSION_VERSION})` };
+  if (!s.settings || !s.data?.rowsByFile) return { error: "session file is missing settings or data" };
+  return { session: s };
+}
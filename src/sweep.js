@@ -0,0 +1,134 @@
+import { evaluatePredictions } from "./evaluation.js";
+
+// =====================
+// Experiment sweep: grid expansion + resumable state
+// =====================
+
+const STORAGE_KEY = "rfid-llm-sweep-v1";
+
+export const DEFAULT_SWEEP_SPEC = {
+  winSecs: "1, 2",
+  hopSecs: "0.5, 1",
+  sections: { both: true, statOnly: true, structOnly: true },
+  featureSets: "all: *\ntime: mean, std, mad, rng, skew, kurt, cv, slope, slope_r2, ac_half\nspectral: spectral_centroid, spectral_entropy, dom_freq, dom_power, band_*, low_mid_ratio",
+  classify: false,
+};
+
+const parseNumList = (s) =>
+  [...new Set(String(s).split(/[,\s;]+/).map(Number).filter((v) => Number.isFinite(v) && v > 0))];
+
+// "name: col, col" per line; "*" means every feature column and "band_*" every column starting with "band_" (so a set
+// follows the configured bands). Config ids are built from the name, so a repeated name becomes name_2, name_3, …
+// Each set: { name, columns, renamedFrom? (the name as typed), unknown? (entries matching no column, dropped) };
+// a line matching no column at all gives no set.
+export function parseFeatureSets(text, featureColumns) {
+  return parseFeatureSetLines(text, featureColumns).filter((s) => s.columns.length);
+}
+
+// What parseFeatureSets renamed or dropped, as messages for the sweep panel
+export function featureSetWarnings(text, featureColumns) {
+  return parseFeatureSetLines(text, featureColumns).flatMap((s) => [
+    ...(s.renamedFrom ? [`repeated name ${s.renamedFrom} → ${s.name}`] : []),
+    ...(!s.columns.length ? [`${s.name}: no known column, set skipped`] : s.unknown ? [`${s.name}: unknown ${s.unknown.join(", ")}`] : []),
+  ]);
+}
+
+function parseFeatureSetLines(text, featureColumns) {
+  const sets = [];
+  const taken = new Set();
+  for (const line of String(text).split("\n")) {
+    const m = line.match(/^\s*([^:]+?)\s*:\s*(.*)$/);
+    if (!m) continue;
+    const entries = m[2].split(/[,\s]+/).filter(Boolean);
+    const matches = (e) => (e.endsWith("*") ? featureColumns.filter((c) => c.startsWith(e.slice(0, -1))) : featureColumns.filter((c) => c === e));
+    const cols = [...new Set(entries.flatMap(matches))];
+    const unknown = entries.filter((e) => !matches(e).length);
+    let name = m[1];
+    if (cols.length) {
+      for (let k = 2; taken.has(name); k++) name = `${m[1]}_${k}`;
+      taken.add(name);
+    }
+    sets.push({
+      name, columns: cols, ...(name !== m[1] && { renamedFrom: m[1] }), ...(unknown.length && { unknown }),
+    });
+  }
+  return sets;
+}
+
+export const configId = (c) =>
+  `w${c.winSec}_h${c.hopSec}_${c.useStat ? "S" : ""}${c.useStruct ? "T" : ""}_${c.featureSet}`;
+
+// Cartesian product of the grid. Combinations that cannot change the prompt are collapsed:
+// structural-only prompts ignore the feature subset, statistical-only prompts ignore win/hop.
+export function expandSweepGrid(spec, featureColumns) {
+  const wins = parseNumList(spec.winSecs);
+  const hops = parseNumList(spec.hopSecs);
+  const sets = parseFeatureSets(spec.featureSets, featureColumns);
+  const sections = [
+    spec.sections.both && { useStat: true, useStruct: true },
+    spec.sections.statOnly && { useStat: true, useStruct: false },
+    spec.sections.structOnly && { useStat: false, useStruct: true },
+  ].filter(Boolean);
+
+  const seen = new Set();
+  const out = [];
+  for (const sec of sections) {
+    for (const winSec of sec.useStruct ? wins : [wins[0] ?? 1]) {
+      for (const hopSec of sec.useStruct ? hops : [hops[0] ?? 0.5]) {
+        for (const fs of sec.useStat ? sets : [{ name: "none", columns: [] }]) {
+          const cfg = { winSec, hopSec, ...sec, featureSet: fs.name, featureColumns: fs.columns };
+          cfg.id = configId(cfg);
+          if (seen.has(cfg.id)) continue;
+          seen.add(cfg.id);
+          out.push(cfg);
+        }
+      }
+    }
+  }
+  return out;
+}
+
+export const resultKey = (cfgId, fname) => `${cfgId}::${fname}`;
+
+// Persisted shape: { spec, configs, results: { [resultKey]: row }, startedAt, finishedAt }
+export function loadSweep() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+export function saveSweep(state) {
+  try {
+    if (state) localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    else localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // quota exceeded / storage disabled: the sweep still runs, it just won't survive a reload
+  }
+}
+
+// One summary row per config: how many files ran, how many were labelled, accuracy and macro-F1 vs truth
+// (failed or unparsed replies count as wrong; coverage = answered / evaluated).
+export function summarizeSweep(configs, rows, labels) {
+  return configs.map((c) => {
+    const mine = rows.filter((r) => r.config_id === c.id);
+    const pairs = mine.filter((r) => r.truth && r.status !== "prompt_only").map((r) => ({ truth: r.truth, pred: r.status === "ok" ? r.label : null }));
+    const ev = pairs.length ? evaluatePredictions(pairs, labels) : null;
+    return {
+      config_id: c.id,
+      win_s: c.winSec,
+      hop_s: c.hopSec,
+      use_stat: c.useStat,
+      use_struct: c.useStruct,
+      feature_set: c.featureSet,
+      files: mine.length,
+      labelled: mine.filter((r) => r.label).length,
+      evaluated: ev ? ev.n : 0,
+      coverage: ev ? ev.coverage : "",
+      accuracy: ev ? ev.accuracy : "",
+      macro_f1: ev ? ev.macroF1 : "",
+    };
+  });
+}
@@ -1,7 +1,10 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import pkg from './package.json' with { type: 'json' }
 
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // tool version recorded in export manifests
+  define: { __APP_VERSION__: JSON.stringify(pkg.version) },
 })